@@ -0,0 +1,25 @@
+/**
+ * alias-hooks.mjs
+ *
+ * Module hooks (installed by register.mjs) that let Node load lib/ the way
+ * Next.js does: "@/lib/csv" resolves to <repo>/lib/csv.js (the
+ * jsconfig.json "@/*" path), and the repo's .js files load as ES modules.
+ */
+
+const ROOT = new URL("../", import.meta.url);
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier.startsWith("@/")) {
+    const path = specifier.slice(2);
+    const url = new URL(/\.[cm]?js$/.test(path) ? path : `${path}.js`, ROOT);
+    return nextResolve(url.href, context);
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(`${ROOT.href}lib/`) && url.endsWith(".js")) {
+    return nextLoad(url, { ...context, format: "module" });
+  }
+  return nextLoad(url, context);
+}
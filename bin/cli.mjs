@@ -0,0 +1,490 @@
+/**
+ * cli.mjs
+ *
+ * hasp-convert [options] <input...>
+ *
+ * Converts CSV (.csv) and spreadsheet (.xlsx / .ods) files with a saved
+ * mapping and writes the same JSON or CMS CSV the page downloads. Inputs
+ * may be files, globs ("data/**\/*.csv", quoted so the shell leaves them
+ * alone) or "-" for CSV on stdin.
+ *
+ * Options:
+ *   -m, --mapping <file>   mapping or profile JSON (an exported profile file)
+ *       --profile <name>   profile to use when the file holds several
+ *   -l, --lookup <name>=<file>
+ *                          reference CSV of one of the mapping's lookups, by
+ *                          lookup name or id; repeat for each lookup
+ *   -t, --template <file>  CSV export columns: a template object or array
+ *   -f, --format <fmt>     json (default) or csv
+ *   -o, --out <dir>        write <input name>.<fmt> files here (default stdout,
+ *                          one input only)
+ *       --delimiter <ch>   CSV delimiter (",", ";", "tab", "|"); detected
+ *       --quote <ch>       CSV quote character; detected
+ *       --encoding <enc>   CSV encoding; detected
+ *       --sheet <name>     workbook sheet (default: the first)
+ *       --range <A1:B2>    workbook cell range
+ *       --now <iso>        batch export time for timestamp columns
+ *       --strict           conversion issues and timestamp warnings fail too
+ *   -q, --quiet            only print errors
+ *   -h, --help
+ *
+ * Exit codes:
+ *   0  every input converted
+ *   1  validation failed: the mapping's issue policy blocked the export,
+ *      duplicate routes with duplicates "fail", or --strict and any issue
+ *   2  usage or configuration error (arguments, mapping, template, patterns)
+ *   3  an input could not be read or parsed
+ * With several inputs every one is attempted; the exit code is the first
+ * non-zero one.
+ */
+
+import { readFile, writeFile, mkdir, readdir } from "node:fs/promises";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { CSVParseError } from "@/lib/csv";
+import { sniffCSV } from "@/lib/sniff";
+import { readWorkbook, sheetToRecords } from "@/lib/workbook";
+import {
+  convert,
+  readLookupCSV,
+  resolveMapping,
+  SNIFF_BYTES,
+} from "@/lib/convert";
+import { countUnmatched, findLookup, lookupLabel } from "@/lib/lookup";
+import { EXPORT_FORMATS, exportConversion } from "@/lib/export";
+import { parseProfileFile } from "@/lib/profiles";
+import { DEFAULT_EXPORT_COLUMNS, parseTemplateColumns } from "@/lib/templates";
+
+export const EXIT = { ok: 0, validation: 1, usage: 2, input: 3 };
+
+// Issues printed per input; the count is always printed
+const MAX_ISSUES_PRINTED = 10;
+
+const WORKBOOK_RE = /\.(xlsx|ods)$/i;
+
+const DELIMITER_NAMES = { tab: "\t", comma: ",", semicolon: ";", pipe: "|" };
+
+class CliError extends Error {
+  constructor(message, exitCode) {
+    super(message);
+    this.name = "CliError";
+    this.exitCode = exitCode;
+  }
+}
+
+const OPTIONS = {
+  mapping: { type: "string", short: "m" },
+  profile: { type: "string" },
+  lookup: { type: "string", short: "l", multiple: true, default: [] },
+  template: { type: "string", short: "t" },
+  format: { type: "string", short: "f", default: "json" },
+  out: { type: "string", short: "o" },
+  delimiter: { type: "string" },
+  quote: { type: "string" },
+  encoding: { type: "string" },
+  sheet: { type: "string" },
+  range: { type: "string" },
+  now: { type: "string" },
+  strict: { type: "boolean", default: false },
+  quiet: { type: "boolean", short: "q", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+const USAGE = `Usage: hasp-convert [options] <input...>
+
+  -m, --mapping <file>   mapping or profile JSON
+      --profile <name>   profile to use when the file holds several
+  -l, --lookup <name>=<file>
+                         reference CSV for a lookup of the mapping
+  -t, --template <file>  CSV export columns (template JSON)
+  -f, --format <fmt>     json (default) or csv
+  -o, --out <dir>        output directory (default: stdout, one input only)
+      --delimiter <ch>   CSV delimiter (",", ";", "tab", "|")
+      --quote <ch>       CSV quote character
+      --encoding <enc>   CSV encoding (utf-8, windows-1252, ...)
+      --sheet <name>     workbook sheet
+      --range <A1:B2>    workbook cell range
+      --now <iso>        export time for timestamp columns
+      --strict           fail on any conversion issue or warning
+  -q, --quiet            only print errors
+  -h, --help
+
+Exit codes: 0 ok, 1 validation failed, 2 usage/config error, 3 input error`;
+
+const readJSONFile = async (file, what) => {
+  let text;
+  try {
+    text = await readFile(file, "utf8");
+  } catch {
+    throw new CliError(`Cannot read ${what} file ${file}`, EXIT.usage);
+  }
+  try {
+    return { text, value: JSON.parse(text) };
+  } catch {
+    throw new CliError(`${what} file ${file} is not valid JSON`, EXIT.usage);
+  }
+};
+
+// Mapping errors (broken patterns, rules or filters) are configuration
+// errors, found before any input is read
+const checkMapping = (file, mapping) => {
+  try {
+    resolveMapping(mapping);
+  } catch (err) {
+    if (err.name !== "ConvertError") throw err;
+    throw new CliError(`${file}: ${err.message}`, EXIT.usage);
+  }
+  return mapping;
+};
+
+/**
+ * The mapping from a mapping/profile file: a bare mapping, one profile or
+ * a list of profiles (picked by name, else the first).
+ */
+export async function loadMapping(file, profileName) {
+  if (!file) return {};
+  const { text, value } = await readJSONFile(file, "Mapping");
+  if (value === null || typeof value !== "object") {
+    throw new CliError(`${file} does not hold a mapping`, EXIT.usage);
+  }
+  if (!Array.isArray(value) && !value.mapping) return checkMapping(file, value);
+  let profiles;
+  try {
+    profiles = parseProfileFile(text);
+  } catch (err) {
+    throw new CliError(`${file}: ${err.message}`, EXIT.usage);
+  }
+  const profile = profileName
+    ? profiles.find((p) => p.name.toLowerCase() === profileName.toLowerCase())
+    : profiles[0];
+  if (!profile) {
+    throw new CliError(`${file} has no profile "${profileName}"`, EXIT.usage);
+  }
+  return checkMapping(file, profile.mapping);
+}
+
+/**
+ * Reference tables for the mapping's lookups from --lookup name=file
+ * arguments, by lookup id.
+ */
+export async function loadLookupTables(args, mapping) {
+  const tables = {};
+  for (const arg of args) {
+    const eq = arg.lastIndexOf("=");
+    if (eq <= 0) {
+      throw new CliError(`--lookup "${arg}" is not <name>=<file>`, EXIT.usage);
+    }
+    const [ref, file] = [arg.slice(0, eq), arg.slice(eq + 1)];
+    const lookup = findLookup(resolveMapping(mapping).lookups, ref);
+    if (!lookup) {
+      throw new CliError(`The mapping has no lookup "${ref}"`, EXIT.usage);
+    }
+    let bytes;
+    try {
+      bytes = await readFile(file);
+    } catch {
+      throw new CliError(`Cannot read ${file}`, EXIT.input);
+    }
+    try {
+      const { encoding } = sniffCSV(bytes.subarray(0, SNIFF_BYTES));
+      tables[lookup.id] = readLookupCSV(
+        new TextDecoder(encoding).decode(bytes)
+      );
+    } catch (err) {
+      if (!(err instanceof CSVParseError)) throw err;
+      throw new CliError(`${file}: Malformed CSV: ${err.message}`, EXIT.input);
+    }
+  }
+  return tables;
+}
+
+async function loadColumns(file) {
+  if (!file) return DEFAULT_EXPORT_COLUMNS;
+  const { value } = await readJSONFile(file, "Template");
+  try {
+    return parseTemplateColumns(value);
+  } catch (err) {
+    throw new CliError(`${file}: ${err.message}`, EXIT.usage);
+  }
+}
+
+const globToRegExp = (pattern) => {
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === "*" && pattern[i + 1] === "*") {
+      // "**/" matches any number of directories, including none
+      source += pattern[i + 2] === "/" ? "(?:.*/)?" : ".*";
+      i += pattern[i + 2] === "/" ? 2 : 1;
+    } else if (ch === "*") {
+      source += "[^/]*";
+    } else if (ch === "?") {
+      source += "[^/]";
+    } else {
+      source += ch.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+};
+
+async function walk(dir) {
+  const files = [];
+  for (const entry of await readdir(dir, { withFileTypes: true })) {
+    if (entry.name === "node_modules" || entry.name.startsWith(".")) continue;
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...(await walk(full)));
+    else if (entry.isFile()) files.push(full);
+  }
+  return files;
+}
+
+/**
+ * Files matching the inputs, in argument order; glob matches are sorted.
+ */
+export async function expandInputs(inputs) {
+  const files = [];
+  for (const input of inputs) {
+    if (input === "-" || !/[*?]/.test(input)) {
+      files.push(input);
+      continue;
+    }
+    const pattern = path.posix.normalize(input.split(path.sep).join("/"));
+    const parts = pattern.split("/");
+    const base = parts.slice(
+      0,
+      parts.findIndex((p) => /[*?]/.test(p))
+    );
+    const regex = globToRegExp(pattern);
+    let found = [];
+    try {
+      found = (await walk(base.join("/") || "."))
+        .map((f) => f.split(path.sep).join("/"))
+        .filter((f) => regex.test(f))
+        .sort();
+    } catch {
+      // a missing base directory matches nothing
+    }
+    if (found.length === 0) {
+      throw new CliError(`No files match ${input}`, EXIT.usage);
+    }
+    files.push(...found);
+  }
+  return Array.from(new Set(files));
+}
+
+const readStdin = async () => {
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+// Input file -> conversion result, as the page converts an upload
+async function convertInput(file, mapping, options) {
+  let bytes;
+  try {
+    bytes = file === "-" ? await readStdin() : await readFile(file);
+  } catch {
+    throw new CliError(`Cannot read ${file}`, EXIT.input);
+  }
+  try {
+    if (WORKBOOK_RE.test(file)) {
+      const { workbook, sheets } = await readWorkbook(new Uint8Array(bytes));
+      const records = await sheetToRecords(
+        workbook,
+        options.sheet ?? sheets[0]?.name ?? "",
+        options.range ?? ""
+      );
+      return convert(records, { ...mapping, lookupTables: options.tables });
+    }
+    const delimiter =
+      DELIMITER_NAMES[options.delimiter?.toLowerCase()] ?? options.delimiter;
+    const format = sniffCSV(bytes.subarray(0, SNIFF_BYTES), {
+      ...(options.encoding ? { encoding: options.encoding } : {}),
+      ...(delimiter ? { delimiter } : {}),
+      ...(options.quote ? { quote: options.quote } : {}),
+    });
+    // TextDecoder drops a leading BOM by default, as in the worker
+    const text = new TextDecoder(format.encoding).decode(bytes);
+    return convert(text, {
+      ...mapping,
+      dialect: { delimiter: format.delimiter, quote: format.quote },
+      lookupTables: options.tables,
+    });
+  } catch (err) {
+    if (err instanceof CSVParseError) {
+      throw new CliError(`${file}: Malformed CSV: ${err.message}`, EXIT.input);
+    }
+    if (err.name === "WorkbookError" || err.code === "empty_input") {
+      throw new CliError(`${file}: ${err.message}`, EXIT.input);
+    }
+    if (err.name === "ConvertError") {
+      throw new CliError(`${file}: ${err.message}`, EXIT.usage);
+    }
+    if (err instanceof RangeError) {
+      // TextDecoder with an unknown encoding
+      throw new CliError(`${file}: ${err.message}`, EXIT.usage);
+    }
+    throw err;
+  }
+}
+
+const describeIssue = (issue) =>
+  `  row ${issue.row}, ${issue.column}: ${issue.message} (${issue.rule})`;
+
+const printIssues = (log, label, issues) => {
+  if (issues.length === 0) return;
+  const rows = new Set(issues.map((i) => i.row)).size;
+  log(
+    `${label}: ${issues.length} issue${
+      issues.length !== 1 ? "s" : ""
+    } in ${rows} row${rows !== 1 ? "s" : ""}`
+  );
+  issues.slice(0, MAX_ISSUES_PRINTED).forEach((i) => log(describeIssue(i)));
+  if (issues.length > MAX_ISSUES_PRINTED) {
+    log(`  …and ${issues.length - MAX_ISSUES_PRINTED} more`);
+  }
+};
+
+/**
+ * Run the CLI with argv (without node and the script). Returns the exit
+ * code; output goes to stdout / files, messages to stderr.
+ */
+export async function main(
+  argv,
+  { stdout = process.stdout, stderr = process.stderr } = {}
+) {
+  const error = (message) => stderr.write(`hasp-convert: ${message}\n`);
+  let args;
+  try {
+    args = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    error(err.message);
+    stderr.write(`${USAGE}\n`);
+    return EXIT.usage;
+  }
+  const { values: options, positionals } = args;
+  if (options.help) {
+    stdout.write(`${USAGE}\n`);
+    return EXIT.ok;
+  }
+  const log = options.quiet ? () => {} : (m) => stderr.write(`${m}\n`);
+
+  let files;
+  let mapping;
+  let columns;
+  let tables;
+  try {
+    if (positionals.length === 0) {
+      throw new CliError("No input files given", EXIT.usage);
+    }
+    if (!EXPORT_FORMATS.some((f) => f.value === options.format)) {
+      throw new CliError(
+        `Unknown format "${options.format}"; use json or csv`,
+        EXIT.usage
+      );
+    }
+    if (options.now && Number.isNaN(Date.parse(options.now))) {
+      throw new CliError(`--now "${options.now}" is not a date`, EXIT.usage);
+    }
+    files = await expandInputs(positionals);
+    if (!options.out && files.length > 1) {
+      throw new CliError(
+        "Several inputs need --out <dir> (stdout takes one)",
+        EXIT.usage
+      );
+    }
+    // one output per input name; refuse to overwrite one with another
+    const names = files.map((f) => path.parse(f === "-" ? "stdin" : f).name);
+    const clash = names.find((n, i) => names.indexOf(n) !== i);
+    if (options.out && clash) {
+      throw new CliError(
+        `Two inputs would both write ${clash}.${options.format}`,
+        EXIT.usage
+      );
+    }
+    mapping = await loadMapping(options.mapping, options.profile);
+    tables = await loadLookupTables(options.lookup, mapping);
+    columns = await loadColumns(options.template);
+    if (options.out) await mkdir(options.out, { recursive: true });
+  } catch (err) {
+    if (!(err instanceof CliError)) throw err;
+    error(err.message);
+    return err.exitCode;
+  }
+
+  const now = options.now
+    ? new Date(options.now).toISOString()
+    : new Date().toISOString();
+  let exitCode = EXIT.ok;
+  const fail = (code) => {
+    if (exitCode === EXIT.ok) exitCode = code;
+  };
+
+  for (const file of files) {
+    const label = file === "-" ? "stdin" : file;
+    try {
+      const result = await convertInput(file, mapping, { ...options, tables });
+      if (result.excluded.length > 0) {
+        log(
+          `${label}: ${result.excluded.length} row${
+            result.excluded.length !== 1 ? "s" : ""
+          } excluded by row filters`
+        );
+      }
+      const unmatched = countUnmatched(result.unmatched);
+      result.mapping.lookups.forEach((lookup, idx) => {
+        const count = unmatched[lookup.id] ?? 0;
+        if (count === 0) return;
+        log(
+          `${label}: ${count} row${
+            count !== 1 ? "s" : ""
+          } without a match in ${lookupLabel(lookup, idx)}`
+        );
+      });
+      printIssues(log, label, result.issues);
+      const { body, warnings } = exportConversion(result, {
+        format: options.format,
+        columns,
+        now,
+      });
+      warnings.forEach((w) => log(`${label}: ${describeIssue(w).trim()}`));
+
+      if (options.out) {
+        const name = path.parse(file === "-" ? "stdin" : file).name;
+        const target = path.join(options.out, `${name}.${options.format}`);
+        await writeFile(target, body);
+        const count = result.entries.length;
+        log(`${label}: ${count} entr${count !== 1 ? "ies" : "y"} -> ${target}`);
+      } else {
+        stdout.write(body);
+      }
+      if (options.strict && (result.issues.length > 0 || warnings.length > 0)) {
+        error(`${label}: failed --strict`);
+        fail(EXIT.validation);
+      }
+    } catch (err) {
+      if (err instanceof CliError) {
+        error(err.message);
+        fail(err.exitCode);
+      } else if (err.name === "ExportError") {
+        error(`${label}: ${err.message}`);
+        if (err.code === "invalid_config") {
+          err.details.slice(1).forEach((p) => error(`${label}: ${p}`));
+          fail(EXIT.usage);
+        } else {
+          if (err.code === "duplicate_routes") {
+            err.details
+              .slice(0, MAX_ISSUES_PRINTED)
+              .forEach((i) => log(describeIssue(i)));
+          }
+          fail(EXIT.validation);
+        }
+      } else {
+        // anything else is a mapping the checks let through
+        error(`${label}: ${err.message}`);
+        fail(EXIT.usage);
+      }
+    }
+  }
+  return exitCode;
+}
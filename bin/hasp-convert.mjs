@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+/**
+ * hasp-convert
+ *
+ * Command-line converter: the page's Convert + Download JSON / Export CSV
+ * for batch pipelines. See bin/cli.mjs for options and exit codes.
+ */
+
+import "./register.mjs";
+
+const { main } = await import("./cli.mjs");
+process.exitCode = await main(process.argv.slice(2));
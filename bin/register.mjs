@@ -0,0 +1,10 @@
+/**
+ * register.mjs
+ *
+ * Installs alias-hooks.mjs. Imported first by the CLI and preloaded for
+ * the tests (node --import ./bin/register.mjs).
+ */
+
+import { register } from "node:module";
+
+register("./alias-hooks.mjs", import.meta.url);
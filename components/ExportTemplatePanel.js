@@ -0,0 +1,409 @@
+/**
+ * ExportTemplatePanel.js
+ *
+ * Editor for the CSV export layout of the target CMS (see lib/templates.js)
+ * and the templates saved in localStorage. sourceColumns are the names a
+ * "Source column" value can refer to.
+ */
+
+import { useState, useSyncExternalStore } from "react";
+import { ChevronDown, ChevronUp, Plus, Trash2, X } from "lucide-react";
+import {
+  COLUMN_KINDS,
+  KINDS_WITH_VALUE,
+  DEFAULT_EXPORT_COLUMNS,
+  normalizeTemplate,
+  validateColumns,
+  subscribeTemplates,
+  getTemplatesSnapshot,
+  getServerTemplatesSnapshot,
+  saveTemplates,
+  upsertTemplate,
+} from "@/lib/templates";
+import { getPatternError } from "@/lib/pattern";
+import {
+  DEFAULT_TIME_ZONE,
+  DEFAULT_TIMESTAMP_SETTINGS,
+  TIMESTAMP_MODES,
+} from "@/lib/dates";
+
+export default function ExportTemplatePanel({
+  exportColumns,
+  setExportColumns,
+  sourceColumns,
+  setStatus,
+}) {
+  const templates = useSyncExternalStore(
+    subscribeTemplates,
+    getTemplatesSnapshot,
+    getServerTemplatesSnapshot
+  );
+  const [templateName, setTemplateName] = useState("");
+  const [selectedTemplate, setSelectedTemplate] = useState("");
+  const problems = validateColumns(exportColumns);
+
+  // Export template editor
+  const updateExportColumn = (index, patch) => {
+    setExportColumns((prev) =>
+      prev.map((col, i) => (i === index ? { ...col, ...patch } : col))
+    );
+  };
+
+  const moveExportColumn = (index, delta) => {
+    setExportColumns((prev) => {
+      const target = index + delta;
+      if (target < 0 || target >= prev.length) return prev;
+      const next = [...prev];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  };
+
+  const removeExportColumn = (index) => {
+    setExportColumns((prev) => prev.filter((_, i) => i !== index));
+  };
+
+  const updateExportTimestamp = (index, patch) => {
+    setExportColumns((prev) =>
+      prev.map((col, i) =>
+        i === index
+          ? {
+              ...col,
+              timestamp: {
+                ...DEFAULT_TIMESTAMP_SETTINGS,
+                ...col.timestamp,
+                ...patch,
+              },
+            }
+          : col
+      )
+    );
+  };
+
+  const addExportColumn = () => {
+    setExportColumns((prev) => [
+      ...prev,
+      { name: `column_${prev.length + 1}`, kind: "constant", value: "" },
+    ]);
+  };
+
+  const saveCurrentTemplate = () => {
+    const name = templateName.trim() || selectedTemplate;
+    if (!name) {
+      setStatus({ type: "error", message: "Enter a template name first." });
+      return;
+    }
+    try {
+      const template = normalizeTemplate({ name, columns: exportColumns });
+      saveTemplates(upsertTemplate(templates, template));
+      setSelectedTemplate(template.name);
+      setTemplateName("");
+      setStatus({
+        type: "success",
+        message: `Export template "${template.name}" saved.`,
+      });
+    } catch (err) {
+      console.error("Template storage error:", err);
+      setStatus({
+        type: "error",
+        message: err.message || "Could not save template.",
+      });
+    }
+  };
+
+  const applyTemplate = (name) => {
+    const template = templates.find((t) => t.name === name);
+    if (!template) return;
+    setExportColumns(template.columns);
+    setSelectedTemplate(template.name);
+  };
+
+  const deleteTemplate = (name) => {
+    try {
+      saveTemplates(templates.filter((t) => t.name !== name));
+    } catch (err) {
+      console.error("Template storage error:", err);
+      setStatus({ type: "error", message: "Could not save templates." });
+    }
+    if (selectedTemplate === name) setSelectedTemplate("");
+  };
+
+  return (
+    <div className="mt-4 bg-white p-3 rounded-md border border-slate-100 text-sm">
+      <div className="flex items-center justify-between mb-2">
+        <div className="font-medium text-slate-700">CSV export template</div>
+        <div className="text-xs text-slate-400">
+          {exportColumns.length} columns
+        </div>
+      </div>
+
+      <div className="space-y-2">
+        {templates.length > 0 && (
+          <div className="flex gap-2">
+            <select
+              value={selectedTemplate}
+              onChange={(e) => setSelectedTemplate(e.target.value)}
+              className="flex-1 text-xs px-2 py-1 border rounded bg-white text-gray-600"
+            >
+              <option value="">Select a template</option>
+              {templates.map((t) => (
+                <option key={t.name} value={t.name}>
+                  {t.name}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={() => applyTemplate(selectedTemplate)}
+              disabled={!selectedTemplate}
+              className="px-2 py-1 rounded bg-slate-50 text-xs hover:bg-slate-100 text-gray-600 disabled:opacity-50"
+            >
+              Apply
+            </button>
+            <button
+              onClick={() => deleteTemplate(selectedTemplate)}
+              disabled={!selectedTemplate}
+              className="px-2 py-1 text-xs rounded bg-rose-100 text-rose-700 hover:bg-rose-200 disabled:opacity-50"
+              title="Delete template"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+        )}
+
+        <div className="flex gap-2">
+          <input
+            value={templateName}
+            onChange={(e) => setTemplateName(e.target.value)}
+            placeholder={selectedTemplate || "Target system name"}
+            className="flex-1 px-2 py-1 border rounded text-sm text-gray-600"
+          />
+          <button
+            onClick={saveCurrentTemplate}
+            className="px-2 py-1 rounded bg-indigo-600 text-white text-xs hover:bg-indigo-700"
+          >
+            Save
+          </button>
+        </div>
+
+        <div className="space-y-1">
+          {exportColumns.map((col, i) => {
+            const expressionError =
+              col.kind === "expression" ? getPatternError(col.value) : null;
+            const timestamp = {
+              ...DEFAULT_TIMESTAMP_SETTINGS,
+              ...col.timestamp,
+            };
+            return (
+              <div key={i} className="bg-slate-50 p-2 rounded space-y-1">
+                <div className="flex items-center gap-1">
+                  <input
+                    value={col.name}
+                    onChange={(e) =>
+                      updateExportColumn(i, { name: e.target.value })
+                    }
+                    placeholder="Column name"
+                    className={`flex-1 min-w-0 px-1 py-1 border rounded text-xs text-gray-600 bg-white ${
+                      col.name.trim() ? "" : "border-rose-400"
+                    }`}
+                  />
+                  <select
+                    value={col.kind}
+                    onChange={(e) =>
+                      updateExportColumn(i, {
+                        kind: e.target.value,
+                        value:
+                          e.target.value === "column" ? sourceColumns[0] : "",
+                      })
+                    }
+                    className="text-xs px-1 py-1 border rounded bg-white text-gray-600"
+                  >
+                    {COLUMN_KINDS.map((k) => (
+                      <option key={k.value} value={k.value}>
+                        {k.label}
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() => moveExportColumn(i, -1)}
+                    disabled={i === 0}
+                    className="p-1 rounded hover:bg-slate-100 text-gray-600 disabled:opacity-30"
+                    title="Move up"
+                  >
+                    <ChevronUp className="w-3 h-3" />
+                  </button>
+                  <button
+                    onClick={() => moveExportColumn(i, 1)}
+                    disabled={i === exportColumns.length - 1}
+                    className="p-1 rounded hover:bg-slate-100 text-gray-600 disabled:opacity-30"
+                    title="Move down"
+                  >
+                    <ChevronDown className="w-3 h-3" />
+                  </button>
+                  <button
+                    onClick={() => removeExportColumn(i)}
+                    className="p-1 rounded text-rose-600 hover:bg-rose-100"
+                    title="Remove column"
+                  >
+                    <X className="w-3 h-3" />
+                  </button>
+                </div>
+                {KINDS_WITH_VALUE.includes(col.kind) &&
+                  (col.kind === "column" ? (
+                    <select
+                      value={col.value}
+                      onChange={(e) =>
+                        updateExportColumn(i, {
+                          value: e.target.value,
+                        })
+                      }
+                      className="w-full text-xs px-1 py-1 border rounded bg-white text-gray-600"
+                    >
+                      {!sourceColumns.includes(col.value) && (
+                        <option value={col.value}>
+                          {col.value || "Choose a column"}
+                        </option>
+                      )}
+                      {sourceColumns.map((h) => (
+                        <option key={h} value={h}>
+                          {h}
+                        </option>
+                      ))}
+                    </select>
+                  ) : (
+                    <input
+                      value={col.value}
+                      onChange={(e) =>
+                        updateExportColumn(i, {
+                          value: e.target.value,
+                        })
+                      }
+                      placeholder={
+                        col.kind === "expression" ? "{title|slug}" : "Value"
+                      }
+                      title={expressionError || undefined}
+                      className={`w-full px-1 py-1 border rounded text-xs text-gray-600 bg-white ${
+                        col.kind === "expression" ? "font-mono" : ""
+                      } ${expressionError ? "border-rose-400" : ""}`}
+                    />
+                  ))}
+                {expressionError && (
+                  <div className="text-xs text-rose-600">{expressionError}</div>
+                )}
+                {col.kind === "now" && (
+                  <div className="space-y-1 text-xs text-slate-500">
+                    <select
+                      value={timestamp.mode}
+                      onChange={(e) =>
+                        updateExportTimestamp(i, {
+                          mode: e.target.value,
+                        })
+                      }
+                      className="w-full text-xs px-1 py-1 border rounded bg-white text-gray-600"
+                    >
+                      {TIMESTAMP_MODES.map((m) => (
+                        <option key={m.value} value={m.value}>
+                          {m.label}
+                        </option>
+                      ))}
+                    </select>
+                    {timestamp.mode === "fixed" && (
+                      <input
+                        type="datetime-local"
+                        value={timestamp.date}
+                        onChange={(e) =>
+                          updateExportTimestamp(i, {
+                            date: e.target.value,
+                          })
+                        }
+                        className="w-full px-1 py-1 border rounded text-xs text-gray-600 bg-white"
+                      />
+                    )}
+                    {timestamp.mode === "column" && (
+                      <div className="flex gap-1">
+                        <select
+                          value={timestamp.column}
+                          onChange={(e) =>
+                            updateExportTimestamp(i, {
+                              column: e.target.value,
+                            })
+                          }
+                          className="flex-1 min-w-0 text-xs px-1 py-1 border rounded bg-white text-gray-600"
+                        >
+                          <option value="">Column</option>
+                          {!sourceColumns.includes(timestamp.column) &&
+                            timestamp.column && (
+                              <option value={timestamp.column}>
+                                {timestamp.column}
+                              </option>
+                            )}
+                          {sourceColumns.map((h) => (
+                            <option key={h} value={h}>
+                              {h}
+                            </option>
+                          ))}
+                        </select>
+                        <input
+                          value={timestamp.format}
+                          onChange={(e) =>
+                            updateExportTimestamp(i, {
+                              format: e.target.value,
+                            })
+                          }
+                          placeholder="YYYY-MM-DD HH:mm"
+                          title="Input format: YYYY YY MMMM MMM MM M DD D HH H hh h mm ss A (empty = ISO)"
+                          className="flex-1 min-w-0 px-1 py-1 border rounded text-xs text-gray-600 bg-white font-mono"
+                        />
+                      </div>
+                    )}
+                    {timestamp.mode !== "batch" && (
+                      <label className="flex items-center justify-between gap-2">
+                        Time zone
+                        <input
+                          value={timestamp.timeZone}
+                          onChange={(e) =>
+                            updateExportTimestamp(i, {
+                              timeZone: e.target.value,
+                            })
+                          }
+                          placeholder={DEFAULT_TIME_ZONE}
+                          className="flex-1 min-w-0 px-1 py-1 border rounded text-xs text-gray-600 bg-white"
+                        />
+                      </label>
+                    )}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="flex gap-2">
+          <button
+            onClick={addExportColumn}
+            className="flex items-center gap-1 px-2 py-1 rounded bg-slate-50 text-xs hover:bg-slate-100 text-gray-600"
+          >
+            <Plus className="w-3 h-3" />
+            Add column
+          </button>
+          <button
+            onClick={() => {
+              setExportColumns(DEFAULT_EXPORT_COLUMNS);
+              setSelectedTemplate("");
+            }}
+            className="px-2 py-1 rounded bg-slate-50 text-xs hover:bg-slate-100 text-gray-600"
+          >
+            Reset to default
+          </button>
+        </div>
+
+        {problems.length > 0 && (
+          <div className="text-xs text-rose-700">
+            {problems.map((p) => (
+              <div key={p}>{p}</div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
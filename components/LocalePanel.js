@@ -0,0 +1,191 @@
+/**
+ * LocalePanel.js
+ *
+ * Translation settings (see lib/locale.js): where translations come from,
+ * the locales and how rows are grouped, plus a report of the groups and
+ * translation issues over the converted entries.
+ */
+
+import React, { useMemo } from "react";
+import {
+  DEFAULT_LOCALE_CONFIG,
+  LOCALE_MODES,
+  getDefaultLocale,
+  groupTranslations,
+} from "@/lib/locale";
+
+export default function LocalePanel({
+  localeConfig,
+  setLocaleConfig,
+  groupPatternError,
+  headers,
+  columnKeys,
+  slugOptions,
+  entries,
+}) {
+  const updateLocaleConfig = (patch) => {
+    setLocaleConfig((prev) => ({ ...prev, ...patch }));
+  };
+
+  // Translation groups for the whole dataset, for the missing-translation report
+  const report = useMemo(() => {
+    if (localeConfig.mode === "off" || groupPatternError) return null;
+    const { groups, issues } = groupTranslations(entries, localeConfig, {
+      headers,
+      columnKeys,
+      slug: slugOptions,
+    });
+    const perLocale = {};
+    groups.forEach((g) =>
+      g.variants.forEach((v) => {
+        perLocale[v.locale] = (perLocale[v.locale] ?? 0) + 1;
+      })
+    );
+    return { groups: groups.length, perLocale, issues };
+  }, [
+    entries,
+    localeConfig,
+    groupPatternError,
+    headers,
+    columnKeys,
+    slugOptions,
+  ]);
+
+  return (
+    <div className="mt-4 bg-white p-3 rounded-md border border-slate-100 text-sm">
+      <div className="flex items-center justify-between mb-2">
+        <div className="font-medium text-slate-700">Locales</div>
+        <div className="text-xs text-slate-400">
+          {getDefaultLocale(localeConfig)}
+        </div>
+      </div>
+
+      <div className="space-y-2 text-xs text-slate-500">
+        <select
+          value={localeConfig.mode}
+          onChange={(e) => updateLocaleConfig({ mode: e.target.value })}
+          className="w-full text-xs px-1 py-1 border rounded bg-white text-gray-600"
+        >
+          {LOCALE_MODES.map((m) => (
+            <option key={m.value} value={m.value}>
+              {m.label}
+            </option>
+          ))}
+        </select>
+
+        <div className="grid grid-cols-2 gap-2">
+          <label>
+            Default locale
+            <input
+              value={localeConfig.defaultLocale}
+              onChange={(e) =>
+                updateLocaleConfig({
+                  defaultLocale: e.target.value,
+                })
+              }
+              placeholder="en"
+              className="mt-1 w-full px-1 py-1 border rounded text-gray-600"
+            />
+          </label>
+          {localeConfig.mode !== "off" && (
+            <label>
+              Other locales
+              <input
+                value={localeConfig.locales}
+                onChange={(e) =>
+                  updateLocaleConfig({ locales: e.target.value })
+                }
+                placeholder="fil, ceb"
+                className="mt-1 w-full px-1 py-1 border rounded text-gray-600"
+              />
+            </label>
+          )}
+        </div>
+
+        {localeConfig.mode === "suffix" && (
+          <>
+            <div>
+              Translations come from columns named like <code>title_fil</code>{" "}
+              or <code>content_fil</code>.
+            </div>
+            <label className="block">
+              Translation group key
+              <input
+                value={localeConfig.groupPattern}
+                onChange={(e) =>
+                  updateLocaleConfig({
+                    groupPattern: e.target.value,
+                  })
+                }
+                placeholder={DEFAULT_LOCALE_CONFIG.groupPattern}
+                className={`mt-1 w-full px-1 py-1 border rounded text-gray-600 font-mono ${
+                  groupPatternError ? "border-rose-400" : ""
+                }`}
+              />
+            </label>
+            {groupPatternError && (
+              <div className="text-rose-600">{groupPatternError}</div>
+            )}
+          </>
+        )}
+
+        {localeConfig.mode === "column" && (
+          <div className="grid grid-cols-2 gap-2">
+            {[
+              ["localeColumn", "Locale column"],
+              ["groupColumn", "Group column"],
+            ].map(([field, label]) => (
+              <label key={field}>
+                {label}
+                <select
+                  value={localeConfig[field]}
+                  onChange={(e) =>
+                    updateLocaleConfig({ [field]: e.target.value })
+                  }
+                  className="mt-1 w-full text-xs px-1 py-1 border rounded bg-white text-gray-600"
+                >
+                  <option value="">None</option>
+                  {headers.map((h) => (
+                    <option key={h} value={h}>
+                      {h}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+        )}
+
+        {report && (
+          <div className="bg-slate-50 p-2 rounded text-slate-600 space-y-1">
+            <div>
+              {report.groups} translation group
+              {report.groups !== 1 ? "s" : ""}:{" "}
+              {Object.entries(report.perLocale)
+                .map(([l, n]) => `${n} ${l}`)
+                .join(", ")}
+            </div>
+            {report.issues.length > 0 && (
+              <details>
+                <summary className="cursor-pointer text-rose-700">
+                  {report.issues.length} translation issue
+                  {report.issues.length !== 1 ? "s" : ""}
+                </summary>
+                <div className="mt-1 max-h-32 overflow-auto">
+                  {report.issues.slice(0, 200).map((issue, i) => (
+                    <div key={i}>
+                      Row {issue.row}: {issue.message}
+                    </div>
+                  ))}
+                  {report.issues.length > 200 && (
+                    <div>…and {report.issues.length - 200} more</div>
+                  )}
+                </div>
+              </details>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,377 @@
+/**
+ * LookupsPanel.js
+ *
+ * Lookup editor (see lib/lookup.js): reference CSVs joined to the rows on a
+ * key column and the columns they bring in, with the rows the last
+ * conversion found no match for. Lookups are part of the mapping; their
+ * tables ({ name, headers, records } by lookup id) are never saved.
+ *
+ * convertedLookups are the lookups of the last conversion, whose unmatched
+ * rows (unmatchedRows: [{ row, lookup, key }]) are listed.
+ */
+
+import { useMemo } from "react";
+import { Link2, Plus, Trash2 } from "lucide-react";
+import { CSVParseError } from "@/lib/csv";
+import { sniffCSV } from "@/lib/sniff";
+import { SNIFF_BYTES, readLookupCSV } from "@/lib/convert";
+import { indexLookupTable, lookupLabel } from "@/lib/lookup";
+
+// Unmatched rows listed per lookup
+const MAX_UNMATCHED_SHOWN = 50;
+
+// Reference CSVs are small and read whole; encoding and dialect detected
+const readLookupFile = async (refFile) => {
+  const bytes = new Uint8Array(await refFile.arrayBuffer());
+  const { encoding } = sniffCSV(bytes.subarray(0, SNIFF_BYTES));
+  return {
+    name: refFile.name,
+    ...readLookupCSV(new TextDecoder(encoding).decode(bytes)),
+  };
+};
+
+export default function LookupsPanel({
+  lookups,
+  setLookups,
+  lookupTables,
+  setLookupTables,
+  lookupPlan,
+  fileHeaders,
+  unmatchedRows,
+  convertedLookups,
+  setStatus,
+}) {
+  const detectedHeaders = lookupPlan.headers;
+
+  // Read a reference CSV from a file input; null (with a status) when it
+  // cannot be used
+  const takeLookupFile = async (e) => {
+    const input = e.target;
+    const refFile = input.files?.[0];
+    input.value = "";
+    if (!refFile) return null;
+    try {
+      const table = await readLookupFile(refFile);
+      if (table.headers.length === 0) {
+        setStatus({ type: "error", message: `${refFile.name} is empty.` });
+        return null;
+      }
+      return table;
+    } catch (err) {
+      console.error("Lookup CSV error:", err);
+      setStatus({
+        type: "error",
+        message:
+          err instanceof CSVParseError
+            ? `Malformed CSV in ${refFile.name}: ${err.message}`
+            : `Could not read ${refFile.name}.`,
+      });
+      return null;
+    }
+  };
+
+  // New lookup: keys guessed from a column both files have (codes first),
+  // every other reference column brought in
+  const addLookup = async (e) => {
+    const table = await takeLookupFile(e);
+    if (!table) return;
+    const shared = table.headers.filter((h) => detectedHeaders.includes(h));
+    const key = shared.find((h) => h.endsWith("_code")) ?? shared[0] ?? "";
+    const id = `lookup_${Date.now().toString(36)}`;
+    setLookupTables((prev) => ({ ...prev, [id]: table }));
+    setLookups((prev) => [
+      ...prev,
+      {
+        id,
+        name: table.name.replace(/\.[^.]+$/, ""),
+        sourceKey: key,
+        lookupKey:
+          key || (table.headers.find((h) => h.endsWith("_code")) ?? ""),
+        columns: table.headers.filter(
+          (h) => h !== key && !detectedHeaders.includes(h)
+        ),
+        prefix: "",
+      },
+    ]);
+    setStatus({
+      type: "success",
+      message: `Loaded ${table.records.length} reference row${
+        table.records.length !== 1 ? "s" : ""
+      } from ${table.name}.`,
+    });
+  };
+
+  // Attach (or replace) the reference CSV of a lookup, e.g. one from a profile
+  const attachLookupTable = async (id, e) => {
+    const table = await takeLookupFile(e);
+    if (table) setLookupTables((prev) => ({ ...prev, [id]: table }));
+  };
+
+  const updateLookup = (index, patch) => {
+    setLookups((prev) =>
+      prev.map((l, i) => (i === index ? { ...l, ...patch } : l))
+    );
+  };
+
+  const toggleLookupColumn = (index, column) => {
+    setLookups((prev) =>
+      prev.map((l, i) =>
+        i === index
+          ? {
+              ...l,
+              columns: l.columns.includes(column)
+                ? l.columns.filter((c) => c !== column)
+                : [...l.columns, column],
+            }
+          : l
+      )
+    );
+  };
+
+  const removeLookup = (index) => {
+    const id = lookups[index]?.id;
+    setLookups((prev) => prev.filter((_, i) => i !== index));
+    setLookupTables((prev) => {
+      const next = { ...prev };
+      delete next[id];
+      return next;
+    });
+  };
+
+  // Rows each lookup found no match for in the last conversion, and the keys
+  // each reference table repeats (the first row is used)
+  const unmatchedByLookup = useMemo(() => {
+    const byLookup = {};
+    unmatchedRows.forEach((u) => {
+      (byLookup[u.lookup] ??= []).push(u);
+    });
+    return byLookup;
+  }, [unmatchedRows]);
+  const lookupDuplicates = useMemo(
+    () =>
+      Object.fromEntries(
+        lookups.map((l) => [
+          l.id,
+          lookupTables[l.id]
+            ? indexLookupTable(lookupTables[l.id], l.lookupKey).duplicates
+            : [],
+        ])
+      ),
+    [lookups, lookupTables]
+  );
+  // Columns a lookup can join on: the file's and those earlier lookups add
+  const lookupKeyColumns = (index) => {
+    const earlier = new Set(lookups.slice(0, index).map((l) => l.id));
+    return [
+      ...fileHeaders,
+      ...lookupPlan.added
+        .filter((a) => earlier.has(a.lookup))
+        .map((a) => a.header),
+    ];
+  };
+
+  return (
+    <div className="mt-4 bg-white p-3 rounded-md border border-slate-100 text-sm">
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center gap-2 font-medium text-slate-700">
+          <Link2 className="w-4 h-4 text-slate-500" />
+          Lookups
+        </div>
+        <label className="inline-flex items-center gap-1 px-2 py-1 rounded bg-slate-50 hover:bg-slate-100 text-xs text-gray-600 cursor-pointer">
+          <Plus className="w-3 h-3" />
+          Add lookup CSV
+          <input
+            type="file"
+            accept=".csv,text/csv"
+            onChange={addLookup}
+            className="hidden"
+          />
+        </label>
+      </div>
+      <div className="text-xs text-slate-500 mb-2">
+        Bring in columns from reference CSVs (managers, contacts, parking)
+        matched on a key column. Keys ignore case and surrounding spaces; added
+        columns are assigned like the file&apos;s own.
+      </div>
+
+      <div className="space-y-2">
+        {lookups.map((lookup, idx) => {
+          const table = lookupTables[lookup.id];
+          const unmatched = unmatchedByLookup[lookup.id] ?? [];
+          const duplicates = lookupDuplicates[lookup.id] ?? [];
+          return (
+            <div
+              key={lookup.id}
+              className="p-2 rounded border border-slate-100 bg-slate-50 space-y-1 text-xs"
+            >
+              <div className="flex items-center gap-2">
+                <input
+                  value={lookup.name}
+                  onChange={(e) => updateLookup(idx, { name: e.target.value })}
+                  placeholder={lookupLabel(lookup, idx)}
+                  className="flex-1 min-w-0 px-1 py-1 border rounded text-gray-600 bg-white"
+                />
+                <label
+                  className="px-2 py-1 rounded bg-white border hover:bg-slate-100 text-gray-600 cursor-pointer"
+                  title={
+                    table
+                      ? `${table.name}, ${table.records.length} rows`
+                      : "Attach the reference CSV"
+                  }
+                >
+                  {table ? "Replace CSV" : "Attach CSV"}
+                  <input
+                    type="file"
+                    accept=".csv,text/csv"
+                    onChange={(e) => attachLookupTable(lookup.id, e)}
+                    className="hidden"
+                  />
+                </label>
+                <button
+                  onClick={() => removeLookup(idx)}
+                  className="p-1 rounded bg-rose-100 text-rose-700 hover:bg-rose-200"
+                  title="Remove lookup"
+                >
+                  <Trash2 className="w-3 h-3" />
+                </button>
+              </div>
+
+              {table ? (
+                <>
+                  <div className="text-slate-500">
+                    {table.name} · {table.records.length} row
+                    {table.records.length !== 1 ? "s" : ""}
+                  </div>
+                  <div className="flex items-center gap-1">
+                    <span className="text-slate-400">Join</span>
+                    <select
+                      value={lookup.sourceKey}
+                      onChange={(e) =>
+                        updateLookup(idx, {
+                          sourceKey: e.target.value,
+                        })
+                      }
+                      className="flex-1 min-w-0 px-1 py-1 border rounded bg-white text-gray-600"
+                    >
+                      <option value="">File column</option>
+                      {lookupKeyColumns(idx).map((h) => (
+                        <option key={h} value={h}>
+                          {h}
+                        </option>
+                      ))}
+                    </select>
+                    <span className="text-slate-400">=</span>
+                    <select
+                      value={lookup.lookupKey}
+                      onChange={(e) =>
+                        updateLookup(idx, {
+                          lookupKey: e.target.value,
+                        })
+                      }
+                      className="flex-1 min-w-0 px-1 py-1 border rounded bg-white text-gray-600"
+                    >
+                      <option value="">Reference column</option>
+                      {table.headers.map((h) => (
+                        <option key={h} value={h}>
+                          {h}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="flex items-center gap-1">
+                    <span className="text-slate-400">Prefix</span>
+                    <input
+                      value={lookup.prefix}
+                      onChange={(e) =>
+                        updateLookup(idx, {
+                          prefix: e.target.value.trim().toLowerCase(),
+                        })
+                      }
+                      placeholder="none"
+                      className="w-28 px-1 py-1 border rounded text-gray-600 bg-white"
+                    />
+                  </div>
+                  <div className="flex flex-wrap gap-x-3 gap-y-1">
+                    {table.headers
+                      .filter((h) => h !== lookup.lookupKey)
+                      .map((h) => (
+                        <label
+                          key={h}
+                          className="inline-flex items-center gap-1 text-gray-600"
+                        >
+                          <input
+                            type="checkbox"
+                            checked={lookup.columns.includes(h)}
+                            onChange={() => toggleLookupColumn(idx, h)}
+                          />
+                          {`${lookup.prefix}${h}`}
+                        </label>
+                      ))}
+                  </div>
+                  {duplicates.length > 0 && (
+                    <div className="text-amber-700">
+                      {duplicates.length} key
+                      {duplicates.length !== 1 ? "s" : ""} repeat in the
+                      reference; the first row is used (
+                      {duplicates.slice(0, 5).join(", ")}
+                      {duplicates.length > 5 ? ", …" : ""})
+                    </div>
+                  )}
+                </>
+              ) : (
+                <div className="text-amber-700">
+                  Attach {lookup.name || "the reference CSV"} to bring in{" "}
+                  {lookup.columns.length} column
+                  {lookup.columns.length !== 1 ? "s" : ""}.
+                </div>
+              )}
+
+              {convertedLookups.some((l) => l.id === lookup.id) && (
+                <div>
+                  <div
+                    className={
+                      unmatched.length > 0 ? "text-amber-700" : "text-slate-500"
+                    }
+                  >
+                    {unmatched.length} row
+                    {unmatched.length !== 1 ? "s" : ""} without a match
+                  </div>
+                  {unmatched.length > 0 && (
+                    <div className="mt-1 max-h-32 overflow-auto rounded bg-white border border-slate-100 px-2 py-1 text-slate-600">
+                      {unmatched.slice(0, MAX_UNMATCHED_SHOWN).map((u) => (
+                        <div key={u.row}>
+                          Row {u.row}:{" "}
+                          {u.key.trim() ? (
+                            <span className="font-mono">{u.key}</span>
+                          ) : (
+                            <span className="italic text-slate-400">
+                              empty key
+                            </span>
+                          )}
+                        </div>
+                      ))}
+                      {unmatched.length > MAX_UNMATCHED_SHOWN && (
+                        <div className="text-slate-400">
+                          …and {unmatched.length - MAX_UNMATCHED_SHOWN} more
+                        </div>
+                      )}
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {lookupPlan.problems.length > 0 && (
+        <div className="mt-2 text-xs text-amber-700 space-y-0.5">
+          <div>Fix before converting:</div>
+          {lookupPlan.problems.map((p) => (
+            <div key={p}>{p}</div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,429 @@
+/**
+ * PreviewGrid.js
+ *
+ * The virtualized preview table over all converted entries (see
+ * lib/grid.js): columns grouped by section, a global search, per-column
+ * filters, sorting and in-place cell edits. Only the rows inside the
+ * scrolled viewport (plus overscan) are rendered.
+ *
+ * Edits are kept by the page, which re-runs the conversion with them:
+ * editingCell ({ row, columnId, value }) is the open cell editor and
+ * onCommitEdit(row, header, value, original) / onRevertEdit(row, header)
+ * change one cell. The search, filters, sort and scroll position survive
+ * switching to another preview tab (visible false).
+ */
+
+import { useEffect, useMemo, useRef, useState } from "react";
+import { ChevronDown, ChevronUp, Pencil, RotateCcw, X } from "lucide-react";
+import {
+  gridColumns,
+  gridColumnGroups,
+  gridColumnHeader,
+  buildGridRows,
+  filterGridRows,
+  sortGridRows,
+} from "@/lib/grid";
+
+// Fixed row height (px), the box height (px, as its h-[520px] class) and
+// rows rendered beyond the viewport
+const GRID_ROW_HEIGHT = 32;
+const GRID_VIEWPORT_HEIGHT = 520;
+const GRID_OVERSCAN = 10;
+
+const truncate = (s, n = 140) => {
+  const str = String(s ?? "");
+  if (str.length <= n) return str;
+  return str.slice(0, n) + "…";
+};
+
+export default function PreviewGrid({
+  visible,
+  entries,
+  sections,
+  headers,
+  routes,
+  duplicateRouteRows,
+  invalidRows,
+  lastRun,
+  cellEdits,
+  editedCellCount,
+  editingCell,
+  setEditingCell,
+  onCommitEdit,
+  onRevertEdit,
+  onRevertAll,
+  isProcessing,
+  onShowCell,
+}) {
+  // Global search, per-column filters ({ [columnId]: text }), sort
+  // ({ id, direction } or null) and the scroll offset for virtualization
+  const [gridSearch, setGridSearch] = useState("");
+  const [gridFilters, setGridFilters] = useState({});
+  const [gridSort, setGridSort] = useState(null);
+  const [gridScrollTop, setGridScrollTop] = useState(0);
+  const gridBoxRef = useRef(null);
+  // The box is mounted again each time the table tab is shown and gets its
+  // last offset back, kept here as well since it outlives the box
+  const scrollTopRef = useRef(0);
+  const scrollGridTo = (top) => {
+    scrollTopRef.current = top;
+    setGridScrollTop(top);
+  };
+  useEffect(() => {
+    if (visible && gridBoxRef.current) {
+      gridBoxRef.current.scrollTop = scrollTopRef.current;
+    }
+  }, [visible]);
+
+  // Preview grid over all entries: columns grouped by section, then the
+  // rows left by the search and column filters, in the chosen order
+  const gridCols = useMemo(
+    () =>
+      gridColumns(
+        entries,
+        sections.map((s) => s.name)
+      ),
+    [entries, sections]
+  );
+  const gridRows = useMemo(
+    () => buildGridRows(entries, gridCols, routes),
+    [entries, gridCols, routes]
+  );
+  const gridView = useMemo(() => {
+    const filtered = filterGridRows(gridRows, gridCols, {
+      search: gridSearch,
+      filters: gridFilters,
+    });
+    const sortIndex = gridSort
+      ? gridCols.findIndex((c) => c.id === gridSort.id)
+      : -1;
+    return sortIndex === -1
+      ? filtered
+      : sortGridRows(filtered, sortIndex, gridSort.direction);
+  }, [gridRows, gridCols, gridSearch, gridFilters, gridSort]);
+  const gridFiltered =
+    gridSearch.trim() !== "" ||
+    Object.values(gridFilters).some((v) => v.trim() !== "");
+  // Only the rows inside the scrolled viewport (plus overscan) are rendered
+  const gridStart = Math.max(
+    0,
+    Math.floor(gridScrollTop / GRID_ROW_HEIGHT) - GRID_OVERSCAN
+  );
+  const gridEnd = Math.min(
+    gridView.length,
+    gridStart +
+      Math.ceil(GRID_VIEWPORT_HEIGHT / GRID_ROW_HEIGHT) +
+      GRID_OVERSCAN * 2
+  );
+
+  // Source header behind each grid column, as of the last conversion
+  // (null: not editable)
+  const gridHeaders = useMemo(
+    () =>
+      lastRun
+        ? gridCols.map((col) =>
+            gridColumnHeader(col, {
+              headers,
+              ...lastRun.config,
+            })
+          )
+        : gridCols.map(() => null),
+    [gridCols, lastRun, headers]
+  );
+
+  // New search, filter or sort: start again from the first row
+  const scrollGridToTop = () => {
+    if (gridBoxRef.current) gridBoxRef.current.scrollTop = 0;
+    scrollGridTo(0);
+  };
+
+  // Ascending, then descending, then entry order
+  const toggleGridSort = (id) => {
+    scrollGridToTop();
+    setGridSort((prev) => {
+      if (!prev || prev.id !== id) return { id, direction: "asc" };
+      if (prev.direction === "asc") return { id, direction: "desc" };
+      return null;
+    });
+  };
+
+  const showGridCell = (gridRow, col, idx) => {
+    const text = gridRow.text[idx];
+    if (!text) return;
+    onShowCell({
+      title: `Row ${gridRow.row} · ${col.group ? `${col.group} / ` : ""}${
+        col.key
+      }`,
+      content: text,
+    });
+  };
+
+  if (!visible) return null;
+
+  return (
+    <>
+      <div className="flex items-center gap-2 mb-2">
+        <input
+          type="text"
+          value={gridSearch}
+          onChange={(e) => {
+            scrollGridToTop();
+            setGridSearch(e.target.value);
+          }}
+          placeholder="Search all columns"
+          className="flex-1 px-2 py-1 border rounded text-sm text-gray-600"
+        />
+        {gridFiltered && (
+          <span className="text-xs text-slate-500">
+            {gridView.length} of {entries.length} rows match
+          </span>
+        )}
+        {editedCellCount > 0 && (
+          <button
+            onClick={onRevertAll}
+            disabled={isProcessing}
+            className="inline-flex items-center gap-1 px-2 py-1 rounded bg-amber-50 hover:bg-amber-100 text-xs text-amber-800 disabled:opacity-50"
+            title="Revert all edits"
+          >
+            <RotateCcw className="w-3 h-3" />
+            {editedCellCount} edited cell
+            {editedCellCount !== 1 ? "s" : ""}
+          </button>
+        )}
+        {(gridFiltered || gridSort) && (
+          <button
+            onClick={() => {
+              scrollGridToTop();
+              setGridSearch("");
+              setGridFilters({});
+              setGridSort(null);
+            }}
+            className="inline-flex items-center gap-1 px-2 py-1 rounded bg-slate-50 hover:bg-slate-100 text-xs text-slate-700"
+          >
+            <X className="w-3 h-3" />
+            Clear
+          </button>
+        )}
+      </div>
+
+      <div
+        ref={gridBoxRef}
+        className="h-[520px] overflow-auto rounded-md border border-slate-100"
+        onScroll={(e) => scrollGridTo(e.currentTarget.scrollTop)}
+      >
+        <table
+          className="table-fixed text-sm"
+          style={{ width: `${4 + gridCols.length * 12}rem` }}
+        >
+          <colgroup>
+            <col className="w-16" />
+            {gridCols.map((col) => (
+              <col key={col.id} className="w-48" />
+            ))}
+          </colgroup>
+          <thead className="bg-slate-50 sticky top-0 z-10">
+            <tr>
+              <th className="border-b border-slate-100" />
+              {gridColumnGroups(gridCols).map(({ group, span }, idx) => (
+                <th
+                  key={idx}
+                  colSpan={span}
+                  className="text-left px-3 pt-2 text-xs font-semibold text-slate-600 border-l border-slate-200 truncate"
+                >
+                  {group ?? "Entry"}
+                </th>
+              ))}
+            </tr>
+            <tr>
+              <th className="text-left px-3 py-1 text-xs text-slate-500">#</th>
+              {gridCols.map((col) => (
+                <th
+                  key={col.id}
+                  className="text-left px-3 py-1 text-xs text-slate-500"
+                >
+                  <button
+                    onClick={() => toggleGridSort(col.id)}
+                    className="inline-flex items-center gap-1 max-w-full hover:text-slate-800"
+                    title="Sort"
+                  >
+                    <span className="truncate">{col.key}</span>
+                    {gridSort?.id === col.id &&
+                      (gridSort.direction === "asc" ? (
+                        <ChevronUp className="w-3 h-3 shrink-0" />
+                      ) : (
+                        <ChevronDown className="w-3 h-3 shrink-0" />
+                      ))}
+                  </button>
+                </th>
+              ))}
+            </tr>
+            <tr>
+              <th className="px-2 pb-2" />
+              {gridCols.map((col) => (
+                <th key={col.id} className="px-2 pb-2 font-normal">
+                  <input
+                    type="text"
+                    value={gridFilters[col.id] ?? ""}
+                    onChange={(e) => {
+                      scrollGridToTop();
+                      setGridFilters((prev) => ({
+                        ...prev,
+                        [col.id]: e.target.value,
+                      }));
+                    }}
+                    placeholder="Filter"
+                    className="w-full px-1 py-0.5 border rounded text-xs text-gray-600 bg-white"
+                  />
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {gridStart > 0 && (
+              <tr style={{ height: gridStart * GRID_ROW_HEIGHT }} />
+            )}
+            {gridView.slice(gridStart, gridEnd).map((gridRow, i) => {
+              const idx = gridStart + i;
+              return (
+                <tr
+                  key={gridRow.row}
+                  style={{ height: GRID_ROW_HEIGHT }}
+                  className={idx % 2 === 0 ? "bg-white" : "bg-slate-50"}
+                >
+                  <td
+                    className={`px-3 text-xs ${
+                      invalidRows.has(gridRow.row)
+                        ? "text-amber-700 font-medium"
+                        : "text-slate-400"
+                    }`}
+                    title={
+                      invalidRows.has(gridRow.row)
+                        ? "Row has issues"
+                        : undefined
+                    }
+                  >
+                    {gridRow.row}
+                  </td>
+                  {gridCols.map((col, c) => {
+                    const header = gridHeaders[c];
+                    const edit = header
+                      ? cellEdits[gridRow.row]?.[header]
+                      : undefined;
+                    const duplicateRoute =
+                      col.id === "route_url" &&
+                      duplicateRouteRows.has(gridRow.row);
+                    if (
+                      editingCell?.row === gridRow.row &&
+                      editingCell.columnId === col.id
+                    ) {
+                      const commit = () =>
+                        onCommitEdit(
+                          gridRow.row,
+                          header,
+                          editingCell.value,
+                          gridRow.text[c]
+                        );
+                      return (
+                        <td key={col.id} className="px-1">
+                          <div className="flex items-center gap-1">
+                            <input
+                              type="text"
+                              autoFocus
+                              value={editingCell.value}
+                              onChange={(e) =>
+                                setEditingCell({
+                                  ...editingCell,
+                                  value: e.target.value,
+                                })
+                              }
+                              onKeyDown={(e) => {
+                                if (e.key === "Enter") commit();
+                                if (e.key === "Escape") {
+                                  setEditingCell(null);
+                                }
+                              }}
+                              onBlur={commit}
+                              className="flex-1 min-w-0 px-1 py-0.5 border border-indigo-300 rounded text-xs text-gray-700 bg-white"
+                            />
+                            {edit && (
+                              <button
+                                // keep the input from committing first
+                                onMouseDown={(e) => e.preventDefault()}
+                                onClick={() =>
+                                  onRevertEdit(gridRow.row, header)
+                                }
+                                className="p-0.5 rounded hover:bg-slate-100 text-slate-500"
+                                title={`Revert to "${edit.original}"`}
+                              >
+                                <RotateCcw className="w-3 h-3" />
+                              </button>
+                            )}
+                          </div>
+                        </td>
+                      );
+                    }
+                    return (
+                      <td
+                        key={col.id}
+                        onClick={() => showGridCell(gridRow, col, c)}
+                        className={`group relative px-3 text-xs truncate cursor-pointer ${
+                          duplicateRoute
+                            ? "text-rose-700 bg-rose-50"
+                            : edit
+                            ? "text-amber-900 bg-amber-50"
+                            : "text-slate-700"
+                        }`}
+                        title={
+                          duplicateRoute
+                            ? "Same route as an earlier row"
+                            : edit
+                            ? `Edited (was "${edit.original}")`
+                            : undefined
+                        }
+                      >
+                        {truncate(gridRow.text[c])}
+                        {header && !isProcessing && (
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              setEditingCell({
+                                row: gridRow.row,
+                                columnId: col.id,
+                                value: edit ? edit.value : gridRow.text[c],
+                              });
+                            }}
+                            className="absolute right-1 top-1/2 -translate-y-1/2 p-0.5 rounded bg-white border border-slate-200 text-slate-500 hover:text-slate-800 hidden group-hover:block"
+                            title="Edit cell"
+                          >
+                            <Pencil className="w-3 h-3" />
+                          </button>
+                        )}
+                      </td>
+                    );
+                  })}
+                </tr>
+              );
+            })}
+            {gridView.length === 0 && (
+              <tr>
+                <td
+                  colSpan={gridCols.length + 1}
+                  className="px-3 py-6 text-center text-xs text-slate-400"
+                >
+                  No rows match the search and filters.
+                </td>
+              </tr>
+            )}
+            {gridEnd < gridView.length && (
+              <tr
+                style={{
+                  height: (gridView.length - gridEnd) * GRID_ROW_HEIGHT,
+                }}
+              />
+            )}
+          </tbody>
+        </table>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,277 @@
+/**
+ * RowFiltersPanel.js
+ *
+ * Editor for the rules that keep rows out of the conversion (see
+ * lib/filters.js), with the rows each rule excluded last time and a
+ * download of the excluded rows.
+ */
+
+import { useMemo } from "react";
+import { Download, Funnel, Plus, Trash2, X } from "lucide-react";
+import {
+  FILTER_MATCH_MODES,
+  FILTER_OPERATORS,
+  countExcluded,
+  getFilterProblems,
+  operatorTakesValue,
+  ruleLabel,
+} from "@/lib/filters";
+
+export default function RowFiltersPanel({
+  rowFilters,
+  setRowFilters,
+  headers,
+  excludedRows,
+  converted,
+  onDownloadExcluded,
+}) {
+  // Row filter rules and their conditions, by index
+  const updateFilterRule = (index, patch) => {
+    setRowFilters((prev) => ({
+      ...prev,
+      rules: prev.rules.map((r, i) => (i === index ? { ...r, ...patch } : r)),
+    }));
+  };
+
+  const addFilterRule = () => {
+    setRowFilters((prev) => ({
+      ...prev,
+      rules: [
+        ...prev.rules,
+        {
+          id: `rule_${Date.now().toString(36)}`,
+          name: "",
+          match: "all",
+          conditions: [{ column: "", operator: "eq", value: "" }],
+        },
+      ],
+    }));
+  };
+
+  const removeFilterRule = (index) => {
+    setRowFilters((prev) => ({
+      ...prev,
+      rules: prev.rules.filter((_, i) => i !== index),
+    }));
+  };
+
+  const updateFilterCondition = (index, condIndex, patch) => {
+    setRowFilters((prev) => ({
+      ...prev,
+      rules: prev.rules.map((r, i) =>
+        i === index
+          ? {
+              ...r,
+              conditions: r.conditions.map((c, ci) =>
+                ci === condIndex ? { ...c, ...patch } : c
+              ),
+            }
+          : r
+      ),
+    }));
+  };
+
+  const addFilterCondition = (index) => {
+    setRowFilters((prev) => ({
+      ...prev,
+      rules: prev.rules.map((r, i) =>
+        i === index
+          ? {
+              ...r,
+              conditions: [
+                ...r.conditions,
+                { column: "", operator: "eq", value: "" },
+              ],
+            }
+          : r
+      ),
+    }));
+  };
+
+  const removeFilterCondition = (index, condIndex) => {
+    setRowFilters((prev) => ({
+      ...prev,
+      rules: prev.rules.map((r, i) =>
+        i === index
+          ? {
+              ...r,
+              conditions: r.conditions.filter((_, ci) => ci !== condIndex),
+            }
+          : r
+      ),
+    }));
+  };
+
+  // Rows each rule excluded in the last conversion, and config problems
+  const excludedCounts = useMemo(
+    () => countExcluded(excludedRows),
+    [excludedRows]
+  );
+  const filterProblems = getFilterProblems(rowFilters, headers);
+
+  return (
+    <div className="mt-4 bg-white p-3 rounded-md border border-slate-100 text-sm">
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center gap-2 font-medium text-slate-700">
+          <Funnel className="w-4 h-4 text-slate-500" />
+          Row filters
+        </div>
+        <button
+          onClick={addFilterRule}
+          className="inline-flex items-center gap-1 px-2 py-1 rounded bg-slate-50 hover:bg-slate-100 text-xs text-gray-600"
+        >
+          <Plus className="w-3 h-3" />
+          Add rule
+        </button>
+      </div>
+      <div className="text-xs text-slate-500 mb-2">
+        Rows matching any rule are left out of the conversion. Values compare as
+        text, ignoring case; lists are comma-separated.
+      </div>
+
+      <div className="space-y-2">
+        {rowFilters.rules.map((rule, idx) => (
+          <div
+            key={rule.id}
+            className="p-2 rounded border border-slate-100 bg-slate-50 space-y-1 text-xs"
+          >
+            <div className="flex items-center gap-2">
+              <input
+                value={rule.name}
+                onChange={(e) =>
+                  updateFilterRule(idx, { name: e.target.value })
+                }
+                placeholder={ruleLabel(rule, idx)}
+                className="flex-1 min-w-0 px-1 py-1 border rounded text-gray-600 bg-white"
+              />
+              <select
+                value={rule.match}
+                onChange={(e) =>
+                  updateFilterRule(idx, { match: e.target.value })
+                }
+                className="px-1 py-1 border rounded bg-white text-gray-600"
+              >
+                {FILTER_MATCH_MODES.map((m) => (
+                  <option key={m.value} value={m.value}>
+                    {m.label}
+                  </option>
+                ))}
+              </select>
+              <button
+                onClick={() => removeFilterRule(idx)}
+                className="p-1 rounded bg-rose-100 text-rose-700 hover:bg-rose-200"
+                title="Remove rule"
+              >
+                <Trash2 className="w-3 h-3" />
+              </button>
+            </div>
+
+            {rule.conditions.map((cond, ci) => (
+              <div key={ci} className="flex items-center gap-1">
+                <span className="w-8 text-right text-slate-400">
+                  {ci === 0 ? "if" : rule.match === "any" ? "or" : "and"}
+                </span>
+                <select
+                  value={cond.column}
+                  onChange={(e) =>
+                    updateFilterCondition(idx, ci, {
+                      column: e.target.value,
+                    })
+                  }
+                  className="flex-1 min-w-0 px-1 py-1 border rounded bg-white text-gray-600"
+                >
+                  <option value="">Column</option>
+                  {headers.map((h) => (
+                    <option key={h} value={h}>
+                      {h}
+                    </option>
+                  ))}
+                </select>
+                <select
+                  value={cond.operator}
+                  onChange={(e) =>
+                    updateFilterCondition(idx, ci, {
+                      operator: e.target.value,
+                    })
+                  }
+                  className="px-1 py-1 border rounded bg-white text-gray-600"
+                >
+                  {FILTER_OPERATORS.map((op) => (
+                    <option key={op.value} value={op.value}>
+                      {op.label}
+                    </option>
+                  ))}
+                </select>
+                {operatorTakesValue(cond.operator) && (
+                  <input
+                    value={cond.value}
+                    onChange={(e) =>
+                      updateFilterCondition(idx, ci, {
+                        value: e.target.value,
+                      })
+                    }
+                    placeholder={
+                      cond.operator === "in" || cond.operator === "not_in"
+                        ? "Test, Demo"
+                        : "Value"
+                    }
+                    className="flex-1 min-w-0 px-1 py-1 border rounded text-gray-600 bg-white"
+                  />
+                )}
+                <button
+                  onClick={() => removeFilterCondition(idx, ci)}
+                  className="p-1 rounded hover:bg-slate-200 text-slate-500"
+                  title="Remove condition"
+                >
+                  <X className="w-3 h-3" />
+                </button>
+              </div>
+            ))}
+
+            <div className="flex items-center justify-between">
+              <button
+                onClick={() => addFilterCondition(idx)}
+                className="inline-flex items-center gap-1 px-1 text-indigo-600 hover:text-indigo-800"
+              >
+                <Plus className="w-3 h-3" />
+                Condition
+              </button>
+              {converted && (
+                <span className="text-slate-500">
+                  Excludes {excludedCounts[rule.id] ?? 0} row
+                  {excludedCounts[rule.id] === 1 ? "" : "s"}
+                </span>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {filterProblems.length > 0 && (
+        <div className="mt-2 text-xs text-amber-700 space-y-0.5">
+          <div>Ignored until fixed:</div>
+          {filterProblems.map((p) => (
+            <div key={p}>{p}</div>
+          ))}
+        </div>
+      )}
+
+      {excludedRows.length > 0 && (
+        <div className="mt-2 flex items-center justify-between text-xs text-slate-500">
+          <span>
+            {excludedRows.length} row
+            {excludedRows.length !== 1 ? "s" : ""} excluded in the last
+            conversion
+          </span>
+          <button
+            onClick={onDownloadExcluded}
+            className="inline-flex items-center gap-1 px-2 py-1 rounded bg-slate-50 hover:bg-slate-100 text-slate-700"
+          >
+            <Download className="w-3 h-3" />
+            Excluded rows CSV
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,242 @@
+/**
+ * TaxonomyPanel.js
+ *
+ * Editor for the columns that become taxonomy_terms (see lib/taxonomy.js):
+ * vocabularies, their columns or hierarchy levels and the output format,
+ * plus the distinct terms the next export creates.
+ *
+ * entries are the converted entries and invalidRows the row numbers with
+ * issues, left out of the summary when the export policy skips them.
+ */
+
+import React, { useMemo } from "react";
+import { Plus, X } from "lucide-react";
+import { TAXONOMY_FORMATS, summarizeTaxonomy } from "@/lib/taxonomy";
+import { flattenEntry } from "@/lib/keys";
+
+export default function TaxonomyPanel({
+  taxonomyConfig,
+  setTaxonomyConfig,
+  headers,
+  columnKeys,
+  entries,
+  exportPolicy,
+  invalidRows,
+}) {
+  // Distinct terms the next export will create (rows the policy skips excluded)
+  const summary = useMemo(() => {
+    const exported =
+      exportPolicy === "skip"
+        ? entries.filter((_, idx) => !invalidRows.has(idx + 1))
+        : entries;
+    return summarizeTaxonomy(
+      exported.map((entry) => flattenEntry(entry, headers, columnKeys)),
+      taxonomyConfig
+    );
+  }, [entries, exportPolicy, invalidRows, taxonomyConfig, headers, columnKeys]);
+
+  const updateTaxonomyConfig = (patch) => {
+    setTaxonomyConfig((prev) => ({ ...prev, ...patch }));
+  };
+
+  const updateVocabulary = (index, patch) => {
+    setTaxonomyConfig((prev) => ({
+      ...prev,
+      vocabularies: prev.vocabularies.map((v, i) =>
+        i === index ? { ...v, ...patch } : v
+      ),
+    }));
+  };
+
+  const addVocabulary = () => {
+    setTaxonomyConfig((prev) => ({
+      ...prev,
+      vocabularies: [
+        ...prev.vocabularies,
+        { name: "tags", columns: [], hierarchical: false },
+      ],
+    }));
+  };
+
+  const removeVocabulary = (index) => {
+    setTaxonomyConfig((prev) => ({
+      ...prev,
+      vocabularies: prev.vocabularies.filter((_, i) => i !== index),
+    }));
+  };
+
+  return (
+    <div className="mt-4 bg-white p-3 rounded-md border border-slate-100 text-sm">
+      <div className="flex items-center justify-between mb-2">
+        <div className="font-medium text-slate-700">Taxonomy terms</div>
+        <div className="text-xs text-slate-400">taxonomy_terms</div>
+      </div>
+
+      <div className="space-y-2 text-xs text-slate-500">
+        {taxonomyConfig.vocabularies.map((vocab, vi) => (
+          <div key={vi} className="bg-slate-50 p-2 rounded space-y-1">
+            <div className="flex items-center gap-1">
+              <input
+                value={vocab.name}
+                onChange={(e) => updateVocabulary(vi, { name: e.target.value })}
+                placeholder="Vocabulary"
+                className="flex-1 min-w-0 px-1 py-1 border rounded text-gray-600 bg-white"
+              />
+              <label className="flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={vocab.hierarchical}
+                  onChange={(e) =>
+                    updateVocabulary(vi, {
+                      hierarchical: e.target.checked,
+                    })
+                  }
+                />
+                Hierarchy
+              </label>
+              <button
+                onClick={() => removeVocabulary(vi)}
+                className="p-1 rounded text-rose-600 hover:bg-rose-100"
+                title="Remove vocabulary"
+              >
+                <X className="w-3 h-3" />
+              </button>
+            </div>
+            <div className="flex flex-wrap items-center gap-1">
+              {vocab.columns.map((c, ci) => (
+                <React.Fragment key={c}>
+                  {ci > 0 && vocab.hierarchical && (
+                    <span className="text-slate-400">&gt;</span>
+                  )}
+                  <span className="inline-flex items-center gap-1 px-1.5 py-0.5 rounded bg-white border text-gray-600">
+                    {c}
+                    <button
+                      onClick={() =>
+                        updateVocabulary(vi, {
+                          columns: vocab.columns.filter((x) => x !== c),
+                        })
+                      }
+                      className="text-slate-400 hover:text-rose-600"
+                      title={`Remove ${c}`}
+                    >
+                      <X className="w-3 h-3" />
+                    </button>
+                  </span>
+                </React.Fragment>
+              ))}
+              <select
+                value=""
+                onChange={(e) =>
+                  e.target.value &&
+                  updateVocabulary(vi, {
+                    columns: [...vocab.columns, e.target.value],
+                  })
+                }
+                className="text-xs px-1 py-0.5 border rounded bg-white text-gray-600"
+              >
+                <option value="">
+                  {vocab.hierarchical ? "Add level…" : "Add column…"}
+                </option>
+                {headers
+                  .filter((h) => !vocab.columns.includes(h))
+                  .map((h) => (
+                    <option key={h} value={h}>
+                      {h}
+                    </option>
+                  ))}
+              </select>
+            </div>
+          </div>
+        ))}
+
+        <button
+          onClick={addVocabulary}
+          className="flex items-center gap-1 px-2 py-1 rounded bg-slate-50 hover:bg-slate-100 text-gray-600"
+        >
+          <Plus className="w-3 h-3" />
+          Add vocabulary
+        </button>
+
+        <label className="flex items-center justify-between gap-2">
+          Format
+          <select
+            value={taxonomyConfig.format}
+            onChange={(e) => updateTaxonomyConfig({ format: e.target.value })}
+            className="text-xs px-1 py-1 border rounded bg-white text-gray-600"
+          >
+            {TAXONOMY_FORMATS.map((f) => (
+              <option key={f.value} value={f.value}>
+                {f.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <div className="grid grid-cols-2 gap-2">
+          <label>
+            Path separator
+            <input
+              value={taxonomyConfig.pathSeparator}
+              onChange={(e) =>
+                updateTaxonomyConfig({
+                  pathSeparator: e.target.value,
+                })
+              }
+              className="mt-1 w-full px-1 py-1 border rounded text-gray-600 font-mono"
+            />
+          </label>
+          <label>
+            Term separator
+            <input
+              value={taxonomyConfig.termSeparator}
+              onChange={(e) =>
+                updateTaxonomyConfig({
+                  termSeparator: e.target.value,
+                })
+              }
+              disabled={taxonomyConfig.format === "json"}
+              className="mt-1 w-full px-1 py-1 border rounded text-gray-600 font-mono disabled:opacity-50"
+            />
+          </label>
+        </div>
+        <label className="flex items-center gap-1">
+          <input
+            type="checkbox"
+            checked={taxonomyConfig.includeAncestors}
+            onChange={(e) =>
+              updateTaxonomyConfig({
+                includeAncestors: e.target.checked,
+              })
+            }
+          />
+          Also emit parent terms (region, region &gt; province)
+        </label>
+
+        {entries.length > 0 && summary.length > 0 && (
+          <div className="bg-slate-50 p-2 rounded text-slate-600 space-y-1">
+            <div className="font-medium text-slate-700">
+              Distinct terms in this export
+            </div>
+            {summary.map((s) => (
+              <details key={s.vocabulary}>
+                <summary className="cursor-pointer">
+                  {s.vocabulary || "(no vocabulary)"}: {s.count} term
+                  {s.count !== 1 ? "s" : ""}
+                </summary>
+                <div className="mt-1 max-h-32 overflow-auto font-mono">
+                  {s.terms.slice(0, 200).map((t) => (
+                    <div key={t} className="truncate">
+                      {t}
+                    </div>
+                  ))}
+                  {s.terms.length > 200 && (
+                    <div>…and {s.terms.length - 200} more</div>
+                  )}
+                </div>
+              </details>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,498 @@
+/**
+ * convert.js
+ *
+ * The conversion engine: input + mapping -> { entries, issues }, free of
+ * React and of browser or Node APIs. The page's worker, the /api/convert
+ * route and the command-line converter all run it, so a saved mapping
+ * converts the same way everywhere.
+ *
+ *   convert(input, config)   whole input (CSV text or records) at once
+ *   createConverter(...)     record by record, for streamed input
+ *
+ * CSV text goes through what the page does for an uploaded file: dialect
+ * sniffing, type inference from the first rows, then the row transformer.
+ *
+ * Mapping shape: the mapping of a profile (see profiles.js)
+ *   { sections, columnMap, columnKeys, titlePattern, columnTypes,
+ *     columnRules, exportPolicy, geo, route, slug, taxonomy, locale,
+ *     rowFilters, lookups, timeZone }
+ * Missing keys get the page's defaults; geo and taxonomy columns are guessed
+ * from the headers, as for a file that matches no profile.
+ *
+ * Lookups (lookup.js) join reference tables that are passed next to the
+ * mapping; their columns follow the file's in headers and entries.
+ */
+
+import { createCSVTokenizer, normalizeHeaders, parseCSV } from "@/lib/csv";
+import { detectDialect } from "@/lib/sniff";
+import { inferColumnTypes } from "@/lib/types";
+import { createRowTransformer } from "@/lib/transform";
+import { DEFAULT_GEO_CONFIG, guessGeoColumns } from "@/lib/geo";
+import { DEFAULT_ROUTE_CONFIG } from "@/lib/route";
+import { DEFAULT_SLUG_OPTIONS } from "@/lib/slug";
+import { guessTaxonomyConfig, DEFAULT_TAXONOMY_CONFIG } from "@/lib/taxonomy";
+import { DEFAULT_LOCALE_CONFIG } from "@/lib/locale";
+import { getPatternError } from "@/lib/pattern";
+import { DEFAULT_TIME_ZONE, isValidTimeZone } from "@/lib/dates";
+import { RuleError, createRowValidator } from "@/lib/validation";
+import { DEFAULT_ROW_FILTERS, createRowFilter } from "@/lib/filters";
+import { describeKeyCollisions, findKeyCollisions } from "@/lib/keys";
+import {
+  DEFAULT_LOOKUPS,
+  createLookupJoiner,
+  readLookupTable,
+} from "@/lib/lookup";
+
+// Rows after the header used to infer column types
+export const TYPE_SAMPLE_ROWS = 200;
+// Bytes read for the dialect sniff and the type sample
+export const SNIFF_BYTES = 16 * 1024;
+
+export class ConvertError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "ConvertError";
+    this.code = code;
+  }
+}
+
+const isPlainObject = (v) =>
+  v !== null && typeof v === "object" && !Array.isArray(v);
+
+// A rule list as filters.js reads it: rules with a list of conditions
+const isRuleList = (rules) =>
+  Array.isArray(rules) &&
+  rules.every(
+    (rule) =>
+      isPlainObject(rule) &&
+      (rule.conditions === undefined ||
+        (Array.isArray(rule.conditions) &&
+          rule.conditions.every(isPlainObject)))
+  );
+
+const isText = (v) => typeof v === "string";
+const isTextList = (v) => Array.isArray(v) && v.every(isText);
+
+// Nested configs as their modules read them: field -> [check, shape]. A
+// field may be left out; present, it must pass, or a hand-edited mapping
+// fails with a TypeError deep inside the conversion.
+const CONFIG_SHAPES = {
+  geo: {
+    label: "Geo settings",
+    fields: {
+      latColumn: [isText, "a column name"],
+      lngColumn: [isText, "a column name"],
+      bbox: [isPlainObject, "an object"],
+    },
+  },
+  route: {
+    label: "Route settings",
+    fields: {
+      pattern: [isText, "text"],
+      prefix: [isText, "text"],
+      duplicates: [isText, "text"],
+      localePrefix: [isText, "text"],
+    },
+  },
+  slug: { label: "Slug options", fields: {} },
+  taxonomy: {
+    label: "Taxonomy settings",
+    fields: {
+      vocabularies: [
+        (v) =>
+          Array.isArray(v) &&
+          v.every(
+            (vocab) =>
+              isPlainObject(vocab) &&
+              isText(vocab.name) &&
+              isTextList(vocab.columns)
+          ),
+        "a list of vocabularies, each with a name and a list of columns",
+      ],
+    },
+  },
+  locale: {
+    label: "Locale settings",
+    fields: {
+      mode: [isText, "text"],
+      defaultLocale: [isText, "text"],
+      locales: [isText, "text"],
+      localeColumn: [isText, "a column name"],
+      groupColumn: [isText, "a column name"],
+      groupPattern: [isText, "text"],
+    },
+  },
+};
+
+// A lookup list as lookup.js reads it
+const isLookupList = (lookups) =>
+  Array.isArray(lookups) &&
+  lookups.every(
+    (lookup) =>
+      isPlainObject(lookup) &&
+      isText(lookup.id) &&
+      lookup.id !== "" &&
+      ["sourceKey", "lookupKey", "prefix", "name"].every(
+        (field) => lookup[field] == null || isText(lookup[field])
+      ) &&
+      (lookup.columns == null || isTextList(lookup.columns))
+  );
+
+const checkConfigShapes = (mapping, invalid) => {
+  Object.entries(CONFIG_SHAPES).forEach(([name, { label, fields }]) => {
+    const config = mapping[name];
+    if (config == null) return;
+    if (!isPlainObject(config)) throw invalid(`${label} must be an object.`);
+    Object.entries(fields).forEach(([field, [check, shape]]) => {
+      if (config[field] != null && !check(config[field])) {
+        throw invalid(`${label}: "${field}" must be ${shape}.`);
+      }
+    });
+  });
+  if (mapping.lookups != null && !isLookupList(mapping.lookups)) {
+    throw invalid(
+      "Lookups must be a list of lookups, each with an id and column names."
+    );
+  }
+};
+
+// Columns of one section must not share an output key, or the later one
+// overwrites the earlier one's value
+const checkOutputKeys = ({ sections, columnMap, columnKeys }, headers) => {
+  const sectionOf = (h) =>
+    (sections.find((s) => s.id === columnMap[h]) ?? sections[0]).id;
+  const message = describeKeyCollisions(
+    findKeyCollisions(headers, columnKeys, sectionOf)
+  );
+  if (message) throw new ConvertError(message, "invalid_mapping");
+};
+
+/**
+ * Column types inferred from sample records of the file. With a lookup
+ * joiner (see createLookupJoiner) the lookup columns are typed by the
+ * reference rows the sample joins to. The page infers its type defaults
+ * here too, so both type every column alike.
+ */
+export function inferSampleTypes(sample, fileHeaders, joiner = null) {
+  if (!joiner) return inferColumnTypes(fileHeaders, sample);
+  return inferColumnTypes(
+    joiner.headers,
+    sample.map((values) => joiner.join(values).values)
+  );
+}
+
+/**
+ * Geo and taxonomy settings of a mapping for the given headers. A mapping
+ * saved without them (profiles older than these settings) gets the columns
+ * guessed from the headers, as a file that matches no profile does; the
+ * page applies profiles through here too, so both read them the same way.
+ */
+export function resolveGeoAndTaxonomy(mapping, headers) {
+  return {
+    geo: mapping.geo
+      ? { ...DEFAULT_GEO_CONFIG, ...mapping.geo }
+      : { ...DEFAULT_GEO_CONFIG, ...guessGeoColumns(headers) },
+    taxonomy: mapping.taxonomy
+      ? { ...DEFAULT_TAXONOMY_CONFIG, ...mapping.taxonomy }
+      : guessTaxonomyConfig(headers),
+  };
+}
+
+/**
+ * Fill an untrusted mapping with defaults for the given headers.
+ * Throws ConvertError (code "invalid_mapping") when it has no sections, a
+ * broken title pattern, a pattern rule that is not a valid regex, row
+ * filters that are not a list of rules, geo / route / slug / taxonomy /
+ * locale settings or lookups of the wrong shape, an unknown time zone or
+ * columns of one section sharing an output key.
+ */
+export function resolveMapping(mapping = {}, headers = []) {
+  const invalid = (message) => new ConvertError(message, "invalid_mapping");
+  if (!isPlainObject(mapping)) {
+    throw invalid("Mapping must be an object.");
+  }
+  checkConfigShapes(mapping, invalid);
+  const sections = Array.isArray(mapping.sections)
+    ? mapping.sections.filter((s) => isPlainObject(s) && s.id && s.name)
+    : [{ id: "main", name: "main", removable: true }];
+  if (sections.length === 0) {
+    throw invalid("Mapping defines no sections.");
+  }
+  const titlePattern = String(mapping.titlePattern ?? "{title}");
+  const patternError = getPatternError(titlePattern);
+  if (patternError) {
+    throw invalid(`Title pattern error: ${patternError}`);
+  }
+  const columnRules = isPlainObject(mapping.columnRules)
+    ? mapping.columnRules
+    : {};
+  try {
+    createRowValidator(columnRules);
+  } catch (err) {
+    if (err instanceof RuleError) throw invalid(err.message);
+    throw err;
+  }
+  const rowFilters = {
+    ...DEFAULT_ROW_FILTERS,
+    ...(isPlainObject(mapping.rowFilters) ? mapping.rowFilters : {}),
+  };
+  if (!isRuleList(rowFilters.rules)) {
+    throw invalid(
+      "Row filters must be a list of rules, each with a list of conditions."
+    );
+  }
+  const timeZone = String(mapping.timeZone ?? DEFAULT_TIME_ZONE);
+  if (!isValidTimeZone(timeZone)) {
+    throw invalid(`Unknown time zone "${timeZone}".`);
+  }
+  const columnMap = isPlainObject(mapping.columnMap) ? mapping.columnMap : {};
+  const columnKeys = isPlainObject(mapping.columnKeys)
+    ? mapping.columnKeys
+    : {};
+  checkOutputKeys({ sections, columnMap, columnKeys }, headers);
+  return {
+    sections,
+    columnMap,
+    columnKeys,
+    titlePattern,
+    columnTypes: isPlainObject(mapping.columnTypes) ? mapping.columnTypes : {},
+    columnRules,
+    exportPolicy: mapping.exportPolicy ?? "allow",
+    ...resolveGeoAndTaxonomy(mapping, headers),
+    route: { ...DEFAULT_ROUTE_CONFIG, ...(mapping.route || {}) },
+    slug: { ...DEFAULT_SLUG_OPTIONS, ...(mapping.slug || {}) },
+    locale: { ...DEFAULT_LOCALE_CONFIG, ...(mapping.locale || {}) },
+    rowFilters,
+    lookups: mapping.lookups ?? DEFAULT_LOOKUPS,
+    timeZone,
+  };
+}
+
+/**
+ * Incremental conversion for streamed input (the conversion worker): feed
+ * records with push(), header record first. push() returns the entry for a
+ * data record and null for the header.
+ *
+ * options: { sample, edits, lookupTables, onIssue, onExclude, onUnmatched }
+ *   sample   data records column types are inferred from when the mapping
+ *            has no type for a column (none: "string")
+ *   edits    cell edits by row number and header: { [row]: { [header]: text } }
+ *            replacing the record's values (lookup columns included) before
+ *            validation; a "title" edit replaces the generated title instead
+ *   lookupTables  reference tables for the mapping's lookups, by lookup id
+ *   onIssue  called with every issue as in transform.js
+ *   onExclude  called with { row, values, rules } for each record the
+ *            mapping's row filters (filters.js) exclude; row counts all
+ *            data records from 1, rules are the ids of the matching rules
+ *   onUnmatched  called with { row, lookup, key } for each kept record a
+ *            lookup found no reference row for
+ * Row numbers of entries, issues, edits and unmatched records count the
+ * kept records only. push() returns null for excluded records too.
+ * Lookups join before the row filters, which may test the added columns.
+ * Pushing the header throws ConvertError ("invalid_mapping") when a lookup
+ * cannot join as configured (see planLookups) or two columns of a section
+ * share an output key (see resolveMapping).
+ * headers (the file's plus lookup columns), fileHeaders (the file's own)
+ * and mapping (resolved) are available once the header was pushed.
+ */
+export function createConverter(
+  mapping,
+  {
+    sample = [],
+    edits = {},
+    lookupTables = {},
+    onIssue,
+    onExclude,
+    onUnmatched,
+  } = {}
+) {
+  let fileHeaders = null;
+  let headers = null;
+  let resolved = null;
+  let transform = null;
+  let excludedBy = null;
+  let joiner = null;
+  let records = 0;
+  let rows = 0;
+  return {
+    get headers() {
+      return headers;
+    },
+    get fileHeaders() {
+      return fileHeaders;
+    },
+    get mapping() {
+      return resolved;
+    },
+    push(record) {
+      if (!headers) {
+        fileHeaders = normalizeHeaders(record);
+        resolved = resolveMapping(mapping, fileHeaders);
+        if (resolved.lookups.length > 0) {
+          joiner = createLookupJoiner(
+            resolved.lookups,
+            lookupTables,
+            fileHeaders
+          );
+          if (joiner.problems.length > 0) {
+            throw new ConvertError(joiner.problems[0], "invalid_mapping");
+          }
+        }
+        headers = joiner ? joiner.headers : fileHeaders;
+        if (joiner) checkOutputKeys(resolved, headers);
+        // effective type: the mapping's, else inferred from the sample
+        const inferred = inferSampleTypes(sample, fileHeaders, joiner);
+        transform = createRowTransformer({
+          ...resolved,
+          headers,
+          columnTypes: Object.fromEntries(
+            headers.map((h) => [h, resolved.columnTypes[h] ?? inferred[h]])
+          ),
+          titles: Object.fromEntries(
+            Object.entries(edits)
+              .filter(([, row]) => row && "title" in row)
+              .map(([row, { title }]) => [row, String(title)])
+          ),
+          onIssue,
+        });
+        excludedBy = createRowFilter(resolved.rowFilters, headers);
+        return null;
+      }
+      records++;
+      const joined = joiner ? joiner.join(record) : null;
+      const values = joined ? joined.values : record;
+      if (excludedBy) {
+        const row = Object.fromEntries(
+          headers.map((h, idx) => [h, values[idx] ?? ""])
+        );
+        const rules = excludedBy(row);
+        if (rules.length > 0) {
+          if (onExclude) onExclude({ row: records, values, rules });
+          return null;
+        }
+      }
+      rows++;
+      if (joined && onUnmatched) {
+        joined.unmatched.forEach(({ lookup, key }) =>
+          onUnmatched({ row: rows, lookup, key })
+        );
+      }
+      return transform(applyEdits(values, headers, edits[rows]), rows);
+    },
+  };
+}
+
+// Record values with a row's edits (by header) in place; title edits are
+// applied to the generated title by the transformer
+const applyEdits = (values, headers, rowEdits) => {
+  if (!rowEdits) return values;
+  const edited = [...values];
+  headers.forEach((h, idx) => {
+    if (h !== "title" && h in rowEdits) edited[idx] = String(rowEdits[h]);
+  });
+  return edited;
+};
+
+// Header plus type sample from the leading slice of CSV text, as the page
+// reads it from an uploaded file: complete records inside the slice only
+const sniffText = (source, dialect) => {
+  const head = new TextDecoder().decode(
+    new TextEncoder()
+      .encode(source.slice(0, SNIFF_BYTES))
+      .slice(0, SNIFF_BYTES),
+    { stream: true }
+  );
+  const { delimiter, quote } = detectDialect(head, {
+    ...(dialect.delimiter ? { delimiter: dialect.delimiter } : {}),
+    ...(dialect.quote ? { quote: dialect.quote } : {}),
+  });
+  const sample = [];
+  createCSVTokenizer({
+    delimiter,
+    quote,
+    onRecord: (values) => {
+      sample.push(values);
+      return sample.length <= TYPE_SAMPLE_ROWS;
+    },
+  }).write(head);
+  return { delimiter, quote, sample: sample.slice(1) };
+};
+
+/**
+ * A reference table ({ headers, records }, see lookup.js) from CSV text;
+ * the dialect is detected.
+ */
+export function readLookupCSV(text) {
+  const source = text.replace(/^\uFEFF/, "");
+  const { delimiter, quote } = sniffText(source, {});
+  return readLookupTable(parseCSV(source, { delimiter, quote }));
+}
+
+/**
+ * Convert a whole input with a mapping — the same result the page gets for
+ * the same file and mapping.
+ *
+ * input: CSV text, or records (arrays of strings, header first) as read
+ *        from a workbook
+ * config: the mapping, plus for CSV text an optional
+ *         dialect: { delimiter, quote } (missing values are detected), and
+ *         lookupTables: reference tables by lookup id (see readLookupCSV)
+ * Returns { entries, issues, excluded, unmatched, headers, mapping } where
+ * excluded lists the records the row filters dropped ({ row, values, rules }),
+ * unmatched the rows a lookup found no reference row for ({ row, lookup, key })
+ * and mapping is the resolved mapping. Throws CSVParseError for malformed CSV and
+ * ConvertError ("empty_input", "invalid_mapping").
+ */
+export function convert(input, config = {}) {
+  if (!isPlainObject(config)) {
+    throw new ConvertError("Mapping must be an object.", "invalid_mapping");
+  }
+  const { dialect = {}, lookupTables = {}, ...mapping } = config;
+  let records = input;
+  let sample;
+  if (typeof input === "string") {
+    const source = input.replace(/^\uFEFF/, "");
+    const sniffed = sniffText(source, dialect);
+    sample = sniffed.sample;
+    records = [];
+    const tokenizer = createCSVTokenizer({
+      delimiter: sniffed.delimiter,
+      quote: sniffed.quote,
+      onRecord: (values) => {
+        records.push(values);
+      },
+    });
+    tokenizer.write(source);
+    tokenizer.end();
+  } else {
+    // workbooks: types come from the first rows
+    sample = input.slice(1, TYPE_SAMPLE_ROWS + 1);
+  }
+  if (records.length === 0) {
+    throw new ConvertError("CSV file is empty or malformed.", "empty_input");
+  }
+
+  const issues = [];
+  const excluded = [];
+  const unmatched = [];
+  const converter = createConverter(mapping, {
+    sample,
+    lookupTables,
+    onIssue: (issue) => issues.push(issue),
+    onExclude: (record) => excluded.push(record),
+    onUnmatched: (record) => unmatched.push(record),
+  });
+  const entries = [];
+  records.forEach((values) => {
+    const entry = converter.push(values);
+    if (entry) entries.push(entry);
+  });
+  return {
+    entries,
+    issues,
+    excluded,
+    unmatched,
+    headers: converter.headers,
+    mapping: converter.mapping,
+  };
+}
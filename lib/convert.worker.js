@@ -0,0 +1,205 @@
+/**
+ * convert.worker.js
+ *
+ * Off-main-thread conversion. CSV input is streamed from the File in chunks
+ * (decoded and tokenized incrementally), so neither the raw text nor the
+ * full record list is ever held in memory; converted entries are posted back
+ * in batches and not kept here. Records go through the conversion engine
+ * (convert.js) one at a time.
+ *
+ * In:  { type: "start", file, source, config, edits, lookupTables }
+ *        source: { kind: "csv", encoding, delimiter, quote }
+ *              | { kind: "csv", files: [{ file, encoding, delimiter, quote }],
+ *                  headers }   several files merged (see merge.js); headers
+ *                              are the merged headers
+ *              | { kind: "workbook", sheetName, cellRange }
+ *        config: { sections, columnMap, titlePattern, columnTypes, columnRules,
+ *                  columnKeys, geo, slug, rowFilters, lookups, timeZone }
+ *        edits: cell edits from the preview, as createConverter takes them
+ *        lookupTables: reference tables of the lookups (see lookup.js)
+ * Out: { type: "headers", headers, fileHeaders }
+ *        headers with the lookup columns, fileHeaders without
+ *      { type: "rows", entries, issues, excluded, unmatched }
+ *        excluded, unmatched: records the row filters dropped and rows a
+ *        lookup found no match for, as createConverter reports them
+ *      { type: "progress", rows, bytesRead, totalBytes }
+ *      { type: "done", rows, files }
+ *        files: [{ name, rows }] entries per merged file (merges only)
+ *      { type: "error", name, message }
+ *
+ * Cancelling is done by terminating the worker from the page.
+ */
+
+import { createCSVTokenizer, normalizeHeaders } from "@/lib/csv";
+import { readWorkbook, sheetToRecords } from "@/lib/workbook";
+import { createConverter } from "@/lib/convert";
+import { createRecordAligner } from "@/lib/merge";
+
+const BATCH_SIZE = 2000;
+const PROGRESS_INTERVAL_MS = 100;
+
+const runConversion = async ({ file, source, config, edits, lookupTables }) => {
+  const csvFiles = source.files ?? [
+    {
+      file,
+      encoding: source.encoding,
+      delimiter: source.delimiter,
+      quote: source.quote,
+    },
+  ];
+  const totalBytes =
+    source.kind === "workbook"
+      ? file.size
+      : csvFiles.reduce((sum, f) => sum + f.file.size, 0);
+  let bytesRead = 0;
+  let rows = 0;
+  let batch = [];
+  let issues = [];
+  let excluded = [];
+  let unmatched = [];
+  // config carries every column's effective type, so no sample is needed
+  const converter = createConverter(config, {
+    edits,
+    lookupTables,
+    onIssue: (issue) => issues.push(issue),
+    onExclude: (record) => excluded.push(record),
+    onUnmatched: (record) => unmatched.push(record),
+  });
+  let lastProgressAt = 0;
+  const files = [];
+
+  // Stream one CSV file through the tokenizer, record by record
+  const streamCSV = async (
+    { file: csvFile, encoding, delimiter, quote },
+    onRecord
+  ) => {
+    const tokenizer = createCSVTokenizer({ delimiter, quote, onRecord });
+    // TextDecoder drops a leading BOM by default
+    const decoder = new TextDecoder(encoding);
+    const reader = csvFile.stream().getReader();
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      bytesRead += value.byteLength;
+      tokenizer.write(decoder.decode(value, { stream: true }));
+      flush();
+      reportProgress();
+    }
+    tokenizer.write(decoder.decode());
+    tokenizer.end();
+  };
+
+  const flush = () => {
+    if (
+      batch.length === 0 &&
+      issues.length === 0 &&
+      excluded.length === 0 &&
+      unmatched.length === 0
+    ) {
+      return;
+    }
+    self.postMessage({
+      type: "rows",
+      entries: batch,
+      issues,
+      excluded,
+      unmatched,
+    });
+    batch = [];
+    issues = [];
+    excluded = [];
+    unmatched = [];
+  };
+
+  const reportProgress = (force = false) => {
+    const now = Date.now();
+    if (!force && now - lastProgressAt < PROGRESS_INTERVAL_MS) return;
+    lastProgressAt = now;
+    self.postMessage({ type: "progress", rows, bytesRead, totalBytes });
+  };
+
+  const handleRecord = (values) => {
+    const isHeader = !converter.headers;
+    const entry = converter.push(values);
+    if (isHeader) {
+      self.postMessage({
+        type: "headers",
+        headers: converter.headers,
+        fileHeaders: converter.fileHeaders,
+      });
+      return;
+    }
+    // excluded by a row filter
+    if (!entry) return;
+    rows++;
+    batch.push(entry);
+    if (batch.length >= BATCH_SIZE) flush();
+  };
+
+  if (source.kind === "workbook") {
+    // Workbooks are zip archives and have to be read whole
+    const { workbook } = await readWorkbook(await file.arrayBuffer());
+    bytesRead = totalBytes;
+    const records = await sheetToRecords(
+      workbook,
+      source.sheetName,
+      source.cellRange
+    );
+    records.forEach((values) => {
+      handleRecord(values);
+      reportProgress();
+    });
+  } else if (!source.files) {
+    await streamCSV(csvFiles[0], handleRecord);
+  } else {
+    // Merged files: the merged header goes first, then each file's records
+    // in the merged column order; every file's own header row is skipped
+    handleRecord(source.headers);
+    for (const csv of csvFiles) {
+      let align = null;
+      let fileRows = 0;
+      await streamCSV(csv, (values) => {
+        if (!align) {
+          align = createRecordAligner(
+            normalizeHeaders(values),
+            source.headers,
+            csv.file.name
+          );
+          return;
+        }
+        const before = rows;
+        handleRecord(align(values));
+        fileRows += rows - before;
+      });
+      files.push({ name: csv.file.name, rows: fileRows });
+    }
+  }
+
+  if (!converter.headers) {
+    self.postMessage({
+      type: "error",
+      name: "EmptyInputError",
+      message: "CSV file is empty or malformed.",
+    });
+    return;
+  }
+
+  flush();
+  reportProgress(true);
+  self.postMessage({
+    type: "done",
+    rows,
+    ...(source.files ? { files } : {}),
+  });
+};
+
+self.onmessage = (e) => {
+  if (e.data?.type !== "start") return;
+  runConversion(e.data).catch((err) => {
+    self.postMessage({
+      type: "error",
+      name: err?.name ?? "Error",
+      message: err?.message ?? String(err),
+    });
+  });
+};
@@ -0,0 +1,187 @@
+/**
+ * csv.js
+ *
+ * RFC 4180 record tokenizer shared by the header sniff and the full conversion.
+ *
+ * - Quoted fields may contain delimiters, doubled quotes and line breaks.
+ * - CRLF, LF and lone CR are all accepted as record terminators.
+ * - Field values are returned untouched (no trimming).
+ * - Malformed input throws a CSVParseError carrying the physical line/column.
+ */
+
+const FIELD_START = 0;
+const UNQUOTED = 1;
+const QUOTED = 2;
+const AFTER_QUOTE = 3;
+
+export class CSVParseError extends Error {
+  constructor(reason, line, column) {
+    super(`Line ${line}, column ${column}: ${reason}`);
+    this.name = "CSVParseError";
+    this.reason = reason;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+/**
+ * Create an incremental tokenizer. Feed text with write() (any chunk size,
+ * records may span chunks) and call end() once the input is exhausted.
+ *
+ * onRecord(values, line) receives each record and the physical line it
+ * started on. Returning false from onRecord stops the tokenizer.
+ * Blank lines (a single unquoted, whitespace-only field) are skipped.
+ */
+export function createCSVTokenizer({
+  delimiter = ",",
+  quote = '"',
+  onRecord,
+} = {}) {
+  let state = FIELD_START;
+  let field = "";
+  let record = [];
+  let recordHasQuote = false;
+  let recordLine = 1;
+  let recordPending = true;
+  let line = 1;
+  let column = 0;
+  let lastWasCR = false;
+  let quoteLine = 0;
+  let quoteColumn = 0;
+  let stopped = false;
+
+  const endField = () => {
+    record.push(field);
+    field = "";
+  };
+
+  const endRecord = () => {
+    endField();
+    const blank =
+      !recordHasQuote && record.length === 1 && record[0].trim() === "";
+    if (!blank && onRecord && onRecord(record, recordLine) === false) {
+      stopped = true;
+    }
+    record = [];
+    recordHasQuote = false;
+    recordPending = true;
+    state = FIELD_START;
+  };
+
+  const write = (chunk) => {
+    if (stopped) return;
+    const text = String(chunk ?? "");
+
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+
+      // second half of a CRLF pair: the line break was already counted
+      if (lastWasCR && ch === "\n") {
+        lastWasCR = false;
+        if (state === QUOTED) field += ch;
+        continue;
+      }
+      lastWasCR = false;
+
+      if (recordPending) {
+        recordLine = line;
+        recordPending = false;
+      }
+      column++;
+
+      const isNewline = ch === "\n" || ch === "\r";
+
+      if (state === QUOTED) {
+        if (ch === quote) {
+          state = AFTER_QUOTE;
+        } else {
+          field += ch;
+        }
+      } else if (state === AFTER_QUOTE) {
+        if (ch === quote) {
+          field += quote;
+          state = QUOTED;
+        } else if (ch === delimiter) {
+          endField();
+          state = FIELD_START;
+        } else if (isNewline) {
+          endRecord();
+        } else {
+          throw new CSVParseError(
+            `Unexpected character "${ch}" after closing quote`,
+            line,
+            column
+          );
+        }
+      } else if (ch === delimiter) {
+        endField();
+        state = FIELD_START;
+      } else if (isNewline) {
+        endRecord();
+      } else if (ch === quote) {
+        if (state === UNQUOTED) {
+          throw new CSVParseError(
+            "Unexpected quote inside an unquoted field",
+            line,
+            column
+          );
+        }
+        state = QUOTED;
+        recordHasQuote = true;
+        quoteLine = line;
+        quoteColumn = column;
+      } else {
+        field += ch;
+        state = UNQUOTED;
+      }
+
+      if (isNewline) {
+        line++;
+        column = 0;
+        lastWasCR = ch === "\r";
+      }
+      if (stopped) return;
+    }
+  };
+
+  const end = () => {
+    if (stopped) return;
+    if (state === QUOTED) {
+      throw new CSVParseError(
+        "Unterminated quoted field",
+        quoteLine,
+        quoteColumn
+      );
+    }
+    if (state !== FIELD_START || record.length > 0) endRecord();
+  };
+
+  return { write, end };
+}
+
+/**
+ * Parse a complete CSV string into an array of records (arrays of strings).
+ */
+export function parseCSV(text, options = {}) {
+  const records = [];
+  const tokenizer = createCSVTokenizer({
+    ...options,
+    onRecord: (values) => {
+      records.push(values);
+    },
+  });
+  tokenizer.write(text);
+  tokenizer.end();
+  return records;
+}
+
+/**
+ * Turn a raw header record into the lowercased keys used everywhere else.
+ * Header names are trimmed; empty ones become column_N.
+ */
+export function normalizeHeaders(values) {
+  return values.map((h, i) => {
+    const name = String(h ?? "").trim();
+    return (name ? name : `column_${i + 1}`).toLowerCase();
+  });
+}
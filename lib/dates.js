@@ -0,0 +1,273 @@
+/**
+ * dates.js
+ *
+ * Timestamp values for export columns such as published_at / created_at.
+ * All results are ISO 8601 in UTC ("2024-05-01T00:00:00.000Z").
+ *
+ * Timestamp settings shape:
+ *   { mode, date, column, format, timeZone }
+ * mode "batch" uses one time for the whole export, "fixed" the entered
+ * date and "column" a source column parsed with `format` (empty = ISO-like
+ * input). Wall-clock values are read in `timeZone`.
+ *
+ * Format tokens: YYYY YY MMMM MMM MM M DD D HH H hh h mm ss A; any other
+ * character must match literally.
+ */
+
+export const DEFAULT_TIME_ZONE = "Asia/Manila";
+
+export const TIMESTAMP_MODES = [
+  { value: "batch", label: "Export time (same for all rows)" },
+  { value: "fixed", label: "Fixed date" },
+  { value: "column", label: "From column" },
+];
+
+export const DEFAULT_TIMESTAMP_SETTINGS = {
+  mode: "batch",
+  date: "",
+  column: "",
+  format: "",
+  timeZone: DEFAULT_TIME_ZONE,
+};
+
+const MONTHS = [
+  "january",
+  "february",
+  "march",
+  "april",
+  "may",
+  "june",
+  "july",
+  "august",
+  "september",
+  "october",
+  "november",
+  "december",
+];
+
+// token -> [regex source, field]
+const TOKENS = [
+  ["YYYY", "(\\d{4})", "year"],
+  ["YY", "(\\d{2})", "year2"],
+  ["MMMM", "([A-Za-z]+)", "monthName"],
+  ["MMM", "([A-Za-z]{3})", "monthName"],
+  ["MM", "(\\d{2})", "month"],
+  ["M", "(\\d{1,2})", "month"],
+  ["DD", "(\\d{2})", "day"],
+  ["D", "(\\d{1,2})", "day"],
+  ["HH", "(\\d{2})", "hour"],
+  ["H", "(\\d{1,2})", "hour"],
+  ["hh", "(\\d{2})", "hour12"],
+  ["h", "(\\d{1,2})", "hour12"],
+  ["mm", "(\\d{2})", "minute"],
+  ["ss", "(\\d{2})", "second"],
+  ["A", "([AaPp][Mm])", "ampm"],
+];
+
+// Used when no format is given: 2024-05-01, 2024-05-01 08:30, …T08:30:15
+const ISO_LIKE_RE =
+  /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/;
+// ISO input carrying its own offset is used as-is
+const ZONED_ISO_RE = /^\d{4}-\d{2}-\d{2}T[\d:.]+(?:Z|[+-]\d{2}:?\d{2})$/i;
+
+const compiledFormats = new Map();
+
+/**
+ * Compile a date format to { regex, fields }. Throws on a format without
+ * a year, month and day.
+ */
+export function compileDateFormat(format) {
+  if (compiledFormats.has(format)) return compiledFormats.get(format);
+  let source = "";
+  const fields = [];
+  for (let i = 0; i < format.length; ) {
+    const token = TOKENS.find(([t]) => format.startsWith(t, i));
+    if (token) {
+      source += token[1];
+      fields.push(token[2]);
+      i += token[0].length;
+    } else {
+      source += format[i].replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      i++;
+    }
+  }
+  const has = (...names) => names.some((n) => fields.includes(n));
+  if (!has("year", "year2") || !has("month", "monthName") || !has("day")) {
+    throw new Error("Date format needs a year, month and day");
+  }
+  const compiled = { regex: new RegExp(`^${source}$`), fields };
+  compiledFormats.set(format, compiled);
+  return compiled;
+}
+
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const zoneFormatters = new Map();
+
+// Offset (ms) of timeZone from UTC at the given instant
+const zoneOffset = (timeZone, utcMs) => {
+  if (!zoneFormatters.has(timeZone)) {
+    zoneFormatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    );
+  }
+  const parts = {};
+  zoneFormatters
+    .get(timeZone)
+    .formatToParts(new Date(utcMs))
+    .forEach((p) => (parts[p.type] = Number(p.value)));
+  const asUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return asUtc - Math.floor(utcMs / 1000) * 1000;
+};
+
+// Wall-clock fields in timeZone -> UTC milliseconds
+const zonedTimeToUtc = (f, timeZone) => {
+  const wall = Date.UTC(f.year, f.month - 1, f.day, f.hour, f.minute, f.second);
+  const first = wall - zoneOffset(timeZone, wall);
+  // a second pass settles instants near a DST change
+  return wall - zoneOffset(timeZone, first);
+};
+
+const validFields = (f) => {
+  const check = new Date(Date.UTC(f.year, f.month - 1, f.day));
+  return (
+    check.getUTCFullYear() === f.year &&
+    check.getUTCMonth() === f.month - 1 &&
+    check.getUTCDate() === f.day &&
+    f.hour < 24 &&
+    f.minute < 60 &&
+    f.second < 60
+  );
+};
+
+const readFields = (value, format) => {
+  if (!format) {
+    const m = ISO_LIKE_RE.exec(value);
+    if (!m) return null;
+    const [year, month, day, hour = 0, minute = 0, second = 0] = m
+      .slice(1)
+      .map((v) => Number(v ?? 0));
+    return { year, month, day, hour, minute, second };
+  }
+  const { regex, fields } = compileDateFormat(format);
+  const m = regex.exec(value);
+  if (!m) return null;
+  const f = { year: 0, month: 1, day: 1, hour: 0, minute: 0, second: 0 };
+  let ampm = null;
+  fields.forEach((field, i) => {
+    const raw = m[i + 1];
+    if (field === "monthName") {
+      // "May", "Sep", "Sept", "September"; 0 (invalid) when unknown
+      const name = raw.toLowerCase();
+      f.month = MONTHS.findIndex((n) => n.startsWith(name)) + 1;
+    } else if (field === "year2") {
+      f.year = 2000 + Number(raw);
+    } else if (field === "hour12") {
+      f.hour = Number(raw) % 12;
+    } else if (field === "ampm") {
+      ampm = raw.toLowerCase();
+    } else {
+      f[field] = Number(raw);
+    }
+  });
+  if (ampm === "pm") f.hour += 12;
+  return f;
+};
+
+/**
+ * Parse a date/time string into an ISO UTC timestamp.
+ * Returns { value, error }; value is "" for empty input or on error.
+ */
+export function parseTimestamp(raw, { format = "", timeZone } = {}) {
+  const value = String(raw ?? "").trim();
+  if (!value) return { value: "", error: null };
+  const zone = timeZone || DEFAULT_TIME_ZONE;
+
+  if (!format && ZONED_ISO_RE.test(value)) {
+    const time = Date.parse(value);
+    if (!Number.isNaN(time)) {
+      return { value: new Date(time).toISOString(), error: null };
+    }
+  }
+  const fields = readFields(value, format);
+  if (!fields || !validFields(fields)) {
+    return {
+      value: "",
+      error: `"${value}" does not match ${format || "YYYY-MM-DD HH:mm:ss"}`,
+    };
+  }
+  return {
+    value: new Date(zonedTimeToUtc(fields, zone)).toISOString(),
+    error: null,
+  };
+}
+
+/**
+ * Problems with timestamp settings, as messages (empty when fine).
+ */
+export function validateTimestampSettings(settings) {
+  const s = { ...DEFAULT_TIMESTAMP_SETTINGS, ...settings };
+  const problems = [];
+  if (s.mode === "batch") return problems;
+  if (!isValidTimeZone(s.timeZone)) {
+    problems.push(`Unknown time zone "${s.timeZone}"`);
+    return problems;
+  }
+  if (s.mode === "fixed") {
+    // datetime-local input: 2024-05-01T08:30
+    if (!s.date) problems.push("Enter a date");
+    else if (parseTimestamp(s.date, { timeZone: s.timeZone }).error) {
+      problems.push("Invalid date");
+    }
+  }
+  if (s.mode === "column") {
+    if (!s.column) problems.push("Choose a source column");
+    if (s.format) {
+      try {
+        compileDateFormat(s.format);
+      } catch (err) {
+        problems.push(err.message);
+      }
+    }
+  }
+  return problems;
+}
+
+/**
+ * Timestamp for one row. `now` is the batch export time (ISO).
+ * Returns { value, error } like parseTimestamp.
+ */
+export function resolveTimestamp(settings, row, now) {
+  const s = { ...DEFAULT_TIMESTAMP_SETTINGS, ...settings };
+  if (s.mode === "fixed") {
+    return parseTimestamp(s.date, { timeZone: s.timeZone });
+  }
+  if (s.mode === "column") {
+    return parseTimestamp(row[s.column], s);
+  }
+  return { value: now, error: null };
+}
@@ -0,0 +1,169 @@
+/**
+ * diff.js
+ *
+ * Compare the current conversion with a previous export (the JSON or CMS CSV
+ * this tool wrote earlier), matched on a key column such as location_code.
+ *
+ * Both sides are reduced to flat rows of output-key fields: for JSON the
+ * entry's title, content and sectioned data; for CSV every column, with
+ * the "data" column's JSON unpacked. Only fields present on both sides are
+ * compared, so columns the previous export added (route_url, status, …)
+ * never show up as changes.
+ */
+
+import { parseCSV, normalizeHeaders } from "@/lib/csv";
+import { flattenEntry } from "@/lib/keys";
+
+export class DiffError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "DiffError";
+  }
+}
+
+// Fields that change on every export and would make every row "modified"
+export const DEFAULT_DIFF_IGNORED = ["published_at", "created_at"];
+
+/**
+ * Flat output-key fields of a converted entry (no header aliases).
+ */
+export const entryFields = (entry) => flattenEntry(entry, []);
+
+const fromCSVRow = (row) => {
+  const fields = { ...row };
+  if (typeof row.data === "string" && row.data.trim().startsWith("{")) {
+    try {
+      const data = JSON.parse(row.data);
+      delete fields.data;
+      Object.assign(fields, flattenEntry({ data }, []));
+    } catch {
+      // not JSON after all: compare it as text
+    }
+  }
+  return fields;
+};
+
+/**
+ * Read a previous export. Returns { rows, columns } where rows are flat
+ * field objects and columns the union of their field names.
+ * Throws DiffError for unreadable files.
+ */
+export function parsePreviousExport(text, fileName = "") {
+  const source = String(text ?? "").replace(/^\uFEFF/, "");
+  const isJSON =
+    /\.json$/i.test(fileName) || /^\s*[[{]/.test(source.slice(0, 100));
+  let rows;
+  if (isJSON) {
+    let raw;
+    try {
+      raw = JSON.parse(source);
+    } catch {
+      throw new DiffError("Previous export is not valid JSON.");
+    }
+    if (!Array.isArray(raw)) {
+      throw new DiffError("Previous JSON export must be an array of entries.");
+    }
+    rows = raw
+      .filter((e) => e && typeof e === "object")
+      .map((e) => entryFields(e));
+  } else {
+    const [header, ...records] = parseCSV(source);
+    if (!header) throw new DiffError("Previous export is empty.");
+    const headers = normalizeHeaders(header);
+    rows = records.map((values) =>
+      fromCSVRow(Object.fromEntries(headers.map((h, i) => [h, values[i]])))
+    );
+  }
+  const columns = Array.from(new Set(rows.flatMap((r) => Object.keys(r))));
+  return { rows, columns };
+}
+
+/**
+ * A likely key column: the first *_code / *_id / *_key field, else title.
+ */
+export function guessDiffKey(columns) {
+  return (
+    columns.find((c) => /(^|_)(code|id|key)$/.test(c)) ??
+    (columns.includes("title") ? "title" : columns[0] ?? "")
+  );
+}
+
+const asText = (v) => {
+  if (v === null || v === undefined) return "";
+  if (typeof v === "object") return JSON.stringify(v);
+  return String(v);
+};
+
+/**
+ * Diff previous rows against current entries on `key`.
+ *
+ * Returns {
+ *   added:    [{ key, row }]           row = 1-based index in entries
+ *   removed:  [{ key, fields }]
+ *   modified: [{ key, row, changes: [{ field, before, after }] }]
+ *   unchanged, duplicates: { previous, current }, missingKey: { previous, current }
+ *   changedRows: Set of current row numbers that were added or modified
+ * }
+ */
+export function diffExports(previousRows, entries, key, options = {}) {
+  const ignored = new Set(options.ignored ?? DEFAULT_DIFF_IGNORED);
+  const currentRows = entries.map(entryFields);
+  const previousColumns = new Set(previousRows.flatMap(Object.keys));
+  const currentColumns = new Set(currentRows.flatMap(Object.keys));
+  const fields = Array.from(currentColumns).filter(
+    (f) => previousColumns.has(f) && !ignored.has(f)
+  );
+
+  const result = {
+    added: [],
+    removed: [],
+    modified: [],
+    unchanged: 0,
+    duplicates: { previous: 0, current: 0 },
+    missingKey: { previous: 0, current: 0 },
+    changedRows: new Set(),
+  };
+  const index = (rows, side) => {
+    const map = new Map();
+    rows.forEach((row, idx) => {
+      const k = asText(row[key]).trim();
+      if (!k) {
+        result.missingKey[side]++;
+      } else if (map.has(k)) {
+        result.duplicates[side]++;
+      } else {
+        map.set(k, { fields: row, row: idx + 1 });
+      }
+    });
+    return map;
+  };
+
+  const before = index(previousRows, "previous");
+  const after = index(currentRows, "current");
+
+  after.forEach(({ fields: now, row }, k) => {
+    const old = before.get(k);
+    if (!old) {
+      result.added.push({ key: k, row });
+      result.changedRows.add(row);
+      return;
+    }
+    const changes = fields
+      .filter((f) => asText(old.fields[f]) !== asText(now[f]))
+      .map((f) => ({
+        field: f,
+        before: asText(old.fields[f]),
+        after: asText(now[f]),
+      }));
+    if (changes.length > 0) {
+      result.modified.push({ key: k, row, changes });
+      result.changedRows.add(row);
+    } else {
+      result.unchanged++;
+    }
+  });
+  before.forEach(({ fields }, k) => {
+    if (!after.has(k)) result.removed.push({ key: k, fields });
+  });
+  return result;
+}
@@ -0,0 +1,213 @@
+/**
+ * export.js
+ *
+ * The JSON and CMS CSV export files, built from converted entries. Shared by
+ * the page's download buttons, the /api/convert route and the command-line
+ * converter so all produce the same bytes for the same entries and mapping.
+ *
+ * Export context shape:
+ *   { headers, columnKeys, slug, locale, route, taxonomy, columns, now }
+ * headers are the lowercased source headers, locale / route / taxonomy the
+ * configs of locale.js / route.js / taxonomy.js, columns the CSV template
+ * columns (templates.js) and now the batch export time (ISO).
+ */
+
+import { getPatternError } from "@/lib/pattern";
+import { flattenEntry, patternHeadersFor } from "@/lib/keys";
+import {
+  getDefaultLocale,
+  groupTranslations,
+  nestTranslations,
+} from "@/lib/locale";
+import { createRouteBuilder } from "@/lib/route";
+import { buildTemplateRow, validateColumns } from "@/lib/templates";
+
+export const EXPORT_FORMATS = [
+  { value: "json", label: "JSON" },
+  { value: "csv", label: "CMS CSV" },
+];
+
+export class ExportError extends Error {
+  constructor(message, code, details = []) {
+    super(message);
+    this.name = "ExportError";
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export const csvEscape = (value) => {
+  if (value === null || value === undefined) return '""';
+  const str = String(value);
+  const escaped = str.replace(/"/g, '""');
+  return `"${escaped}"`;
+};
+
+/**
+ * Problems that stop an export, as messages: broken title, route or
+ * translation group patterns and unusable template columns.
+ */
+export function getExportProblems({ titlePattern, route, locale, columns }) {
+  const problems = [];
+  const titleError = getPatternError(titlePattern ?? "");
+  if (titleError) problems.push(`Title pattern error: ${titleError}`);
+  const routeError = getPatternError(route?.pattern ?? "");
+  if (routeError) problems.push(`Route pattern error: ${routeError}`);
+  if (locale?.mode === "suffix") {
+    const groupError = getPatternError(locale.groupPattern ?? "");
+    if (groupError) {
+      problems.push(`Translation group pattern error: ${groupError}`);
+    }
+  }
+  if (columns) {
+    validateColumns(columns).forEach((p) =>
+      problems.push(`Export template: ${p}`)
+    );
+  }
+  return problems;
+}
+
+/**
+ * Entries kept by the issue policy: "allow" keeps all, "skip" drops rows
+ * with issues and "block" throws ExportError (code "validation_failed")
+ * when there are any. Rows are numbered from 1 in conversion order.
+ */
+export function applyExportPolicy(entries, issues, policy) {
+  if (issues.length === 0 || policy === "allow") return entries;
+  const invalidRows = new Set(issues.map((issue) => issue.row));
+  if (policy === "block") {
+    throw new ExportError(
+      `${issues.length} issue${issues.length !== 1 ? "s" : ""} in ${
+        invalidRows.size
+      } row${
+        invalidRows.size !== 1 ? "s" : ""
+      } must be fixed before exporting.`,
+      "validation_failed",
+      issues
+    );
+  }
+  return entries.filter((_, idx) => !invalidRows.has(idx + 1));
+}
+
+const groupsFor = (entries, ctx) =>
+  groupTranslations(entries, ctx.locale ?? {}, {
+    headers: ctx.headers,
+    columnKeys: ctx.columnKeys,
+    slug: ctx.slug,
+  }).groups;
+
+/**
+ * The JSON export file: entries as-is, or with translations nested when
+ * the locale mode is not "off".
+ */
+export function buildJSONExport(entries, ctx) {
+  const output =
+    ctx.locale && ctx.locale.mode !== "off"
+      ? nestTranslations(groupsFor(entries, ctx))
+      : entries;
+  return JSON.stringify(output, null, 2);
+}
+
+/**
+ * The CMS CSV export file, one row per entry and locale.
+ * Returns { csv, routeIssues, timestampIssues }; callers decide whether
+ * duplicate routes (route.duplicates "fail") stop the export.
+ */
+export function buildCSVExport(entries, ctx) {
+  const { headers, columnKeys = {}, slug, columns, now } = ctx;
+  const patternHeaders = patternHeadersFor(headers, columnKeys);
+  const groups = groupsFor(entries, ctx);
+
+  // quote header names only when needed, like the fixed layout did
+  const csvRows = [
+    columns
+      .map((col) =>
+        /[",\r\n]/.test(col.name) ? csvEscape(col.name) : col.name
+      )
+      .join(","),
+  ];
+
+  const routeIssues = [];
+  const buildRoute = createRouteBuilder(
+    { ...ctx.route, slug },
+    { onIssue: (issue) => routeIssues.push(issue) }
+  );
+  const timestampIssues = [];
+  const defaultLocale = getDefaultLocale(ctx.locale ?? {});
+  // One output row per locale; translations share the group's {index}
+  groups.forEach((group, idx) => {
+    group.variants.forEach(({ locale, entry }) => {
+      // flat row (headers and output keys) so patterns can refer to any column
+      const flatRow = flattenEntry(entry, headers, columnKeys);
+      const row = buildTemplateRow(columns, {
+        entry,
+        row: flatRow,
+        headers: patternHeaders,
+        index: idx + 1,
+        route: buildRoute(
+          flatRow,
+          patternHeaders,
+          idx + 1,
+          locale,
+          defaultLocale
+        ),
+        now,
+        slug,
+        taxonomy: ctx.taxonomy,
+        locale,
+        group: group.key,
+        onIssue: (issue) => timestampIssues.push(issue),
+      });
+      csvRows.push(row.map(csvEscape).join(","));
+    });
+  });
+
+  return { csv: csvRows.join("\n"), routeIssues, timestampIssues };
+}
+
+/**
+ * Export a conversion result ({ headers, mapping, entries, issues } from
+ * convert.js) the way the page's download buttons do.
+ *
+ * options: { format: "json" | "csv", columns, now }
+ * Returns { body, warnings } where warnings are the timestamp issues of a
+ * CSV export. Throws ExportError with code "invalid_config" (broken
+ * patterns or template), "validation_failed" (issue policy "block") or
+ * "duplicate_routes" (route.duplicates "fail").
+ */
+export function exportConversion(result, { format, columns, now }) {
+  const { headers, mapping, entries, issues } = result;
+  const problems = getExportProblems({
+    ...mapping,
+    columns: format === "csv" ? columns : null,
+  });
+  if (problems.length > 0) {
+    throw new ExportError(problems[0], "invalid_config", problems);
+  }
+  const exported = applyExportPolicy(entries, issues, mapping.exportPolicy);
+  const ctx = {
+    headers,
+    columnKeys: mapping.columnKeys,
+    slug: mapping.slug,
+    locale: mapping.locale,
+    route: mapping.route,
+    taxonomy: mapping.taxonomy,
+    columns,
+    now,
+  };
+  if (format === "json") {
+    return { body: buildJSONExport(exported, ctx), warnings: [] };
+  }
+
+  const { csv, routeIssues, timestampIssues } = buildCSVExport(exported, ctx);
+  if (mapping.route.duplicates === "fail" && routeIssues.length > 0) {
+    throw new ExportError(
+      `${routeIssues.length} row${
+        routeIssues.length !== 1 ? "s have" : " has"
+      } the same route_url as an earlier row.`,
+      "duplicate_routes",
+      routeIssues
+    );
+  }
+  return { body: csv, warnings: timestampIssues };
+}
@@ -0,0 +1,176 @@
+/**
+ * filters.js
+ *
+ * Row filters: rules that keep rows (inactive or test sites) out of the
+ * conversion before they are validated or become entries. A row is
+ * excluded when any rule matches it; a rule matches when all (AND) or any
+ * (OR) of its conditions hold.
+ *
+ * Conditions compare the raw cell text like the validation rules do, but
+ * ignoring case and surrounding spaces, so `is_active = false` also matches
+ * "FALSE". Incomplete conditions (no column, a column the file lacks, or no
+ * value where one is needed) are ignored; a rule without complete
+ * conditions never matches.
+ *
+ * Row filter config shape:
+ *   { rules: [{ id, name, match, conditions: [{ column, operator, value }] }] }
+ * match is "all" or "any"; value is a comma-separated list for "in" and
+ * "not_in" (brackets allowed: "[Test, Demo]") and unused for "empty" and
+ * "not_empty".
+ */
+
+export const FILTER_MATCH_MODES = [
+  { value: "all", label: "All conditions (AND)" },
+  { value: "any", label: "Any condition (OR)" },
+];
+
+export const FILTER_OPERATORS = [
+  { value: "eq", label: "=" },
+  { value: "neq", label: "≠" },
+  { value: "in", label: "in" },
+  { value: "not_in", label: "not in" },
+  { value: "contains", label: "contains" },
+  { value: "empty", label: "is empty" },
+  { value: "not_empty", label: "is not empty" },
+  { value: "lt", label: "<" },
+  { value: "gt", label: ">" },
+];
+
+export const DEFAULT_ROW_FILTERS = { rules: [] };
+
+export const operatorTakesValue = (operator) =>
+  operator !== "empty" && operator !== "not_empty";
+
+const fold = (v) =>
+  String(v ?? "")
+    .trim()
+    .toLowerCase();
+
+// "[Test, Demo]" -> ["test", "demo"]
+const parseList = (v) =>
+  String(v ?? "")
+    .replace(/^\s*\[|\]\s*$/g, "")
+    .split(",")
+    .map(fold)
+    .filter(Boolean);
+
+const toNumber = (v) => {
+  const trimmed = String(v ?? "").trim();
+  return trimmed === "" ? NaN : Number(trimmed);
+};
+
+export const isCompleteCondition = ({ column, operator, value } = {}) =>
+  Boolean(column) &&
+  FILTER_OPERATORS.some((op) => op.value === operator) &&
+  (!operatorTakesValue(operator) || String(value ?? "").trim() !== "");
+
+// Condition -> predicate over a row keyed by header
+const compileCondition = ({ column, operator, value }) => {
+  const cell = (row) => fold(row[column]);
+  const target = fold(value);
+  switch (operator) {
+    case "eq":
+      return (row) => cell(row) === target;
+    case "neq":
+      return (row) => cell(row) !== target;
+    case "in":
+    case "not_in": {
+      const list = new Set(parseList(value));
+      const wanted = operator === "in";
+      return (row) => list.has(cell(row)) === wanted;
+    }
+    case "contains":
+      return (row) => cell(row).includes(target);
+    case "empty":
+      return (row) => cell(row) === "";
+    case "not_empty":
+      return (row) => cell(row) !== "";
+    case "lt":
+    case "gt": {
+      const limit = toNumber(value);
+      return (row) => {
+        const num = toNumber(row[column]);
+        if (!Number.isFinite(num) || !Number.isFinite(limit)) return false;
+        return operator === "lt" ? num < limit : num > limit;
+      };
+    }
+    default:
+      return () => false;
+  }
+};
+
+export const ruleLabel = (rule, idx) =>
+  String(rule?.name ?? "").trim() || `Rule ${idx + 1}`;
+
+/**
+ * Create the row filter for a config and the file's headers. Returns null
+ * when no rule can match, else a function taking a row keyed by header and
+ * returning the ids of the rules that exclude it (empty: the row is kept).
+ */
+export function createRowFilter(config, headers) {
+  const rules = (config?.rules ?? [])
+    .map((rule) => ({
+      id: rule.id,
+      any: rule.match === "any",
+      tests: (rule.conditions ?? [])
+        .filter((c) => isCompleteCondition(c) && headers.includes(c.column))
+        .map(compileCondition),
+    }))
+    .filter((rule) => rule.tests.length > 0);
+  if (rules.length === 0) return null;
+  return (row) =>
+    rules
+      .filter(({ any, tests }) =>
+        any ? tests.some((t) => t(row)) : tests.every((t) => t(row))
+      )
+      .map((rule) => rule.id);
+}
+
+/**
+ * Problems in a config, as messages: incomplete conditions, columns not in
+ * the headers and non-numeric limits for < and >.
+ */
+export function getFilterProblems(config, headers) {
+  const problems = [];
+  (config?.rules ?? []).forEach((rule, idx) => {
+    const label = ruleLabel(rule, idx);
+    const conditions = rule.conditions ?? [];
+    if (conditions.length === 0) {
+      problems.push(`${label}: add a condition.`);
+    }
+    conditions.forEach((cond, c) => {
+      const where = `${label}, condition ${c + 1}`;
+      if (!cond.column) {
+        problems.push(`${where}: choose a column.`);
+      } else if (!headers.includes(cond.column)) {
+        problems.push(`${where}: column "${cond.column}" is not in the file.`);
+      }
+      if (
+        operatorTakesValue(cond.operator) &&
+        String(cond.value ?? "").trim() === ""
+      ) {
+        problems.push(`${where}: enter a value.`);
+      } else if (
+        (cond.operator === "lt" || cond.operator === "gt") &&
+        !Number.isFinite(toNumber(cond.value))
+      ) {
+        problems.push(`${where}: "${cond.value}" is not a number.`);
+      }
+    });
+  });
+  return problems;
+}
+
+/**
+ * Excluded rows per rule id: { [id]: count }. A row matching several rules
+ * counts for each of them.
+ */
+export function countExcluded(excluded) {
+  const counts = {};
+  excluded.forEach(({ rules }) =>
+    rules.forEach((id) => {
+      counts[id] = (counts[id] ?? 0) + 1;
+    })
+  );
+  return counts;
+}
@@ -0,0 +1,158 @@
+/**
+ * geo.js
+ *
+ * Offline sanity checks for site coordinates: out-of-range values, swapped
+ * latitude/longitude, points outside a bounding box and near-duplicate sites.
+ * Violations are reported as issues like validation.js:
+ *   { row, column, rule, value, message }
+ *
+ * Geo config shape:
+ *   { latColumn, lngColumn, useBbox, bbox: { minLat, maxLat, minLng, maxLng },
+ *     duplicateMeters }
+ */
+
+// Generous box around the Philippine archipelago, Kalayaan group included
+export const PHILIPPINES_BBOX = {
+  minLat: 4.2,
+  maxLat: 21.3,
+  minLng: 114.0,
+  maxLng: 127.0,
+};
+
+export const DEFAULT_GEO_CONFIG = {
+  latColumn: "",
+  lngColumn: "",
+  useBbox: true,
+  bbox: PHILIPPINES_BBOX,
+  duplicateMeters: 25,
+};
+
+const EARTH_RADIUS_M = 6371008.8;
+const METERS_PER_DEGREE = 111320;
+
+const LAT_NAMES = ["lat", "latitude"];
+const LNG_NAMES = ["long", "lng", "lon", "longitude"];
+
+/**
+ * Guess the latitude/longitude columns from header names.
+ * Returns { latColumn, lngColumn } ("" when not found).
+ */
+export function guessGeoColumns(headers) {
+  const find = (names) => headers.find((h) => names.includes(h.trim())) ?? "";
+  return { latColumn: find(LAT_NAMES), lngColumn: find(LNG_NAMES) };
+}
+
+export function haversineMeters(lat1, lng1, lat2, lng2) {
+  const toRad = (d) => (d * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+const inBox = (box, lat, lng) =>
+  lat >= box.minLat &&
+  lat <= box.maxLat &&
+  lng >= box.minLng &&
+  lng <= box.maxLng;
+
+const inWorld = (lat, lng) => Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+
+/**
+ * Create a stateful checker for one conversion run (duplicate detection
+ * spans all rows). Returns null when no lat/long columns are configured.
+ * Near duplicates are found with a grid index so large files stay linear.
+ */
+export function createGeoChecker(geo, { onIssue } = {}) {
+  if (!geo || !geo.latColumn || !geo.lngColumn) return null;
+
+  // an incomplete box (a field left empty in the UI) disables the check
+  const box =
+    geo.useBbox &&
+    geo.bbox &&
+    ["minLat", "maxLat", "minLng", "maxLng"].every(
+      (k) => geo.bbox[k] !== "" && Number.isFinite(Number(geo.bbox[k]))
+    )
+      ? geo.bbox
+      : null;
+  const meters = Number(geo.duplicateMeters) || 0;
+  const cellDeg = meters > 0 ? meters / METERS_PER_DEGREE : 0;
+  const grid = new Map();
+
+  // Earlier site ({ lat, lng, row }) within `meters`, if any
+  const findNearby = (lat, lng) => {
+    const latCell = Math.floor(lat / cellDeg);
+    const lngCell = Math.floor(lng / cellDeg);
+    // longitude degrees shrink with latitude, so search wider in that axis
+    const lngSpan = Math.ceil(
+      1 / Math.max(Math.cos((lat * Math.PI) / 180), 0.01)
+    );
+    for (let dLat = -1; dLat <= 1; dLat++) {
+      for (let dLng = -lngSpan; dLng <= lngSpan; dLng++) {
+        const bucket = grid.get(`${latCell + dLat}:${lngCell + dLng}`);
+        if (!bucket) continue;
+        for (const p of bucket) {
+          if (haversineMeters(lat, lng, p.lat, p.lng) <= meters) return p;
+        }
+      }
+    }
+    return null;
+  };
+
+  return (row, rowIndex) => {
+    const rawLat = String(row[geo.latColumn] ?? "").trim();
+    const rawLng = String(row[geo.lngColumn] ?? "").trim();
+    if (rawLat === "" || rawLng === "") return;
+
+    const report = (rule, message, column = geo.latColumn, value = null) => {
+      if (!onIssue) return;
+      onIssue({
+        row: rowIndex,
+        column,
+        rule,
+        value: value ?? `${rawLat}, ${rawLng}`,
+        message,
+      });
+    };
+
+    const lat = Number(rawLat);
+    const lng = Number(rawLng);
+    if (!Number.isFinite(lat)) {
+      report("geo-range", "Latitude is not a number", geo.latColumn, rawLat);
+      return;
+    }
+    if (!Number.isFinite(lng)) {
+      report("geo-range", "Longitude is not a number", geo.lngColumn, rawLng);
+      return;
+    }
+
+    // A pair that only fits once swapped is reported as swapped rather than
+    // as out of range / outside the box
+    const swappedFits = box ? inBox(box, lng, lat) : inWorld(lng, lat);
+    if (!inWorld(lat, lng) || (box && !inBox(box, lat, lng))) {
+      if (swappedFits) {
+        report("geo-swapped", "Latitude and longitude look swapped");
+      } else if (!inWorld(lat, lng)) {
+        report("geo-range", "Coordinates out of range (lat ±90, long ±180)");
+      } else {
+        report("geo-bbox", "Outside the bounding box");
+      }
+      return;
+    }
+
+    if (cellDeg <= 0) return;
+    const nearby = findNearby(lat, lng);
+    if (nearby) {
+      const distance = haversineMeters(lat, lng, nearby.lat, nearby.lng);
+      report(
+        "geo-duplicate",
+        `Within ${Math.round(distance)} m of row ${nearby.row}`
+      );
+    }
+    const key = `${Math.floor(lat / cellDeg)}:${Math.floor(lng / cellDeg)}`;
+    if (!grid.has(key)) grid.set(key, []);
+    grid.get(key).push({ lat, lng, row: rowIndex });
+  };
+}
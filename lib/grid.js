@@ -0,0 +1,153 @@
+/**
+ * grid.js
+ *
+ * The preview grid over all converted entries: one row per entry, with the
+ * base fields, the route and every section's keys as columns, and the
+ * search, per-column filters and sort the page applies to it.
+ *
+ * Column shape: { id, group, key }
+ *   group  null for the base fields (title, content, route_url), else the
+ *          section name; key the output key inside that section
+ * Row shape: { row, values, text, folded }
+ *   row is the 1-based entry number (as in issues and diffs), values the
+ *   raw cell values, text their display strings and folded the lowercased
+ *   text used for matching.
+ */
+
+import { outputKeyFor } from "@/lib/keys";
+
+const BASE_KEYS = ["title", "content", "route_url"];
+
+// Section names may contain any character; keys.js separates them the same way
+const columnId = (group, key) =>
+  group === null ? key : `${group}\u0000${key}`;
+
+const cellText = (v) => {
+  if (v === null || v === undefined) return "";
+  if (typeof v === "object") return JSON.stringify(v);
+  return String(v);
+};
+
+/**
+ * Columns for the entries: base fields first, then each section's keys in
+ * the order they first appear. sectionNames fixes the section order (the
+ * page's section list); sections only found in entries come after.
+ */
+export function gridColumns(entries, sectionNames = []) {
+  const keysBySection = new Map(sectionNames.map((name) => [name, new Set()]));
+  entries.forEach((entry) => {
+    Object.entries(entry.data || {}).forEach(([name, section]) => {
+      if (!keysBySection.has(name)) keysBySection.set(name, new Set());
+      const keys = keysBySection.get(name);
+      Object.keys(section || {}).forEach((key) => keys.add(key));
+    });
+  });
+  return [
+    ...BASE_KEYS.map((key) => ({ id: key, group: null, key })),
+    ...Array.from(keysBySection).flatMap(([group, keys]) =>
+      Array.from(keys, (key) => ({ id: columnId(group, key), group, key }))
+    ),
+  ];
+}
+
+/**
+ * The source header a column's cells come from, for editing: "title" for
+ * the generated title, null when the column is derived (route_url) or no
+ * source column fills it.
+ * mapping: { headers, sections, columnMap, columnKeys } of the conversion
+ */
+export function gridColumnHeader(col, mapping) {
+  const { headers, sections, columnMap = {}, columnKeys = {} } = mapping;
+  if (col.group === null) {
+    if (col.key === "title") return "title";
+    if (col.key === "content" && headers.includes("content")) return "content";
+    return null;
+  }
+  // same section choice as transform.js: unmapped columns go to the first
+  const header = headers.find((h) => {
+    if (h === "title" || h === "content") return false;
+    const section = sections.find((s) => s.id === columnMap[h]) ?? sections[0];
+    return (
+      section?.name === col.group && outputKeyFor(h, columnKeys) === col.key
+    );
+  });
+  return header ?? null;
+}
+
+/**
+ * Runs of adjacent columns with the same group, for the grouped header:
+ * [{ group, span }].
+ */
+export function gridColumnGroups(columns) {
+  const groups = [];
+  columns.forEach((col) => {
+    const last = groups[groups.length - 1];
+    if (last && last.group === col.group) last.span++;
+    else groups.push({ group: col.group, span: 1 });
+  });
+  return groups;
+}
+
+/**
+ * Grid rows for entries; routes[i] is the route_url of entries[i].
+ */
+export function buildGridRows(entries, columns, routes = []) {
+  return entries.map((entry, idx) => {
+    const values = columns.map((col) => {
+      if (col.group !== null) return entry.data?.[col.group]?.[col.key] ?? "";
+      if (col.key === "route_url") return routes[idx] ?? "";
+      return entry[col.key] ?? "";
+    });
+    const text = values.map(cellText);
+    return {
+      row: idx + 1,
+      values,
+      text,
+      folded: text.map((t) => t.toLowerCase()),
+    };
+  });
+}
+
+/**
+ * Rows matching the global search (any cell) and every column filter
+ * (filters: { [columnId]: text }). Both match case-insensitive substrings.
+ */
+export function filterGridRows(rows, columns, { search = "", filters = {} }) {
+  const needle = search.trim().toLowerCase();
+  const active = columns
+    .map((col, idx) => [
+      idx,
+      String(filters[col.id] ?? "")
+        .trim()
+        .toLowerCase(),
+    ])
+    .filter(([, text]) => text);
+  if (!needle && active.length === 0) return rows;
+  return rows.filter(
+    (r) =>
+      (!needle || r.folded.some((t) => t.includes(needle))) &&
+      active.every(([idx, text]) => r.folded[idx].includes(text))
+  );
+}
+
+const collator = new Intl.Collator(undefined, {
+  numeric: true,
+  sensitivity: "base",
+});
+
+/**
+ * Rows sorted on one column ("asc" | "desc"): numbers numerically, text
+ * in natural order. Empty cells go last either way; ties keep entry order.
+ */
+export function sortGridRows(rows, columnIndex, direction = "asc") {
+  const sign = direction === "desc" ? -1 : 1;
+  return [...rows].sort((a, b) => {
+    const x = a.values[columnIndex];
+    const y = b.values[columnIndex];
+    const emptyX = a.text[columnIndex] === "";
+    const emptyY = b.text[columnIndex] === "";
+    if (emptyX || emptyY) return emptyX - emptyY;
+    if (typeof x === "number" && typeof y === "number") return (x - y) * sign;
+    return collator.compare(a.text[columnIndex], b.text[columnIndex]) * sign;
+  });
+}
@@ -0,0 +1,114 @@
+/**
+ * keys.js
+ *
+ * Output key renaming. Each column is identified internally by its
+ * lowercased header; columnKeys maps that header to the key written inside
+ * each section (e.g. "location code" -> "location_code").
+ *
+ * Title pattern tokens accept both the header and the output key, so rows
+ * handed to buildTitleFromPattern carry both names.
+ */
+
+// Base fields keep their names: they are matched by header, not by key
+export const FIXED_KEY_HEADERS = ["title", "content"];
+
+const words = (s) =>
+  String(s ?? "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    // split camelCase humps before lowercasing
+    .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+export const toSnakeCase = (s) => words(s).join("_");
+
+export const toCamelCase = (s) =>
+  words(s)
+    .map((w, i) => (i === 0 ? w : w.charAt(0).toUpperCase() + w.slice(1)))
+    .join("");
+
+export function outputKeyFor(header, columnKeys = {}) {
+  if (FIXED_KEY_HEADERS.includes(header)) return header;
+  const key = String(columnKeys[header] ?? "").trim();
+  return key || header;
+}
+
+/**
+ * Headers plus any distinct output keys: the names title pattern tokens can
+ * refer to.
+ */
+export function patternHeadersFor(headers, columnKeys = {}) {
+  return Array.from(
+    new Set([...headers, ...headers.map((h) => outputKeyFor(h, columnKeys))])
+  );
+}
+
+/**
+ * Copy header-keyed values to their output keys (without overwriting a
+ * header of the same name). Mutates and returns row.
+ */
+export function addOutputKeyAliases(row, headers, columnKeys = {}) {
+  headers.forEach((h) => {
+    const key = outputKeyFor(h, columnKeys);
+    if (key !== h && !(key in row)) row[key] = row[h];
+  });
+  return row;
+}
+
+/**
+ * The reverse: copy output-keyed values (e.g. a row rebuilt from entry.data)
+ * back to their header names. Mutates and returns row.
+ */
+export function addHeaderAliases(row, headers, columnKeys = {}) {
+  headers.forEach((h) => {
+    const key = outputKeyFor(h, columnKeys);
+    if (key !== h && key in row && !(h in row)) row[h] = row[key];
+  });
+  return row;
+}
+
+/**
+ * Output keys used by more than one column of the same section.
+ * Returns a Set of the offending headers.
+ */
+export function findKeyCollisions(headers, columnKeys, sectionOf) {
+  const seen = new Map();
+  const collisions = new Set();
+  headers
+    .filter((h) => !FIXED_KEY_HEADERS.includes(h))
+    .forEach((h) => {
+      const id = `${sectionOf(h)}\u0000${outputKeyFor(h, columnKeys)}`;
+      if (seen.has(id)) {
+        collisions.add(h);
+        collisions.add(seen.get(id));
+      } else {
+        seen.set(id, h);
+      }
+    });
+  return collisions;
+}
+
+/**
+ * The error for colliding headers (see findKeyCollisions), "" for none.
+ */
+export function describeKeyCollisions(collisions) {
+  if (collisions.size === 0) return "";
+  const names = Array.from(collisions, (h) => `"${h}"`).join(", ");
+  return `Columns ${names} share an output key within a section; give each its own key.`;
+}
+
+/**
+ * Flatten an entry's sections back into one row (title and content
+ * included), keyed by output key and, through addHeaderAliases, by header.
+ */
+export function flattenEntry(entry, headers, columnKeys = {}) {
+  const flat = {};
+  Object.values(entry.data || {}).forEach((section) => {
+    Object.assign(flat, section);
+  });
+  if (entry.title !== undefined) flat.title = entry.title;
+  if (entry.content !== undefined) flat.content = entry.content;
+  return addHeaderAliases(flat, headers, columnKeys);
+}
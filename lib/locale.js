@@ -0,0 +1,301 @@
+/**
+ * locale.js
+ *
+ * Multi-locale export. Converted entries are grouped into translation
+ * groups; each group has one variant per locale sharing a group key.
+ *
+ * Locale config shape:
+ *   { mode, defaultLocale, locales, localeColumn, groupColumn, groupPattern }
+ * locales is a comma-separated list of the other locales ("fil, ceb").
+ *
+ * mode "suffix": one source row carries every locale; a column named
+ *   <column>_<locale> (title_fil, content_fil, description_fil) holds the
+ *   translation of <column>. The group key comes from groupPattern.
+ * mode "column": one source row per locale; localeColumn names the locale
+ *   and rows with the same groupColumn value are translations of each other.
+ *   A second row for a locale its group already has is exported on its own.
+ *
+ * Missing translations are reported as issues like validation.js:
+ *   { row, column, rule, value, message }
+ */
+
+import { buildTitleFromPattern } from "@/lib/pattern";
+import { outputKeyFor, patternHeadersFor, flattenEntry } from "@/lib/keys";
+
+export const LOCALE_MODES = [
+  { value: "off", label: "Single locale" },
+  { value: "suffix", label: "Locale-suffixed columns (title_fil)" },
+  { value: "column", label: "Locale column, one row per locale" },
+];
+
+export const DEFAULT_LOCALE_CONFIG = {
+  mode: "off",
+  defaultLocale: "en",
+  locales: "",
+  localeColumn: "",
+  groupColumn: "",
+  groupPattern: "{title|slug}",
+};
+
+const normLocale = (s) =>
+  String(s ?? "")
+    .trim()
+    .toLowerCase();
+
+export const getDefaultLocale = (config) =>
+  normLocale(config.defaultLocale) || "en";
+
+// Column mode needs both the locale and the group column
+const groupsByColumn = (config) =>
+  config.mode === "column" &&
+  Boolean(config.localeColumn && config.groupColumn);
+
+/**
+ * Column mode: the locale of a row (keyed by header or output key), the
+ * default locale when its locale cell is empty. null in the other modes,
+ * where rows carry no locale of their own.
+ */
+export function getRowLocale(row, config) {
+  if (!groupsByColumn(config)) return null;
+  return normLocale(row[config.localeColumn]) || getDefaultLocale(config);
+}
+
+// "fil, ceb" -> ["fil", "ceb"] (the default locale left out)
+export function parseLocales(config) {
+  const defaultLocale = getDefaultLocale(config);
+  return Array.from(
+    new Set(
+      String(config.locales ?? "")
+        .split(",")
+        .map(normLocale)
+        .filter((l) => l && l !== defaultLocale)
+    )
+  );
+}
+
+/**
+ * Suffix mode: header -> { base, locale } for every header that translates
+ * another header (title_fil -> { base: "title", locale: "fil" }).
+ */
+export function findLocalizedHeaders(headers, config) {
+  const map = new Map();
+  const known = new Set(headers);
+  parseLocales(config).forEach((locale) => {
+    headers.forEach((h) => {
+      const base = h.slice(0, -(locale.length + 1));
+      if (h.endsWith(`_${locale}`) && known.has(base)) {
+        map.set(h, { base, locale });
+      }
+    });
+  });
+  return map;
+}
+
+const text = (v) => (v === null || v === undefined ? "" : String(v).trim());
+
+// Drop the given output keys from every section of an entry
+const withoutKeys = (entry, keys) => {
+  const data = {};
+  Object.entries(entry.data || {}).forEach(([section, values]) => {
+    data[section] = Object.fromEntries(
+      Object.entries(values).filter(([k]) => !keys.has(k))
+    );
+  });
+  return { ...entry, data };
+};
+
+/**
+ * Group entries into translation groups.
+ *
+ * ctx: { headers, columnKeys, slug } as used for pattern evaluation.
+ * Returns { groups, issues }:
+ *   groups: [{ key, row, variants: [{ locale, entry }] }], default locale
+ *           first; row is the 1-based position of the group's base entry.
+ * With mode "off" every entry is its own group with the default locale.
+ */
+export function groupTranslations(entries, config, ctx) {
+  const defaultLocale = getDefaultLocale(config);
+  const issues = [];
+  if (config.mode === "suffix") {
+    return groupBySuffix(entries, config, ctx, defaultLocale, issues);
+  }
+  if (groupsByColumn(config)) {
+    return groupByColumn(entries, config, ctx, defaultLocale, issues);
+  }
+  return {
+    groups: entries.map((entry, idx) => ({
+      key: "",
+      row: idx + 1,
+      variants: [{ locale: defaultLocale, entry }],
+    })),
+    issues,
+  };
+}
+
+function groupBySuffix(entries, config, ctx, defaultLocale, issues) {
+  const { headers, columnKeys = {}, slug } = ctx;
+  const localized = findLocalizedHeaders(headers, config);
+  const localizedKeys = new Set(
+    Array.from(localized.keys(), (h) => outputKeyFor(h, columnKeys))
+  );
+  const patternHeaders = patternHeadersFor(headers, columnKeys);
+  const headerOfKey = new Map(
+    headers.map((h) => [outputKeyFor(h, columnKeys), h])
+  );
+  const locales = parseLocales(config);
+
+  const groups = entries.map((entry, idx) => {
+    const row = idx + 1;
+    const flat = flattenEntry(entry, headers, columnKeys);
+    const base = withoutKeys(entry, localizedKeys);
+    const key = buildTitleFromPattern(
+      config.groupPattern || DEFAULT_LOCALE_CONFIG.groupPattern,
+      flat,
+      patternHeaders,
+      row,
+      { slug }
+    );
+
+    const variants = [{ locale: defaultLocale, entry: base }];
+    locales.forEach((locale) => {
+      // base header -> translated value for this locale
+      const values = new Map();
+      localized.forEach((info, h) => {
+        if (info.locale !== locale) return;
+        const value = text(flat[h]);
+        if (value) {
+          values.set(info.base, flat[h]);
+        } else if (text(flat[info.base])) {
+          issues.push({
+            row,
+            column: h,
+            rule: "translation-missing",
+            value: "",
+            message: `No ${locale} translation of ${info.base}`,
+          });
+        }
+      });
+      const variant = {
+        ...base,
+        title: values.has("title") ? text(values.get("title")) : base.title,
+        content: values.has("content")
+          ? text(values.get("content"))
+          : base.content,
+        data: {},
+      };
+      Object.entries(base.data).forEach(([section, sectionValues]) => {
+        variant.data[section] = {};
+        Object.entries(sectionValues).forEach(([k, v]) => {
+          const header = headerOfKey.get(k);
+          variant.data[section][k] = values.has(header)
+            ? values.get(header)
+            : v;
+        });
+      });
+      variants.push({ locale, entry: variant });
+    });
+    return { key, row, variants };
+  });
+  return { groups, issues };
+}
+
+function groupByColumn(entries, config, ctx, defaultLocale, issues) {
+  const { headers, columnKeys = {} } = ctx;
+  const locales = parseLocales(config);
+  const byKey = new Map();
+
+  entries.forEach((entry, idx) => {
+    const row = idx + 1;
+    const flat = flattenEntry(entry, headers, columnKeys);
+    const locale = getRowLocale(flat, config);
+    const key = text(flat[config.groupColumn]);
+    if (!key) {
+      issues.push({
+        row,
+        column: config.groupColumn,
+        rule: "translation-group",
+        value: "",
+        message: "No translation group; exported on its own",
+      });
+    }
+    const group = key ? byKey.get(key) : null;
+    const duplicate = group?.variants.some((v) => v.locale === locale);
+    if (duplicate) {
+      issues.push({
+        row,
+        column: config.localeColumn,
+        rule: "translation-duplicate",
+        value: locale,
+        message: `Group ${key} already has a ${locale} row (row ${group.row}); exported on its own`,
+      });
+    }
+    // rows without a key, and second rows of a locale, never group with
+    // others (nor lose their data)
+    if (!key || duplicate) {
+      byKey.set(`\u0000${row}`, {
+        key: "",
+        row,
+        variants: [{ locale, entry, row }],
+      });
+      return;
+    }
+    if (!group) byKey.set(key, { key, row, variants: [] });
+    byKey.get(key).variants.push({ locale, entry, row });
+  });
+
+  const groups = Array.from(byKey.values(), (group) => {
+    const base =
+      group.variants.find((v) => v.locale === defaultLocale) ??
+      group.variants[0];
+    if (group.key && base.locale !== defaultLocale) {
+      issues.push({
+        row: base.row,
+        column: config.localeColumn,
+        rule: "translation-missing",
+        value: base.locale,
+        message: `Group ${group.key} has no ${defaultLocale} row`,
+      });
+    }
+    if (group.key) {
+      locales
+        .filter((l) => !group.variants.some((v) => v.locale === l))
+        .forEach((l) =>
+          issues.push({
+            row: base.row,
+            column: config.localeColumn,
+            rule: "translation-missing",
+            value: "",
+            message: `Group ${group.key} has no ${l} row`,
+          })
+        );
+    }
+    return {
+      key: group.key,
+      row: base.row,
+      variants: [base, ...group.variants.filter((v) => v !== base)].map(
+        ({ locale, entry }) => ({ locale, entry })
+      ),
+    };
+  });
+  issues.sort((a, b) => a.row - b.row);
+  return { groups, issues };
+}
+
+/**
+ * JSON export shape: one entry per group with the other locales nested.
+ *   { ...entry, locale, translation_group, translations: { fil: { title,
+ *     content, data } } }
+ */
+export function nestTranslations(groups) {
+  return groups.map(({ key, variants: [base, ...others] }) => ({
+    ...base.entry,
+    locale: base.locale,
+    translation_group: key,
+    translations: Object.fromEntries(
+      others.map(({ locale, entry }) => [
+        locale,
+        { title: entry.title, content: entry.content, data: entry.data },
+      ])
+    ),
+  }));
+}
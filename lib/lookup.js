@@ -0,0 +1,174 @@
+/**
+ * lookup.js
+ *
+ * Enrichment from reference CSVs: region managers, site contacts or parking
+ * details kept in sheets of their own and joined to the rows on a shared
+ * key such as location_code. Each lookup appends the reference columns it
+ * picks to every row, after the row's own columns, so they are assigned to
+ * sections, typed, validated and filtered like native ones. Lookups run in
+ * order; a later one may join on a column an earlier one added.
+ *
+ * Keys match ignoring case and surrounding spaces. A row whose key is empty
+ * or not in the reference gets empty cells and is reported as unmatched.
+ * When the reference repeats a key, its first row wins.
+ *
+ * Lookup config shape (mapping.lookups):
+ *   [{ id, name, sourceKey, lookupKey, columns: [...], prefix }]
+ * sourceKey is a column of the rows, lookupKey and columns are columns of
+ * the reference; the added columns are named prefix + column.
+ * Reference tables are not part of the mapping and are passed by lookup id:
+ *   { [id]: { headers, records } }   (see readLookupTable)
+ */
+
+import { normalizeHeaders } from "@/lib/csv";
+
+export const DEFAULT_LOOKUPS = [];
+
+const fold = (v) =>
+  String(v ?? "")
+    .trim()
+    .toLowerCase();
+
+export const lookupLabel = (lookup, idx) =>
+  String(lookup?.name ?? "").trim() || `Lookup ${idx + 1}`;
+
+/**
+ * A reference table from its records, header first: { headers, records }
+ * with normalized headers and the data records.
+ */
+export function readLookupTable(records) {
+  return {
+    headers: normalizeHeaders(records[0] ?? []),
+    records: records.slice(1),
+  };
+}
+
+/**
+ * The lookup with the given id, or else name (ignoring case); used where
+ * reference files are named on the command line or in API requests.
+ */
+export const findLookup = (lookups, ref) =>
+  (lookups ?? []).find((l) => l.id === ref) ??
+  (lookups ?? []).find((l) => fold(l.name) === fold(ref));
+
+/**
+ * Reference rows by folded key: Map key -> record, first row per key, and
+ * the keys the table repeats.
+ */
+export function indexLookupTable(table, lookupKey) {
+  const keyIdx = table.headers.indexOf(lookupKey);
+  const index = new Map();
+  const duplicates = new Set();
+  if (keyIdx === -1) return { index, duplicates: [] };
+  table.records.forEach((record) => {
+    const key = fold(record[keyIdx]);
+    if (key === "") return;
+    if (index.has(key)) duplicates.add(key);
+    else index.set(key, record);
+  });
+  return { index, duplicates: Array.from(duplicates) };
+}
+
+/**
+ * Walk the lookups over the row headers. Returns
+ * { headers, joinable, added, problems }: headers with the added columns
+ * appended, joinable the ids of the lookups that can join, added as
+ * [{ header, lookup, column }] (lookup being its id) and problems as
+ * messages. A lookup without its table or a usable key pair cannot join;
+ * a column missing from the reference or clashing with an earlier header
+ * is left out.
+ */
+export function planLookups(lookups, tables, headers) {
+  const current = [...headers];
+  const joinable = [];
+  const added = [];
+  const problems = [];
+  (lookups ?? []).forEach((lookup, idx) => {
+    const label = lookupLabel(lookup, idx);
+    const table = tables?.[lookup.id];
+    if (!table) {
+      problems.push(`${label}: no reference CSV loaded.`);
+      return;
+    }
+    if (!lookup.sourceKey || !current.includes(lookup.sourceKey)) {
+      problems.push(
+        lookup.sourceKey
+          ? `${label}: column "${lookup.sourceKey}" is not in the file.`
+          : `${label}: choose the file's key column.`
+      );
+      return;
+    }
+    if (!lookup.lookupKey || !table.headers.includes(lookup.lookupKey)) {
+      problems.push(
+        lookup.lookupKey
+          ? `${label}: column "${lookup.lookupKey}" is not in the reference.`
+          : `${label}: choose the reference's key column.`
+      );
+      return;
+    }
+    joinable.push(lookup.id);
+    (lookup.columns ?? []).forEach((column) => {
+      const header = `${lookup.prefix ?? ""}${column}`;
+      if (!table.headers.includes(column)) {
+        problems.push(`${label}: column "${column}" is not in the reference.`);
+      } else if (current.includes(header)) {
+        problems.push(
+          `${label}: column "${header}" already exists; set a prefix.`
+        );
+      } else {
+        current.push(header);
+        added.push({ header, lookup: lookup.id, column });
+      }
+    });
+  });
+  return { headers: current, joinable, added, problems };
+}
+
+/**
+ * Join records with the row headers to the reference tables. Returns
+ * { headers, problems, join } where join(values) returns { values, unmatched }:
+ * the values with the added columns appended and the lookups that found no
+ * reference row, as [{ lookup, key }] with the raw key.
+ */
+export function createLookupJoiner(lookups, tables, headers) {
+  const plan = planLookups(lookups, tables, headers);
+  const joins = (lookups ?? [])
+    .filter((lookup) => plan.joinable.includes(lookup.id))
+    .map((lookup) => {
+      const table = tables[lookup.id];
+      return {
+        id: lookup.id,
+        sourceIdx: plan.headers.indexOf(lookup.sourceKey),
+        columnIdx: plan.added
+          .filter((a) => a.lookup === lookup.id)
+          .map((a) => table.headers.indexOf(a.column)),
+        index: indexLookupTable(table, lookup.lookupKey).index,
+      };
+    });
+  return {
+    headers: plan.headers,
+    problems: plan.problems,
+    join(values) {
+      const joined = headers.map((_, idx) => values[idx] ?? "");
+      const unmatched = [];
+      joins.forEach(({ id, sourceIdx, columnIdx, index }) => {
+        const key = joined[sourceIdx] ?? "";
+        const record = index.get(fold(key));
+        if (!record) unmatched.push({ lookup: id, key });
+        columnIdx.forEach((idx) => joined.push(record?.[idx] ?? ""));
+      });
+      return { values: joined, unmatched };
+    },
+  };
+}
+
+/**
+ * Unmatched rows per lookup id: { [id]: count }.
+ */
+export function countUnmatched(unmatched) {
+  const counts = {};
+  unmatched.forEach(({ lookup }) => {
+    counts[lookup] = (counts[lookup] ?? 0) + 1;
+  });
+  return counts;
+}
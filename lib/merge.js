@@ -0,0 +1,56 @@
+/**
+ * merge.js
+ *
+ * Several CSV files with the same layout (one per region, say) converted
+ * as one. Columns are matched by header name, not by position, so the
+ * files may order them differently. The merged header holds every file's
+ * columns in first-seen order plus a source_file column with each row's
+ * file name, usable as {source_file} in patterns (a file with a
+ * source_file column of its own keeps its values).
+ *
+ * A column a file lacks is left empty for that file's rows and reported;
+ * values are never shifted into a neighbouring column.
+ */
+
+import { normalizeHeaders } from "@/lib/csv";
+
+export const SOURCE_FILE_COLUMN = "source_file";
+
+/**
+ * Merge the header records of files ([{ name, header }], header as read).
+ * Returns { headers, files: [{ name, headers, missing, extra }] } where
+ * headers are the merged (normalized) headers, and per file headers its own
+ * normalized headers, missing the merged columns it lacks and extra the
+ * columns it adds over the first file.
+ */
+export function mergeHeaders(files) {
+  const normalized = files.map((f) => normalizeHeaders(f.header));
+  const merged = Array.from(new Set(normalized.flat()));
+  if (!merged.includes(SOURCE_FILE_COLUMN)) merged.push(SOURCE_FILE_COLUMN);
+  const first = new Set(normalized[0]);
+  return {
+    headers: merged,
+    files: files.map((f, idx) => {
+      const own = new Set(normalized[idx]);
+      return {
+        name: f.name,
+        headers: normalized[idx],
+        missing: merged.filter((h) => !own.has(h) && h !== SOURCE_FILE_COLUMN),
+        extra: idx === 0 ? [] : normalized[idx].filter((h) => !first.has(h)),
+      };
+    }),
+  };
+}
+
+/**
+ * A function reordering one file's records (fileHeaders: its normalized
+ * headers) into the merged header order, with name in source_file.
+ */
+export function createRecordAligner(fileHeaders, mergedHeaders, name) {
+  const positions = mergedHeaders.map((h) => fileHeaders.indexOf(h));
+  return (values) =>
+    positions.map((pos, idx) => {
+      if (pos !== -1) return values[pos] ?? "";
+      return mergedHeaders[idx] === SOURCE_FILE_COLUMN ? name : "";
+    });
+}
@@ -0,0 +1,392 @@
+/**
+ * pattern.js
+ *
+ * Title pattern language.
+ *
+ *   {title}                     plain token (title, index, timestamp,
+ *                               column:X, column_X or any header / output key)
+ *   {city|upper}                pipe filters, chainable: {title|trim|slug}
+ *   {title|truncate:40}         filters may take ":"-separated arguments
+ *   {nickname ?? title}         fallbacks: first non-empty source wins;
+ *   {nickname ?? "Unnamed"}     a quoted string is a literal source
+ *   {city}[ - {nickname}]       [...] is a conditional segment, dropped
+ *                               entirely when any token inside is empty
+ *   \{ \} \[ \] \\              escaped literal characters
+ *
+ * Syntax errors throw PatternError with the 1-based column of the problem.
+ * Patterns saved before filters and segments existed treated [ ] \ as text;
+ * migrateLegacyPattern rewrites them to keep their titles.
+ */
+
+import { slugify } from "@/lib/slug";
+
+export class PatternError extends Error {
+  constructor(reason, column) {
+    super(`Column ${column}: ${reason}`);
+    this.name = "PatternError";
+    this.reason = reason;
+    this.column = column;
+  }
+}
+
+const toInt = (name, arg, min) => {
+  const n = Number(arg);
+  if (!Number.isInteger(n) || n < min) {
+    throw new Error(`Filter "${name}" needs a whole number of at least ${min}`);
+  }
+  return n;
+};
+
+// name -> { args: [min, max], apply(value, args, options), check?(...args) }
+// options are the evaluation options passed to buildTitleFromPattern
+const FILTERS = {
+  upper: { args: [0, 0], apply: (v) => v.toUpperCase() },
+  lower: { args: [0, 0], apply: (v) => v.toLowerCase() },
+  capitalize: {
+    args: [0, 0],
+    apply: (v) => v.toLowerCase().replace(/(^|\s)\S/g, (c) => c.toUpperCase()),
+  },
+  trim: { args: [0, 0], apply: (v) => v.trim() },
+  slug: {
+    args: [0, 1],
+    check: (n) => n === undefined || toInt("slug", n, 1),
+    // {title|slug:40} overrides the configured maximum length
+    apply: (v, [n], options) =>
+      slugify(v, n ? { ...options.slug, maxLength: n } : options.slug),
+  },
+  truncate: {
+    args: [1, 1],
+    check: (n) => toInt("truncate", n, 1),
+    apply: (v, [n]) => v.slice(0, Number(n)).trimEnd(),
+  },
+  pad: {
+    args: [1, 2],
+    check: (n, ch = "0") => {
+      toInt("pad", n, 1);
+      if (String(ch).length !== 1) {
+        throw new Error(`Filter "pad" fill must be a single character`);
+      }
+    },
+    apply: (v, [n, ch = "0"]) => v.padStart(Number(n), ch),
+  },
+  replace: {
+    args: [1, 2],
+    check: (from) => {
+      if (from === "") throw new Error(`Filter "replace" needs text to find`);
+    },
+    apply: (v, [from, to = ""]) => v.split(from).join(to),
+  },
+};
+
+export const PATTERN_FILTERS = Object.keys(FILTERS);
+
+// Helper to format a compact timestamp for patterns
+export const formatTimestampForPattern = (date = new Date()) => {
+  const pad = (n) => String(n).padStart(2, "0");
+  return (
+    date.getFullYear().toString() +
+    pad(date.getMonth() + 1) +
+    pad(date.getDate()) +
+    pad(date.getHours()) +
+    pad(date.getMinutes()) +
+    pad(date.getSeconds())
+  );
+};
+
+// Resolve a pattern token against a row and current context
+// Supports:
+//  - title
+//  - index
+//  - timestamp
+//  - column:HeaderName   (case-insensitive match to CSV headers)
+//  - column_headername  (underscore variant)
+export const resolveToken = (token, rowObject, headersArray, rowIndex) => {
+  const t = String(token).trim();
+  if (t === "title") return rowObject.title ?? "";
+  if (t === "index") return String(rowIndex);
+  if (t === "timestamp") return formatTimestampForPattern(new Date());
+  // column:HeaderName
+  if (t.toLowerCase().startsWith("column:")) {
+    const headerName = t.slice("column:".length).trim();
+    if (!headerName) return "";
+    // headersArray contains lowercased headers, so compare lowercased
+    const target = headerName.toLowerCase();
+    const found = headersArray.find(
+      (h) => String(h).toLowerCase() === target
+    );
+    return found ? String(rowObject[found] ?? "") : "";
+  }
+  // column_headername (underscore) e.g. column_Author or column_name
+  if (t.toLowerCase().startsWith("column_")) {
+    const headerName = t.slice("column_".length).trim();
+    if (!headerName) return "";
+    const normalizedQuery = headerName.toLowerCase().replace(/\s+/g, "_");
+    const match = headersArray.find((h) => {
+      const normalizedH = String(h).toLowerCase().replace(/\s+/g, "_");
+      return normalizedH === normalizedQuery;
+    });
+    return match ? String(rowObject[match] ?? "") : "";
+  }
+  // fallback: try direct header name match (user may type {Author})
+  {
+    const match = headersArray.find(
+      (h) => String(h).toLowerCase() === t.toLowerCase()
+    );
+    if (match) return String(rowObject[match] ?? "");
+  }
+  return "";
+};
+
+// --- parser ---------------------------------------------------------------
+
+// Split the inside of {...} on a separator outside quoted strings.
+// Returns [{ text, offset }] where offset is relative to the token body.
+const splitOutsideQuotes = (body, separator) => {
+  const parts = [];
+  let start = 0;
+  let quote = null;
+  for (let i = 0; i < body.length; i++) {
+    const ch = body[i];
+    if (quote) {
+      if (ch === "\\") i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (body.startsWith(separator, i)) {
+      parts.push({ text: body.slice(start, i), offset: start });
+      start = i + separator.length;
+      i += separator.length - 1;
+    }
+  }
+  parts.push({ text: body.slice(start), offset: start });
+  return parts;
+};
+
+// "text" / 'text' -> text, otherwise null
+const unquote = (raw) => {
+  const t = raw.trim();
+  if (t.length >= 2 && (t[0] === '"' || t[0] === "'") && t.endsWith(t[0])) {
+    return t.slice(1, -1).replace(/\\(.)/g, "$1");
+  }
+  return null;
+};
+
+// Parse the body of one {...} token. `column` is the position of its "{".
+const parseToken = (body, column) => {
+  const at = (offset) => column + 1 + offset;
+  const [sourcePart, ...filterParts] = splitOutsideQuotes(body, "|");
+
+  const sources = splitOutsideQuotes(sourcePart.text, "??").map((part) => {
+    const literal = unquote(part.text);
+    if (literal !== null) return { literal };
+    const name = part.text.trim();
+    if (!name) {
+      throw new PatternError("Empty placeholder", at(part.offset));
+    }
+    if (/["']/.test(name)) {
+      throw new PatternError(
+        `Unterminated string in "${name}"`,
+        at(part.offset)
+      );
+    }
+    return { name };
+  });
+
+  const filters = filterParts.map((part) => {
+    const [namePart, ...argParts] = splitOutsideQuotes(part.text, ":");
+    const name = namePart.text.trim().toLowerCase();
+    const def = FILTERS[name];
+    if (!def) {
+      throw new PatternError(
+        name ? `Unknown filter "${name}"` : "Empty filter",
+        at(part.offset)
+      );
+    }
+    const args = argParts.map((a) => unquote(a.text) ?? a.text.trim());
+    const [min, max] = def.args;
+    if (args.length < min || args.length > max) {
+      throw new PatternError(
+        `Filter "${name}" takes ${
+          min === max ? min : `${min}-${max}`
+        } argument${max !== 1 ? "s" : ""}`,
+        at(part.offset)
+      );
+    }
+    if (def.check) {
+      try {
+        def.check(...args);
+      } catch (err) {
+        throw new PatternError(err.message, at(part.offset));
+      }
+    }
+    return { name, args };
+  });
+
+  return { type: "token", sources, filters };
+};
+
+/**
+ * Compile a pattern string to a node list:
+ *   { type: "text", value } | { type: "token", sources, filters }
+ *   | { type: "segment", nodes }
+ */
+export const compileTitlePattern = (pattern) => {
+  const pat = String(pattern ?? "");
+  const root = [];
+  const stack = [{ nodes: root, column: 0 }];
+  let text = "";
+
+  const flushText = () => {
+    if (text) stack[stack.length - 1].nodes.push({ type: "text", value: text });
+    text = "";
+  };
+
+  for (let i = 0; i < pat.length; i++) {
+    const ch = pat[i];
+    const column = i + 1;
+    if (ch === "\\" && i + 1 < pat.length) {
+      text += pat[++i];
+    } else if (ch === "{") {
+      // find the closing brace, skipping quoted strings
+      let j = i + 1;
+      let quote = null;
+      for (; j < pat.length; j++) {
+        const c = pat[j];
+        if (quote) {
+          if (c === "\\") j++;
+          else if (c === quote) quote = null;
+        } else if (c === '"' || c === "'") {
+          quote = c;
+        } else if (c === "}") {
+          break;
+        } else if (c === "{") {
+          throw new PatternError('Unexpected "{" inside a placeholder', j + 1);
+        }
+      }
+      if (j >= pat.length) {
+        throw new PatternError('Unclosed placeholder "{"', column);
+      }
+      flushText();
+      stack[stack.length - 1].nodes.push(
+        parseToken(pat.slice(i + 1, j), column)
+      );
+      i = j;
+    } else if (ch === "}") {
+      throw new PatternError('Unexpected "}"', column);
+    } else if (ch === "[") {
+      flushText();
+      const segment = { type: "segment", nodes: [] };
+      stack[stack.length - 1].nodes.push(segment);
+      stack.push({ nodes: segment.nodes, column });
+    } else if (ch === "]") {
+      if (stack.length === 1) throw new PatternError('Unexpected "]"', column);
+      flushText();
+      stack.pop();
+    } else {
+      text += ch;
+    }
+  }
+  if (stack.length > 1) {
+    throw new PatternError(
+      'Unclosed conditional segment "["',
+      stack[stack.length - 1].column
+    );
+  }
+  flushText();
+  return root;
+};
+
+// Small cache: the same few patterns are evaluated for every row
+const compiled = new Map();
+const MAX_CACHED = 50;
+
+const getCompiled = (pattern) => {
+  if (compiled.has(pattern)) return compiled.get(pattern);
+  const nodes = compileTitlePattern(pattern);
+  if (compiled.size >= MAX_CACHED)
+    compiled.delete(compiled.keys().next().value);
+  compiled.set(pattern, nodes);
+  return nodes;
+};
+
+/**
+ * Rewrite a pattern of the original language ({token} substitution only)
+ * so it builds the same titles: tokens are kept, the characters that are
+ * syntax now ([ ] \ and braces outside a token) are escaped.
+ */
+export const migrateLegacyPattern = (pattern) =>
+  String(pattern ?? "").replace(/(\{[^}]+\})|[[\]\\{}]/g, (match, token) =>
+    token ? token : `\\${match}`
+  );
+
+/**
+ * Syntax check for live feedback. Returns the error message or null.
+ */
+export const getPatternError = (pattern) => {
+  try {
+    getCompiled(String(pattern ?? ""));
+    return null;
+  } catch (err) {
+    if (err instanceof PatternError) return err.message;
+    throw err;
+  }
+};
+
+// --- evaluation -----------------------------------------------------------
+
+const evalToken = (node, rowObject, headersArray, rowIndex, options) => {
+  let value = "";
+  for (const source of node.sources) {
+    const v =
+      "literal" in source
+        ? source.literal
+        : resolveToken(source.name, rowObject, headersArray, rowIndex);
+    // sanitize val (trim)
+    value = String(v ?? "").trim();
+    if (value) break;
+  }
+  node.filters.forEach(({ name, args }) => {
+    value = FILTERS[name].apply(value, args, options);
+  });
+  return value;
+};
+
+// Returns { text, empty } where empty is true when any token was empty
+const evalNodes = (nodes, rowObject, headersArray, rowIndex, options) => {
+  let text = "";
+  let empty = false;
+  nodes.forEach((node) => {
+    if (node.type === "text") {
+      text += node.value;
+    } else if (node.type === "token") {
+      const v = evalToken(node, rowObject, headersArray, rowIndex, options);
+      if (!v) empty = true;
+      text += v;
+    } else {
+      const inner = evalNodes(
+        node.nodes,
+        rowObject,
+        headersArray,
+        rowIndex,
+        options
+      );
+      if (!inner.empty) text += inner.text;
+    }
+  });
+  return { text, empty };
+};
+
+// Build title from pattern and a row
+// options: { slug } slug options for the slug filter (see slug.js)
+// Throws PatternError when the pattern has a syntax error.
+export const buildTitleFromPattern = (
+  pattern,
+  rowObject,
+  headersArray,
+  rowIndex,
+  options = {}
+) => {
+  if (!pattern || !String(pattern).trim()) return rowObject.title ?? "";
+  const nodes = getCompiled(String(pattern));
+  return evalNodes(nodes, rowObject, headersArray, rowIndex, options).text;
+};
@@ -0,0 +1,148 @@
+/**
+ * profiles.js
+ *
+ * Named mapping profiles: the column/section/title configuration for a given
+ * sheet layout, persisted in localStorage and shareable as JSON files.
+ *
+ * Profile shape:
+ *   { version, name, headers: [lowercased], mapping: { sections, columnMap, titlePattern }, savedAt }
+ *
+ * Version 1 profiles predate the current title pattern language; their
+ * titlePattern is migrated when they are read (see migrateLegacyPattern).
+ */
+
+import { migrateLegacyPattern } from "@/lib/pattern";
+import { createStoredList, upsertByName } from "@/lib/store";
+
+export const PROFILE_STORAGE_KEY = "hasp-csv-formatter:profiles";
+export const PROFILE_VERSION = 2;
+
+// Minimum header overlap (intersection / union) for a profile to auto-apply
+export const PROFILE_MATCH_THRESHOLD = 0.75;
+
+export class ProfileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ProfileError";
+  }
+}
+
+const isPlainObject = (v) =>
+  v !== null && typeof v === "object" && !Array.isArray(v);
+
+/**
+ * Validate an untrusted profile object (from storage or an imported file)
+ * and return a normalized copy. Throws ProfileError when unusable.
+ */
+export function normalizeProfile(raw) {
+  if (!isPlainObject(raw)) throw new ProfileError("Profile is not an object.");
+  const name = String(raw.name ?? "").trim();
+  if (!name) throw new ProfileError("Profile has no name.");
+  if (!Array.isArray(raw.headers)) {
+    throw new ProfileError(`Profile "${name}" has no header list.`);
+  }
+  const mapping = raw.mapping;
+  if (!isPlainObject(mapping) || !Array.isArray(mapping.sections)) {
+    throw new ProfileError(`Profile "${name}" has no section mapping.`);
+  }
+  const sections = mapping.sections
+    .filter((s) => isPlainObject(s) && s.id && s.name)
+    .map((s) => ({
+      id: String(s.id),
+      name: String(s.name),
+      removable: s.removable !== false,
+    }));
+  if (sections.length === 0) {
+    throw new ProfileError(`Profile "${name}" defines no sections.`);
+  }
+
+  const titlePattern = String(mapping.titlePattern ?? "{title}");
+  return {
+    ...raw,
+    version: PROFILE_VERSION,
+    name,
+    headers: raw.headers.map((h) => String(h).toLowerCase()),
+    mapping: {
+      ...mapping,
+      sections,
+      columnMap: isPlainObject(mapping.columnMap) ? mapping.columnMap : {},
+      titlePattern:
+        (raw.version ?? 1) < 2
+          ? migrateLegacyPattern(titlePattern)
+          : titlePattern,
+    },
+    savedAt: raw.savedAt ?? new Date().toISOString(),
+  };
+}
+
+export function createProfile(name, headers, mapping) {
+  return normalizeProfile({
+    version: PROFILE_VERSION,
+    name,
+    headers,
+    mapping,
+    savedAt: new Date().toISOString(),
+  });
+}
+
+// Saved profiles, read with useSyncExternalStore (see store.js)
+const store = createStoredList(PROFILE_STORAGE_KEY, normalizeProfile);
+
+export const loadProfiles = store.load;
+export const getProfilesSnapshot = store.getSnapshot;
+export const getServerProfilesSnapshot = store.getServerSnapshot;
+export const subscribeProfiles = store.subscribe;
+export const saveProfiles = store.save;
+
+/**
+ * Insert or replace (by name, case-insensitive) a profile in a list.
+ */
+export const upsertProfile = upsertByName;
+
+/**
+ * Parse an exported profile file. Accepts a single profile or an array.
+ */
+export function parseProfileFile(text) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch {
+    throw new ProfileError("Profile file is not valid JSON.");
+  }
+  const list = Array.isArray(raw) ? raw : [raw];
+  return list.map(normalizeProfile);
+}
+
+/**
+ * Columns the profile expects but the file lacks, and file columns the
+ * profile does not mention.
+ */
+export function compareHeaders(profile, headers) {
+  const fileSet = new Set(headers);
+  const profileSet = new Set(profile.headers);
+  return {
+    missing: profile.headers.filter((h) => !fileSet.has(h)),
+    added: headers.filter((h) => !profileSet.has(h)),
+  };
+}
+
+/**
+ * Pick the saved profile whose headers best overlap the file's headers.
+ * Returns { profile, missing, added } or null when nothing reaches
+ * PROFILE_MATCH_THRESHOLD.
+ */
+export function matchProfile(profiles, headers) {
+  let best = null;
+  let bestScore = 0;
+  profiles.forEach((profile) => {
+    const { missing, added } = compareHeaders(profile, headers);
+    const shared = headers.length - added.length;
+    const union = shared + missing.length + added.length;
+    const score = union > 0 ? shared / union : 0;
+    if (score > bestScore) {
+      best = { profile, missing, added };
+      bestScore = score;
+    }
+  });
+  return bestScore >= PROFILE_MATCH_THRESHOLD ? best : null;
+}
@@ -0,0 +1,135 @@
+/**
+ * route.js
+ *
+ * route_url generation. The route pattern uses the title pattern language
+ * (see pattern.js); the result is split on "/" and every segment slugified,
+ * so empty values never leave "//" or "/undefined/" behind.
+ *
+ * Route config shape:
+ *   { pattern, prefix, trailingSlash, maxLength, duplicates, localePrefix,
+ *     slug }
+ * slug holds the slug options (see slug.js) applied to every segment and
+ * localePrefix (one of LOCALE_PREFIX_MODES) puts the locale in front.
+ * duplicates is one of ROUTE_DUPLICATE_MODES; clashes are reported as issues
+ * like validation.js: { row, column, rule, value, message }
+ */
+
+import { buildTitleFromPattern } from "@/lib/pattern";
+import { slugify } from "@/lib/slug";
+
+export const ROUTE_DUPLICATE_MODES = [
+  { value: "report", label: "List in preview" },
+  { value: "suffix", label: "Add -2, -3, … suffix" },
+  { value: "fail", label: "Block export" },
+];
+
+export const LOCALE_PREFIX_MODES = [
+  { value: "others", label: "Other locales only (/fil/…)" },
+  { value: "all", label: "All locales (/en/…, /fil/…)" },
+  { value: "none", label: "Never" },
+];
+
+export const DEFAULT_ROUTE_CONFIG = {
+  pattern: "{content}/{title}",
+  prefix: "",
+  trailingSlash: false,
+  maxLength: "",
+  duplicates: "report",
+  localePrefix: "others",
+};
+
+const toSegments = (value, slugOptions) =>
+  String(value ?? "")
+    .split("/")
+    .map((segment) => slugify(segment, slugOptions))
+    .filter(Boolean);
+
+// Route without its trailing slash, cut to fit `room` (at least 1) characters
+const fit = (route, room) => {
+  if (route.length <= room) return route;
+  return route.slice(0, room).replace(/[-/]+$/, "") || "/";
+};
+
+/**
+ * Turn a pattern result into a route: locale, prefix, slugified segments,
+ * length limit and trailing slash. `suffix` (e.g. "-2") is kept inside the
+ * limit; a route cut down to "/" gets no suffix, so the result never exceeds
+ * config.maxLength. `locale` is only added when config.localePrefix asks
+ * for it.
+ */
+export function formatRoute(value, config = {}, suffix = "", locale = null) {
+  const segments = [
+    ...toSegments(locale ?? ""),
+    ...toSegments(config.prefix),
+    ...toSegments(value, config.slug),
+  ];
+  const slash = config.trailingSlash ? "/" : "";
+  const max = Number(config.maxLength) || 0;
+  const base = `/${segments.join("/")}`;
+  const room =
+    max > 0 ? Math.max(1, max - slash.length - suffix.length) : Infinity;
+  const route = fit(base, room);
+  return route === "/" ? "/" : `${route}${suffix}${slash}`;
+}
+
+/**
+ * Create a stateful route builder for one export run (duplicate detection
+ * spans all rows). The returned function takes a row keyed by header/output
+ * key, the names pattern tokens may use, the 1-based row number and, for
+ * multi-locale exports, the row's locale and the default locale.
+ */
+export function createRouteBuilder(config = {}, { onIssue } = {}) {
+  const pattern =
+    String(config.pattern ?? "").trim() || DEFAULT_ROUTE_CONFIG.pattern;
+  const seen = new Map();
+
+  const localePrefix = config.localePrefix ?? DEFAULT_ROUTE_CONFIG.localePrefix;
+
+  return (row, headers, rowIndex, locale = null, defaultLocale = null) => {
+    const value = buildTitleFromPattern(pattern, row, headers, rowIndex, {
+      slug: config.slug,
+    });
+    const prefixLocale =
+      locale &&
+      (localePrefix === "all" ||
+        (localePrefix === "others" && locale !== defaultLocale))
+        ? locale
+        : null;
+    const base = formatRoute(value, config, "", prefixLocale);
+    let route = base;
+    if (seen.has(route) && config.duplicates === "suffix") {
+      for (let n = 2; seen.has(route); n++) {
+        const next = formatRoute(value, config, `-${n}`, prefixLocale);
+        // no room left for a suffix: report the clash instead
+        if (next === "/") break;
+        route = next;
+      }
+    }
+    if (seen.has(route) && onIssue) {
+      onIssue({
+        row: rowIndex,
+        column: "route_url",
+        rule: "route-duplicate",
+        value: route,
+        message: `Same route as row ${seen.get(route)}`,
+      });
+    }
+    if (!seen.has(route)) seen.set(route, rowIndex);
+    return route;
+  };
+}
+
+/**
+ * Routes for a list of entries, in order, plus any duplicate issues.
+ * toRow(entry) flattens an entry back to a header-keyed row.
+ */
+export function buildRoutes(entries, config, { toRow, headers }) {
+  const issues = [];
+  const build = createRouteBuilder(config, {
+    onIssue: (issue) => issues.push(issue),
+  });
+  const routes = entries.map((entry, idx) =>
+    build(toRow(entry), headers, idx + 1)
+  );
+  return { routes, issues };
+}
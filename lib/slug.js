@@ -0,0 +1,69 @@
+/**
+ * slug.js
+ *
+ * URL slugs for titles and place names. Diacritics are transliterated
+ * ("Parañaque" -> "paranaque", "Las Piñas" -> "las-pinas"), "&" becomes
+ * "and", apostrophes are dropped and any other run of punctuation or space
+ * becomes a single dash. Letters from other scripts are kept as-is.
+ *
+ * Slug options shape (all optional):
+ *   { stopWords, maxLength }
+ * stopWords is a comma-separated list, as typed in the route settings.
+ */
+
+export const DEFAULT_SLUG_OPTIONS = { stopWords: "", maxLength: "" };
+
+// Letters NFKD does not decompose into a base letter plus marks
+const TRANSLITERATIONS = {
+  ß: "ss",
+  æ: "ae",
+  œ: "oe",
+  ø: "o",
+  đ: "d",
+  ð: "d",
+  ł: "l",
+  þ: "th",
+  ı: "i",
+};
+
+const slugWords = (s) =>
+  String(s ?? "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    // recompose what is left (e.g. Hangul) after dropping Latin accents
+    .normalize("NFC")
+    .toLowerCase()
+    .replace(/[ßæœøđðłþı]/g, (c) => TRANSLITERATIONS[c])
+    .replace(/&/g, " and ")
+    .replace(/['‘’`]/g, "")
+    .split(/[^\p{L}\p{M}\p{N}]+/u)
+    .filter(Boolean);
+
+// "and, of, the" -> Set { "and", "of", "the" }
+const parseStopWords = (stopWords) =>
+  new Set(
+    String(stopWords ?? "")
+      .split(",")
+      .flatMap(slugWords)
+  );
+
+// Cut to maxLength at a word boundary when there is one
+const cut = (slug, maxLength) => {
+  if (!(maxLength > 0) || slug.length <= maxLength) return slug;
+  const head = slug.slice(0, maxLength + 1);
+  const boundary = head.lastIndexOf("-");
+  return (
+    boundary > 0 ? head.slice(0, boundary) : slug.slice(0, maxLength)
+  ).replace(/-+$/, "");
+};
+
+export const slugify = (s, options = {}) => {
+  let words = slugWords(s);
+  const stopWords = parseStopWords(options.stopWords);
+  if (stopWords.size > 0) {
+    const kept = words.filter((w) => !stopWords.has(w));
+    // a slug made only of stop words keeps them rather than vanishing
+    if (kept.length > 0) words = kept;
+  }
+  return cut(words.join("-"), Number(options.maxLength) || 0);
+};
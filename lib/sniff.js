@@ -0,0 +1,152 @@
+/**
+ * sniff.js
+ *
+ * Encoding, BOM, delimiter and quote detection for uploaded CSV files.
+ * Excel exports from regional machines are frequently semicolon/tab
+ * delimited, Windows-1252 encoded, or start with a UTF-8 BOM.
+ */
+
+import { createCSVTokenizer } from "@/lib/csv";
+
+export const DELIMITER_OPTIONS = [
+  { value: ",", label: "Comma (,)" },
+  { value: ";", label: "Semicolon (;)" },
+  { value: "\t", label: "Tab" },
+  { value: "|", label: "Pipe (|)" },
+];
+
+export const QUOTE_OPTIONS = [
+  { value: '"', label: 'Double (")' },
+  { value: "'", label: "Single (')" },
+];
+
+export const ENCODING_OPTIONS = [
+  { value: "utf-8", label: "UTF-8" },
+  { value: "windows-1252", label: "Windows-1252" },
+  { value: "iso-8859-1", label: "ISO-8859-1" },
+  { value: "utf-16le", label: "UTF-16 LE" },
+  { value: "utf-16be", label: "UTF-16 BE" },
+];
+
+// Number of records inspected per candidate dialect
+const SAMPLE_RECORDS = 20;
+
+/**
+ * Detect the encoding of a byte sample. A BOM wins; otherwise the sample is
+ * strictly decoded as UTF-8 and falls back to Windows-1252 when invalid.
+ * Returns { encoding, hasBOM }.
+ */
+export function detectEncoding(bytes) {
+  const b = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  if (b[0] === 0xef && b[1] === 0xbb && b[2] === 0xbf) {
+    return { encoding: "utf-8", hasBOM: true };
+  }
+  if (b[0] === 0xff && b[1] === 0xfe) {
+    return { encoding: "utf-16le", hasBOM: true };
+  }
+  if (b[0] === 0xfe && b[1] === 0xff) {
+    return { encoding: "utf-16be", hasBOM: true };
+  }
+  try {
+    // stream: true tolerates a multi-byte sequence cut at the end of the sample
+    new TextDecoder("utf-8", { fatal: true }).decode(b, { stream: true });
+    return { encoding: "utf-8", hasBOM: false };
+  } catch {
+    return { encoding: "windows-1252", hasBOM: false };
+  }
+}
+
+/**
+ * Decode bytes with the given encoding, dropping any leading BOM so it
+ * never ends up inside the first header name.
+ */
+export function decodeBytes(bytes, encoding = "utf-8", { stream = false } = {}) {
+  const text = new TextDecoder(encoding).decode(bytes, { stream });
+  return text.replace(/^\uFEFF/, "");
+}
+
+// Score a delimiter/quote pair: records that agree on the most common field
+// count, weighted by that count. A malformed record ends the sample: the
+// records before it still count, and the conversion reports the error with
+// its line and column.
+const scoreDialect = (text, delimiter, quote) => {
+  const counts = [];
+  try {
+    const tokenizer = createCSVTokenizer({
+      delimiter,
+      quote,
+      onRecord: (values) => {
+        counts.push(values.length);
+        return counts.length < SAMPLE_RECORDS;
+      },
+    });
+    tokenizer.write(text);
+  } catch {
+    // keep the records read so far
+  }
+  if (counts.length === 0) return 0;
+
+  const freq = {};
+  counts.forEach((c) => {
+    freq[c] = (freq[c] || 0) + 1;
+  });
+  const [mode, agreeing] = Object.entries(freq).sort((a, b) => b[1] - a[1])[0];
+  if (Number(mode) < 2) return 0;
+  return (agreeing / counts.length) * Number(mode);
+};
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// True when some field of the text is wrapped in quote: it opens right
+// after a delimiter or line start and closes right before one
+const quotesFields = (text, delimiter, quote) => {
+  const q = escapeRegExp(quote);
+  const edge = `${escapeRegExp(delimiter)}|\\r|\\n`;
+  return new RegExp(
+    `(?:^|${edge})${q}(?:[^${q}]|${q}${q})*${q}(?=${edge}|$)`
+  ).test(text);
+};
+
+/**
+ * Detect the delimiter and quote character from a decoded text sample.
+ * Values given in `fixed` are not detected, only used to score the others.
+ * The double quote is kept unless another quote character actually wraps a
+ * field, so a stray " in a value never makes ' win.
+ * Falls back to comma / double quote when nothing scores.
+ */
+export function detectDialect(text, fixed = {}) {
+  const quotes = fixed.quote
+    ? [fixed.quote]
+    : QUOTE_OPTIONS.map((o) => o.value);
+  const delimiters = fixed.delimiter
+    ? [fixed.delimiter]
+    : DELIMITER_OPTIONS.map((o) => o.value);
+  let best = { delimiter: delimiters[0], quote: quotes[0], score: 0 };
+  quotes.forEach((quote) => {
+    delimiters.forEach((delimiter) => {
+      if (quote !== quotes[0] && !quotesFields(text, delimiter, quote)) return;
+      const score = scoreDialect(text, delimiter, quote);
+      // strict > keeps the earlier (more common) candidate on ties
+      if (score > best.score) best = { delimiter, quote, score };
+    });
+  });
+  return { delimiter: best.delimiter, quote: best.quote };
+}
+
+/**
+ * Sniff a byte sample. Any key present in overrides is used as-is instead of
+ * being detected. Returns { encoding, hasBOM, delimiter, quote, text }.
+ */
+export function sniffCSV(bytes, overrides = {}) {
+  const detected = detectEncoding(bytes);
+  const encoding = overrides.encoding ?? detected.encoding;
+  const text = decodeBytes(bytes, encoding, { stream: true });
+  const dialect = detectDialect(text, overrides);
+  return {
+    encoding,
+    hasBOM: detected.hasBOM,
+    delimiter: dialect.delimiter,
+    quote: dialect.quote,
+    text,
+  };
+}
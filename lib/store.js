@@ -0,0 +1,77 @@
+/**
+ * store.js
+ *
+ * Named lists persisted in localStorage (mapping profiles, export
+ * templates) as small external stores for useSyncExternalStore. The server
+ * render always sees an empty list; changes made in other tabs are picked
+ * up through the storage event.
+ */
+
+/**
+ * Store for the list kept under storageKey. normalize validates one stored
+ * item and returns a normalized copy; items it throws on are dropped when
+ * the list is loaded. Returns
+ *   { load, getSnapshot, getServerSnapshot, subscribe, save }
+ */
+export function createStoredList(storageKey, normalize) {
+  const empty = [];
+  const listeners = new Set();
+  let cached = null;
+
+  const load = () => {
+    if (typeof window === "undefined") return [];
+    try {
+      const raw = JSON.parse(window.localStorage.getItem(storageKey) || "[]");
+      if (!Array.isArray(raw)) return [];
+      return raw.flatMap((item) => {
+        try {
+          return [normalize(item)];
+        } catch {
+          return [];
+        }
+      });
+    } catch {
+      return [];
+    }
+  };
+
+  return {
+    load,
+    getSnapshot() {
+      if (cached === null) cached = load();
+      return cached;
+    },
+    getServerSnapshot() {
+      return empty;
+    },
+    subscribe(listener) {
+      const onStorage = (e) => {
+        if (e.key !== storageKey) return;
+        cached = null;
+        listener();
+      };
+      listeners.add(listener);
+      window.addEventListener("storage", onStorage);
+      return () => {
+        listeners.delete(listener);
+        window.removeEventListener("storage", onStorage);
+      };
+    },
+    save(list) {
+      if (typeof window === "undefined") return;
+      window.localStorage.setItem(storageKey, JSON.stringify(list));
+      cached = list;
+      listeners.forEach((listener) => listener());
+    },
+  };
+}
+
+/**
+ * Insert or replace (by name, case-insensitive) an item in a list kept
+ * sorted by name.
+ */
+export function upsertByName(list, item) {
+  const key = item.name.toLowerCase();
+  const rest = list.filter((i) => i.name.toLowerCase() !== key);
+  return [...rest, item].sort((a, b) => a.name.localeCompare(b.name));
+}
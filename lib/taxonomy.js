@@ -0,0 +1,111 @@
+/**
+ * taxonomy.js
+ *
+ * taxonomy_terms for the CMS export, built from columns such as
+ * region / province / city.
+ *
+ * Taxonomy config shape:
+ *   { vocabularies: [{ name, columns: [header], hierarchical }],
+ *     format, pathSeparator, termSeparator, includeAncestors }
+ *
+ * A hierarchical vocabulary yields one path per row (empty levels are
+ * skipped, so NCR rows without a province still get "NCR > Makati");
+ * a flat one yields one term per non-empty column.
+ */
+
+export const TAXONOMY_FORMATS = [
+  { value: "text", label: "vocabulary:Term > Child | …" },
+  { value: "json", label: "JSON [{ vocabulary, path }]" },
+];
+
+export const DEFAULT_TAXONOMY_CONFIG = {
+  vocabularies: [],
+  format: "text",
+  pathSeparator: " > ",
+  termSeparator: "|",
+  includeAncestors: false,
+};
+
+// Location columns in hierarchy order, as commonly named in our sheets
+const LOCATION_LEVELS = [
+  ["region"],
+  ["province"],
+  ["city", "municipality", "city/municipality", "city_municipality"],
+  ["barangay"],
+];
+
+/**
+ * Guess a "location" vocabulary from header names. Returns a config with
+ * no vocabularies when none of the location columns exist.
+ */
+export function guessTaxonomyConfig(headers) {
+  const columns = LOCATION_LEVELS.map((names) =>
+    headers.find((h) => names.includes(h.trim()))
+  ).filter(Boolean);
+  return {
+    ...DEFAULT_TAXONOMY_CONFIG,
+    vocabularies:
+      columns.length > 0
+        ? [{ name: "location", columns, hierarchical: true }]
+        : [],
+  };
+}
+
+const text = (v) => (v === null || v === undefined ? "" : String(v).trim());
+
+/**
+ * Terms for one row keyed by header: [{ vocabulary, path: [...] }].
+ * With includeAncestors every prefix of a hierarchical path is a term too.
+ */
+export function buildTaxonomyTerms(row, config) {
+  const terms = [];
+  (config?.vocabularies ?? []).forEach((vocab) => {
+    const values = vocab.columns.map((c) => text(row[c])).filter(Boolean);
+    if (values.length === 0) return;
+    if (!vocab.hierarchical) {
+      values.forEach((v) => terms.push({ vocabulary: vocab.name, path: [v] }));
+      return;
+    }
+    const start = config.includeAncestors ? 1 : values.length;
+    for (let depth = start; depth <= values.length; depth++) {
+      terms.push({ vocabulary: vocab.name, path: values.slice(0, depth) });
+    }
+  });
+  return terms;
+}
+
+const termKey = (term, config) => {
+  const path = term.path.join(config.pathSeparator ?? " > ");
+  return term.vocabulary ? `${term.vocabulary}:${path}` : path;
+};
+
+/**
+ * The taxonomy_terms cell for a row's terms.
+ */
+export function formatTaxonomyTerms(terms, config) {
+  if (terms.length === 0) return "";
+  if (config.format === "json") return JSON.stringify(terms);
+  return terms.map((t) => termKey(t, config)).join(config.termSeparator ?? "|");
+}
+
+/**
+ * Distinct terms across rows, per vocabulary:
+ *   [{ vocabulary, count, terms: [sorted term strings] }]
+ */
+export function summarizeTaxonomy(rows, config) {
+  const byVocab = new Map(
+    (config?.vocabularies ?? []).map((v) => [v.name, new Set()])
+  );
+  rows.forEach((row) => {
+    buildTaxonomyTerms(row, config).forEach((term) => {
+      byVocab
+        .get(term.vocabulary)
+        ?.add(term.path.join(config.pathSeparator ?? " > "));
+    });
+  });
+  return Array.from(byVocab, ([vocabulary, set]) => ({
+    vocabulary,
+    count: set.size,
+    terms: Array.from(set).sort((a, b) => a.localeCompare(b)),
+  }));
+}
@@ -0,0 +1,230 @@
+/**
+ * templates.js
+ *
+ * Export templates: the column layout of the CSV written for a target CMS.
+ * Templates are saved by name (one per target system) in localStorage.
+ *
+ * Template shape:
+ *   { name, columns: [{ name, kind, value, timestamp? }], savedAt }
+ *
+ * Column kinds:
+ *   constant    value is written as-is
+ *   column      value names a source column (header or output key)
+ *   expression  value is a title-pattern-style expression (see pattern.js)
+ *   data        the entry's sectioned data as JSON
+ *   route       the entry's route URL
+ *   taxonomy    the entry's taxonomy terms (see taxonomy.js)
+ *   locale      the row's locale (see locale.js)
+ *   group       the row's translation group key
+ *   now         an ISO timestamp chosen by `timestamp` (see dates.js): the
+ *               export time, a fixed date or a parsed source column
+ */
+
+import { buildTitleFromPattern, getPatternError } from "@/lib/pattern";
+import {
+  DEFAULT_TIMESTAMP_SETTINGS,
+  validateTimestampSettings,
+  resolveTimestamp,
+} from "@/lib/dates";
+import { buildTaxonomyTerms, formatTaxonomyTerms } from "@/lib/taxonomy";
+import { createStoredList, upsertByName } from "@/lib/store";
+
+export const TEMPLATE_STORAGE_KEY = "hasp-csv-formatter:export-templates";
+
+export const COLUMN_KINDS = [
+  { value: "constant", label: "Constant" },
+  { value: "column", label: "Source column" },
+  { value: "expression", label: "Expression" },
+  { value: "data", label: "Sectioned data (JSON)" },
+  { value: "route", label: "Route URL" },
+  { value: "taxonomy", label: "Taxonomy terms" },
+  { value: "locale", label: "Locale" },
+  { value: "group", label: "Translation group" },
+  { value: "now", label: "Timestamp" },
+];
+
+// Kinds whose value is entered by the user
+export const KINDS_WITH_VALUE = ["constant", "column", "expression"];
+
+// The layout the export used before templates existed
+export const DEFAULT_EXPORT_COLUMNS = [
+  { name: "content", kind: "column", value: "content" },
+  { name: "title", kind: "column", value: "title" },
+  { name: "route_url", kind: "route", value: "" },
+  { name: "published_at", kind: "now", value: "" },
+  { name: "data", kind: "data", value: "" },
+  { name: "status", kind: "constant", value: "1" },
+  { name: "sites", kind: "constant", value: "" },
+  { name: "locale", kind: "locale", value: "" },
+  { name: "taxonomy_terms", kind: "taxonomy", value: "" },
+  { name: "created_at", kind: "now", value: "" },
+];
+
+export class TemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TemplateError";
+  }
+}
+
+const KIND_VALUES = COLUMN_KINDS.map((k) => k.value);
+
+const normalizeColumn = (raw) => {
+  const column = {
+    name: String(raw?.name ?? "").trim(),
+    kind: KIND_VALUES.includes(raw?.kind) ? raw.kind : "constant",
+    value: String(raw?.value ?? ""),
+  };
+  if (column.kind === "now") {
+    column.timestamp = { ...DEFAULT_TIMESTAMP_SETTINGS, ...raw.timestamp };
+  }
+  return column;
+};
+
+/**
+ * Validate an untrusted template object and return a normalized copy.
+ * Throws TemplateError when unusable.
+ */
+export function normalizeTemplate(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new TemplateError("Template is not an object.");
+  }
+  const name = String(raw.name ?? "").trim();
+  if (!name) throw new TemplateError("Template has no name.");
+  if (!Array.isArray(raw.columns) || raw.columns.length === 0) {
+    throw new TemplateError(`Template "${name}" has no columns.`);
+  }
+  return {
+    name,
+    columns: raw.columns.map(normalizeColumn),
+    savedAt: raw.savedAt ?? new Date().toISOString(),
+  };
+}
+
+/**
+ * Export columns from a template file: a saved template object or a bare
+ * array of columns. Throws TemplateError when unusable.
+ */
+export function parseTemplateColumns(raw) {
+  const template = Array.isArray(raw) ? { name: "columns", columns: raw } : raw;
+  return normalizeTemplate(template).columns;
+}
+
+/**
+ * Problems that make a column list unusable for export, as messages.
+ * An empty list means the columns are fine.
+ */
+export function validateColumns(columns) {
+  const problems = [];
+  if (columns.length === 0) problems.push("The template has no columns.");
+  const seen = new Set();
+  columns.forEach((col, i) => {
+    const label = col.name || `Column ${i + 1}`;
+    if (!col.name.trim()) {
+      problems.push(`Column ${i + 1} has no name.`);
+    } else if (seen.has(col.name.trim())) {
+      problems.push(`Column name "${col.name}" is used more than once.`);
+    }
+    seen.add(col.name.trim());
+    if (col.kind === "column" && !col.value) {
+      problems.push(`${label}: choose a source column.`);
+    }
+    if (col.kind === "expression") {
+      const error = getPatternError(col.value);
+      if (error) problems.push(`${label}: ${error}`);
+    }
+    if (col.kind === "now") {
+      validateTimestampSettings(col.timestamp).forEach((p) =>
+        problems.push(`${label}: ${p}`)
+      );
+    }
+  });
+  return problems;
+}
+
+const cellText = (v) => {
+  if (v === null || v === undefined) return "";
+  if (typeof v === "object") return JSON.stringify(v);
+  return String(v);
+};
+
+/**
+ * Values of one export row, in column order.
+ *
+ * context: { entry, row, headers, index, route, now, slug, taxonomy, locale,
+ *            group, onIssue }
+ *   row is the entry flattened back to header/output-key names, headers the
+ *   names pattern tokens may use, index the 1-based row number, now the
+ *   batch export time, slug the slug options for expressions and taxonomy
+ *   the taxonomy config.
+ *   onIssue({ row, column, rule, value, message }) is called for source
+ *   timestamps that cannot be parsed (rule "timestamp").
+ */
+export function buildTemplateRow(columns, context) {
+  const {
+    entry,
+    row,
+    headers,
+    index,
+    route,
+    now,
+    slug,
+    taxonomy,
+    locale,
+    group,
+    onIssue,
+  } = context;
+  return columns.map((col) => {
+    switch (col.kind) {
+      case "constant":
+        return col.value;
+      case "column":
+        return cellText(row[col.value]);
+      case "expression":
+        return col.value.trim()
+          ? buildTitleFromPattern(col.value, row, headers, index, { slug })
+          : "";
+      case "data":
+        return JSON.stringify(entry.data);
+      case "route":
+        return route;
+      case "locale":
+        return locale ?? "";
+      case "group":
+        return group ?? "";
+      case "taxonomy":
+        return taxonomy
+          ? formatTaxonomyTerms(buildTaxonomyTerms(row, taxonomy), taxonomy)
+          : "";
+      case "now": {
+        const { value, error } = resolveTimestamp(col.timestamp, row, now);
+        if (error && onIssue) {
+          onIssue({
+            row: index,
+            column: col.name,
+            rule: "timestamp",
+            value: String(row[col.timestamp?.column] ?? ""),
+            message: error,
+          });
+        }
+        return value;
+      }
+      default:
+        return "";
+    }
+  });
+}
+
+// Saved templates, read with useSyncExternalStore (see store.js)
+const store = createStoredList(TEMPLATE_STORAGE_KEY, normalizeTemplate);
+
+export const loadTemplates = store.load;
+export const getTemplatesSnapshot = store.getSnapshot;
+export const getServerTemplatesSnapshot = store.getServerSnapshot;
+export const subscribeTemplates = store.subscribe;
+export const saveTemplates = store.save;
+
+/**
+ * Insert or replace (by name, case-insensitive) a template in a list.
+ */
+export const upsertTemplate = upsertByName;
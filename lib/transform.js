@@ -0,0 +1,154 @@
+/**
+ * transform.js
+ *
+ * Row -> entry transformation shared by the page and the conversion worker.
+ *
+ * - Titles are built from the title pattern (see pattern.js).
+ * - Entries: { title, content, data: { sectionName: { outputKey: value } } }
+ *   where outputKey is the column's renamed key, or its lowercased header.
+ * - title and content are base fields and never placed in sectioned data.
+ * - Sectioned values are coerced to their column type (see types.js).
+ * - Rows are checked against per-column rules (see validation.js) and,
+ *   when lat/long columns are configured, geographic sanity checks (geo.js).
+ */
+
+import { coerceValue } from "@/lib/types";
+import { createRowValidator } from "@/lib/validation";
+import { createGeoChecker } from "@/lib/geo";
+import { buildTitleFromPattern } from "@/lib/pattern";
+import { getRowLocale } from "@/lib/locale";
+import {
+  outputKeyFor,
+  patternHeadersFor,
+  addOutputKeyAliases,
+} from "@/lib/keys";
+
+/**
+ * Create a stateful transformer for one conversion run. The returned
+ * function turns a record (array of values) into an entry; generated titles
+ * are de-duplicated across all calls by appending -N (per locale when the
+ * locale config has one row per locale, so translations keep their title).
+ *
+ * config: { headers, sections, columnMap, titlePattern, columnTypes,
+ *           columnRules, columnKeys, geo, slug, titles, timeZone, locale,
+ *           onIssue }
+ * columnTypes maps header -> type, columnRules header -> rules and
+ * columnKeys header -> output key, and slug holds slug options (slug.js);
+ * titles maps row number -> a title used instead of the pattern's (edited
+ * in the preview; still de-duplicated); timeZone is the zone "date" values
+ * without an offset are read in; locale is the locale config (locale.js);
+ * onIssue({ row, column, rule, value, message }) is called for every rule
+ * violation and every cell that fails coercion (rule "type").
+ */
+export const createRowTransformer = ({
+  headers,
+  sections,
+  columnMap,
+  titlePattern,
+  columnTypes = {},
+  columnRules = {},
+  columnKeys = {},
+  geo = null,
+  slug = {},
+  titles = {},
+  timeZone,
+  locale = null,
+  onIssue,
+}) => {
+  const outputKeys = headers.map((h) => outputKeyFor(h, columnKeys));
+  const patternHeaders = patternHeadersFor(headers, columnKeys);
+
+  const validateRow = createRowValidator(columnRules, { onIssue });
+  const checkGeo = createGeoChecker(geo, { onIssue });
+
+  // fallback default section id is first section in list
+  const defaultSectionId = sections[0]?.id ?? "section_default";
+
+  // used for deduplication of generated titles
+  const titleCounts = {};
+
+  return (record, rowIndex) => {
+    const values = record.slice(0, headers.length);
+    while (values.length < headers.length) values.push("");
+
+    // Build a row object keyed by lowercased header names
+    const row = {};
+    headers.forEach((header, index) => {
+      row[header] = values[index] ?? "";
+    });
+
+    validateRow(row, rowIndex);
+    if (checkGeo) checkGeo(row, rowIndex);
+
+    // build a sectioned data object (section names -> object of output keys)
+    const sectionsData = {};
+    sections.forEach((s) => {
+      sectionsData[s.name] = {};
+    });
+
+    // for each header, decide which section it belongs to
+    // IMPORTANT: exclude 'title' and 'content' from being placed into sectionsData
+    headers.forEach((headerLower, index) => {
+      // Skip base fields
+      if (headerLower === "title" || headerLower === "content") {
+        return;
+      }
+
+      const targetSectionId = columnMap[headerLower] ?? defaultSectionId;
+      const targetSection =
+        sections.find((s) => s.id === targetSectionId) || sections[0];
+      const sectionName = targetSection.name;
+
+      // store typed values under the column's output key
+      const raw = row[headerLower] ?? "";
+      const { value, error } = coerceValue(raw, columnTypes[headerLower], {
+        timeZone,
+      });
+      if (error && onIssue) {
+        onIssue({
+          row: rowIndex,
+          column: headerLower,
+          rule: "type",
+          value: raw,
+          message: error,
+        });
+      }
+      sectionsData[sectionName][outputKeys[index]] = value;
+    });
+
+    // Build title using pattern; rowIndex is the 1-based data row number.
+    // Tokens may name a column by header or by output key.
+    const aliasedRow = addOutputKeyAliases(row, headers, columnKeys);
+    const generatedBaseTitle =
+      titles[rowIndex] ??
+      buildTitleFromPattern(
+        titlePattern,
+        aliasedRow,
+        patternHeaders,
+        rowIndex,
+        { slug }
+      );
+
+    // Ensure uniqueness by appending incremental suffix if needed; a row
+    // only clashes with rows of its own locale
+    const normalized = generatedBaseTitle || "";
+    const rowLocale = locale ? getRowLocale(aliasedRow, locale) : null;
+    const countKey = rowLocale ? `${rowLocale}\u0000${normalized}` : normalized;
+    if (!titleCounts[countKey]) {
+      titleCounts[countKey] = 1;
+    } else {
+      titleCounts[countKey] += 1;
+    }
+    let finalTitle = normalized;
+    if (titleCounts[countKey] > 1) {
+      // append -N where N is count - 1 to make title unique
+      finalTitle = `${normalized}-${titleCounts[countKey] - 1}`;
+    }
+
+    return {
+      title: finalTitle,
+      content: row["content"] ?? "",
+      data: sectionsData,
+    };
+  };
+};
@@ -0,0 +1,114 @@
+/**
+ * types.js
+ *
+ * Per-column type coercion for sectioned data. CSV cells are strings; each
+ * column gets a type that is inferred from a sample of rows and can be
+ * overridden in the assignment UI.
+ *
+ * Empty cells become null for every type except "string".
+ * A cell that cannot be coerced keeps its original string value and is
+ * reported through coerceValue's `error`.
+ *
+ * Dates are read like timestamp columns (see dates.js): ISO-like values,
+ * in the mapping's time zone unless they carry their own offset. Anything
+ * else is an error rather than a guess.
+ */
+
+import { parseTimestamp } from "@/lib/dates";
+
+export const COLUMN_TYPES = [
+  { value: "string", label: "String" },
+  { value: "integer", label: "Integer" },
+  { value: "number", label: "Number" },
+  { value: "boolean", label: "Boolean" },
+  { value: "date", label: "Date / ISO timestamp" },
+  { value: "null-if-empty", label: "String (null if empty)" },
+];
+
+const INTEGER_RE = /^[+-]?\d+$/;
+const NUMBER_RE = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+const ISO_DATE_RE =
+  /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const TRUE_VALUES = ["true", "yes", "y", "1"];
+const FALSE_VALUES = ["false", "no", "n", "0"];
+
+// Digit strings that must stay strings: leading zeros (codes) or too long to
+// survive a round-trip through a JS number.
+const looksLikeCode = (s) =>
+  /^[+-]?0\d/.test(s) || s.replace(/^[+-]/, "").length > 15;
+
+/**
+ * Coerce one raw cell value. Returns { value, error } where error is a
+ * message when the cell does not fit the type (value is then the original).
+ * options: { timeZone } for dates without an offset (default: dates.js's)
+ */
+export function coerceValue(raw, type, { timeZone } = {}) {
+  const str = String(raw ?? "");
+  const trimmed = str.trim();
+
+  if (!type || type === "string") return { value: str, error: null };
+  if (trimmed === "") return { value: null, error: null };
+
+  switch (type) {
+    case "null-if-empty":
+      return { value: str, error: null };
+    case "integer":
+      if (INTEGER_RE.test(trimmed) && Number.isSafeInteger(Number(trimmed))) {
+        return { value: Number(trimmed), error: null };
+      }
+      return { value: str, error: `"${str}" is not an integer` };
+    case "number":
+      if (NUMBER_RE.test(trimmed) && Number.isFinite(Number(trimmed))) {
+        return { value: Number(trimmed), error: null };
+      }
+      return { value: str, error: `"${str}" is not a number` };
+    case "boolean": {
+      const lower = trimmed.toLowerCase();
+      if (TRUE_VALUES.includes(lower)) return { value: true, error: null };
+      if (FALSE_VALUES.includes(lower)) return { value: false, error: null };
+      return { value: str, error: `"${str}" is not a boolean` };
+    }
+    case "date": {
+      const { value, error } = parseTimestamp(trimmed, { timeZone });
+      if (!error) return { value, error: null };
+      return { value: str, error: `"${str}" is not a valid date` };
+    }
+    default:
+      return { value: str, error: null };
+  }
+}
+
+/**
+ * Infer a column type from sample values. Only the strictest type every
+ * non-empty value satisfies is chosen; anything ambiguous stays "string".
+ */
+export function inferColumnType(values) {
+  const filled = values
+    .map((v) => String(v ?? "").trim())
+    .filter((v) => v !== "");
+  if (filled.length === 0) return "string";
+
+  const all = (test) => filled.every(test);
+  if (all((v) => ["true", "false", "yes", "no"].includes(v.toLowerCase()))) {
+    return "boolean";
+  }
+  if (all((v) => INTEGER_RE.test(v) && !looksLikeCode(v))) return "integer";
+  if (all((v) => NUMBER_RE.test(v) && !looksLikeCode(v))) return "number";
+  if (all((v) => ISO_DATE_RE.test(v) && !parseTimestamp(v).error)) {
+    return "date";
+  }
+  return "string";
+}
+
+/**
+ * Infer types for every header from sample records (arrays of values in
+ * header order). Returns { header: type }.
+ */
+export function inferColumnTypes(headers, records) {
+  const types = {};
+  headers.forEach((header, index) => {
+    types[header] = inferColumnType(records.map((r) => r[index]));
+  });
+  return types;
+}
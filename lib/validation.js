@@ -0,0 +1,132 @@
+/**
+ * validation.js
+ *
+ * Per-column row validation rules. Rules run against the raw cell text
+ * (before type coercion) and report violations as issues:
+ *   { row, column, rule, value, message }
+ *
+ * Column rules shape (all optional):
+ *   { required, unique, pattern, min, max, minLength, maxLength, allowed }
+ * allowed is a comma-separated list of values, as typed in the rule editor.
+ */
+
+export const EXPORT_POLICIES = [
+  { value: "allow", label: "Export anyway" },
+  { value: "skip", label: "Skip invalid rows" },
+  { value: "block", label: "Block export" },
+];
+
+export class RuleError extends Error {
+  constructor(reason, column) {
+    super(`Pattern rule of "${column}": ${reason}`);
+    this.name = "RuleError";
+    this.reason = reason;
+    this.column = column;
+  }
+}
+
+const isSet = (v) => v !== undefined && v !== null && String(v).trim() !== "";
+
+// "Test, Demo" -> ["Test", "Demo"]
+const parseAllowed = (allowed) =>
+  String(allowed ?? "")
+    .split(",")
+    .map((v) => v.trim())
+    .filter(Boolean);
+
+/**
+ * Compile a user-entered regex. Returns { regex, error }.
+ */
+export function compilePattern(pattern) {
+  if (!isSet(pattern)) return { regex: null, error: null };
+  try {
+    return { regex: new RegExp(pattern), error: null };
+  } catch (err) {
+    return { regex: null, error: err.message };
+  }
+}
+
+/**
+ * True when a column has at least one active rule.
+ */
+export function hasRules(rules) {
+  if (!rules) return false;
+  return Boolean(
+    rules.required ||
+      rules.unique ||
+      isSet(rules.pattern) ||
+      isSet(rules.min) ||
+      isSet(rules.max) ||
+      isSet(rules.minLength) ||
+      isSet(rules.maxLength) ||
+      parseAllowed(rules.allowed).length > 0
+  );
+}
+
+/**
+ * Create a stateful validator for one conversion run (unique checks span
+ * all rows). The returned function validates a row object keyed by header
+ * and calls onIssue for each violation. Throws a RuleError when a pattern
+ * rule is not a valid regex.
+ */
+export function createRowValidator(columnRules = {}, { onIssue } = {}) {
+  const columns = Object.entries(columnRules)
+    .filter(([, rules]) => hasRules(rules))
+    .map(([column, rules]) => {
+      const allowed = parseAllowed(rules.allowed);
+      const { regex, error } = compilePattern(rules.pattern);
+      if (error) throw new RuleError(error, column);
+      return {
+        column,
+        rules,
+        regex,
+        allowed: allowed.length > 0 ? new Set(allowed) : null,
+        seen: rules.unique ? new Map() : null,
+      };
+    });
+
+  return (row, rowIndex) => {
+    columns.forEach(({ column, rules, regex, allowed, seen }) => {
+      const value = String(row[column] ?? "");
+      const trimmed = value.trim();
+      const report = (rule, message) => {
+        if (onIssue) onIssue({ row: rowIndex, column, rule, value, message });
+      };
+
+      if (trimmed === "") {
+        if (rules.required) report("required", "Value is required");
+        return;
+      }
+
+      if (seen) {
+        if (seen.has(trimmed)) {
+          report("unique", `Duplicate of row ${seen.get(trimmed)}`);
+        } else {
+          seen.set(trimmed, rowIndex);
+        }
+      }
+      if (regex && !regex.test(value)) {
+        report("pattern", `Does not match /${rules.pattern}/`);
+      }
+      if (isSet(rules.min) || isSet(rules.max)) {
+        const num = Number(trimmed);
+        if (!Number.isFinite(num)) {
+          report("range", "Not a number");
+        } else if (isSet(rules.min) && num < Number(rules.min)) {
+          report("range", `Less than minimum ${rules.min}`);
+        } else if (isSet(rules.max) && num > Number(rules.max)) {
+          report("range", `Greater than maximum ${rules.max}`);
+        }
+      }
+      if (isSet(rules.minLength) && value.length < Number(rules.minLength)) {
+        report("length", `Shorter than ${rules.minLength} characters`);
+      }
+      if (isSet(rules.maxLength) && value.length > Number(rules.maxLength)) {
+        report("length", `Longer than ${rules.maxLength} characters`);
+      }
+      if (allowed && !allowed.has(trimmed)) {
+        report("allowed", "Not one of the allowed values");
+      }
+    });
+  };
+}
@@ -0,0 +1,98 @@
+/**
+ * workbook.js
+ *
+ * Native .xlsx / .ods input. A sheet (and optional A1 cell range) is turned
+ * into the same array-of-string records the CSV tokenizer produces, so the
+ * rest of the conversion does not care where the rows came from.
+ *
+ * The xlsx package is loaded on demand to keep it out of the initial bundle.
+ *
+ * Date cells are read as UTC and written as wall-clock text
+ * ("2024-05-01", "2024-05-01T13:30:00"), so every machine reads the same
+ * value and the mapping's time zone is applied once, like for CSV input.
+ */
+
+const WORKBOOK_EXTENSIONS = [".xlsx", ".ods"];
+
+const RANGE_RE = /^\s*[A-Z]{1,3}[1-9]\d*\s*:\s*[A-Z]{1,3}[1-9]\d*\s*$/i;
+
+export class WorkbookError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "WorkbookError";
+  }
+}
+
+export function isWorkbookFile(file) {
+  const name = String(file?.name ?? "").toLowerCase();
+  return WORKBOOK_EXTENSIONS.some((ext) => name.endsWith(ext));
+}
+
+/**
+ * Parse workbook bytes. Returns { workbook, sheets: [{ name, range }] } where
+ * range is the used range of each sheet (e.g. "A1:J120").
+ */
+export async function readWorkbook(arrayBuffer) {
+  const XLSX = await import("xlsx");
+  const workbook = XLSX.read(arrayBuffer, {
+    type: "array",
+    cellDates: true,
+    UTC: true,
+  });
+  const sheets = workbook.SheetNames.map((name) => ({
+    name,
+    range: workbook.Sheets[name]?.["!ref"] ?? "",
+  }));
+  return { workbook, sheets };
+}
+
+// Cell value -> string without going through the display format, so numbers
+// such as coordinates keep their full precision.
+const cellToString = (value) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) {
+    if (isNaN(value.getTime())) return "";
+    const iso = value.toISOString().slice(0, 19);
+    return iso.endsWith("T00:00:00") ? iso.slice(0, 10) : iso;
+  }
+  return String(value);
+};
+
+/**
+ * Read a sheet as records (arrays of strings). `range` is an optional A1
+ * range such as "B2:H500"; empty means the sheet's used range.
+ * Completely blank rows are skipped, like blank lines in CSV input.
+ */
+export async function sheetToRecords(workbook, sheetName, range = "") {
+  const XLSX = await import("xlsx");
+  const sheet = workbook.Sheets[sheetName];
+  if (!sheet) throw new WorkbookError(`Sheet "${sheetName}" not found.`);
+
+  const trimmedRange = String(range ?? "").trim();
+  if (trimmedRange && !RANGE_RE.test(trimmedRange)) {
+    throw new WorkbookError(
+      `Invalid cell range "${trimmedRange}". Use the A1:B2 form.`
+    );
+  }
+
+  let rows;
+  try {
+    rows = XLSX.utils.sheet_to_json(sheet, {
+      header: 1,
+      raw: true,
+      defval: "",
+      blankrows: false,
+      UTC: true,
+      // xlsx only reads upper-case column letters
+      ...(trimmedRange
+        ? { range: trimmedRange.replace(/\s+/g, "").toUpperCase() }
+        : {}),
+    });
+  } catch (err) {
+    throw new WorkbookError(`Cannot read sheet "${sheetName}": ${err.message}`);
+  }
+
+  return rows
+    .map((row) => Array.from(row, cellToString))
+    .filter((values) => values.some((v) => v.trim() !== ""));
+}
@@ -0,0 +1,154 @@
+/**
+ * POST /api/convert
+ *
+ * Server-side conversion with the same code as the page, for scheduled jobs.
+ *
+ * Request body (JSON):
+ *   { csv, mapping, format, template, delimiter, quote, lookups }
+ *   csv       the CSV text
+ *   mapping   a profile's mapping (see lib/convert.js); a whole profile
+ *             object is accepted too
+ *   format    "json" (default) or "csv" for the CMS CSV
+ *   template  CSV export columns, or a saved template object; defaults to
+ *             the page's default layout
+ *   delimiter, quote  override the detected CSV dialect
+ *   lookups   the reference CSV text of the mapping's lookups, by lookup id
+ *             or name: { "Region managers": "location_code,manager\n..." }
+ *
+ * 200: the JSON or CSV file the page would download. X-Conversion-Issues
+ *      holds the number of rule/type issues, X-Excluded-Rows the rows the
+ *      mapping's row filters left out, X-Unmatched-Rows the rows without
+ *      a reference row (counted per lookup), X-Export-Warnings the number
+ *      of timestamps left empty.
+ * Errors: { error: { code, message, details } } with
+ *   405 method_not_allowed, 400 invalid_request / invalid_mapping,
+ *   422 parse_error / empty_input / invalid_config / validation_failed /
+ *   duplicate_routes
+ */
+
+import { CSVParseError } from "@/lib/csv";
+import { convert, readLookupCSV, resolveMapping } from "@/lib/convert";
+import { findLookup } from "@/lib/lookup";
+import { EXPORT_FORMATS, exportConversion } from "@/lib/export";
+import { DEFAULT_EXPORT_COLUMNS, parseTemplateColumns } from "@/lib/templates";
+
+export const config = {
+  api: { bodyParser: { sizeLimit: "20mb" } },
+};
+
+const sendError = (res, status, code, message, details = []) =>
+  res.status(status).json({ error: { code, message, details } });
+
+export default function handler(req, res) {
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "POST");
+    return sendError(res, 405, "method_not_allowed", "Use POST.");
+  }
+  const body = req.body;
+  if (!body || typeof body !== "object" || typeof body.csv !== "string") {
+    return sendError(
+      res,
+      400,
+      "invalid_request",
+      'Send a JSON body with the CSV text in "csv".'
+    );
+  }
+  const format = body.format ?? "json";
+  if (!EXPORT_FORMATS.some((f) => f.value === format)) {
+    return sendError(
+      res,
+      400,
+      "invalid_request",
+      `Unknown format "${format}"; use json or csv.`
+    );
+  }
+
+  let columns;
+  try {
+    columns = body.template
+      ? parseTemplateColumns(body.template)
+      : DEFAULT_EXPORT_COLUMNS;
+  } catch (err) {
+    if (err.name !== "TemplateError") throw err;
+    return sendError(res, 400, "invalid_request", err.message);
+  }
+
+  const mapping = body.mapping?.mapping ?? body.mapping ?? {};
+  if (typeof mapping !== "object" || Array.isArray(mapping)) {
+    return sendError(res, 400, "invalid_mapping", "Mapping must be an object.");
+  }
+  // checked before the lookups are matched against it
+  let resolved;
+  try {
+    resolved = resolveMapping(mapping);
+  } catch (err) {
+    if (err.name !== "ConvertError") throw err;
+    return sendError(res, 400, err.code, err.message);
+  }
+
+  const lookupTables = {};
+  for (const [ref, csv] of Object.entries(body.lookups ?? {})) {
+    const lookup = findLookup(resolved.lookups, ref);
+    if (!lookup || typeof csv !== "string") {
+      return sendError(
+        res,
+        400,
+        "invalid_request",
+        lookup
+          ? `Send lookup "${ref}" as CSV text.`
+          : `The mapping has no lookup "${ref}".`
+      );
+    }
+    lookupTables[lookup.id] = csv;
+  }
+
+  let result;
+  try {
+    Object.keys(lookupTables).forEach((id) => {
+      lookupTables[id] = readLookupCSV(lookupTables[id]);
+    });
+    result = convert(body.csv, {
+      ...mapping,
+      dialect: { delimiter: body.delimiter, quote: body.quote },
+      lookupTables,
+    });
+  } catch (err) {
+    if (err instanceof CSVParseError) {
+      return sendError(
+        res,
+        422,
+        "parse_error",
+        `Malformed CSV: ${err.message}`,
+        [{ line: err.line, column: err.column, reason: err.reason }]
+      );
+    }
+    if (err.name === "ConvertError") {
+      const status = err.code === "invalid_mapping" ? 400 : 422;
+      return sendError(res, status, err.code, err.message);
+    }
+    throw err;
+  }
+  res.setHeader("X-Conversion-Issues", String(result.issues.length));
+  res.setHeader("X-Excluded-Rows", String(result.excluded.length));
+  res.setHeader("X-Unmatched-Rows", String(result.unmatched.length));
+
+  let exported;
+  try {
+    exported = exportConversion(result, {
+      format,
+      columns,
+      now: new Date().toISOString(),
+    });
+  } catch (err) {
+    if (err.name !== "ExportError") throw err;
+    return sendError(res, 422, err.code, err.message, err.details);
+  }
+  res.setHeader("X-Export-Warnings", String(exported.warnings.length));
+  res.setHeader(
+    "Content-Type",
+    format === "json"
+      ? "application/json; charset=utf-8"
+      : "text/csv; charset=utf-8"
+  );
+  return res.status(200).send(exported.body);
+}
@@ -1,4 +1,10 @@
-import React, { useState, useRef } from "react";
+import React, {
+  useState,
+  useRef,
+  useEffect,
+  useMemo,
+  useSyncExternalStore,
+} from "react";
 import {
   Upload,
   Download,
@@ -11,7 +17,92 @@ import {
   X,
   Trash2,
   Plus,
+  ShieldCheck,
+  MapPin,
+  GitCompare,
 } from "lucide-react";
+import { createCSVTokenizer, normalizeHeaders, CSVParseError } from "@/lib/csv";
+import {
+  sniffCSV,
+  DELIMITER_OPTIONS,
+  QUOTE_OPTIONS,
+  ENCODING_OPTIONS,
+} from "@/lib/sniff";
+import {
+  isWorkbookFile,
+  readWorkbook,
+  sheetToRecords,
+  WorkbookError,
+} from "@/lib/workbook";
+import {
+  PATTERN_FILTERS,
+  buildTitleFromPattern,
+  getPatternError,
+} from "@/lib/pattern";
+import { DEFAULT_SLUG_OPTIONS } from "@/lib/slug";
+import { DEFAULT_TAXONOMY_CONFIG } from "@/lib/taxonomy";
+import { DEFAULT_LOCALE_CONFIG } from "@/lib/locale";
+import {
+  DEFAULT_ROUTE_CONFIG,
+  ROUTE_DUPLICATE_MODES,
+  LOCALE_PREFIX_MODES,
+  buildRoutes,
+} from "@/lib/route";
+import { COLUMN_TYPES } from "@/lib/types";
+import { EXPORT_POLICIES, compilePattern, hasRules } from "@/lib/validation";
+import {
+  FIXED_KEY_HEADERS,
+  toSnakeCase,
+  toCamelCase,
+  outputKeyFor,
+  patternHeadersFor,
+  flattenEntry,
+  findKeyCollisions,
+  describeKeyCollisions,
+} from "@/lib/keys";
+import { DEFAULT_GEO_CONFIG, PHILIPPINES_BBOX } from "@/lib/geo";
+import {
+  subscribeProfiles,
+  getProfilesSnapshot,
+  getServerProfilesSnapshot,
+  saveProfiles,
+  createProfile,
+  upsertProfile,
+  parseProfileFile,
+  matchProfile,
+  compareHeaders,
+} from "@/lib/profiles";
+import { DEFAULT_EXPORT_COLUMNS } from "@/lib/templates";
+import { DEFAULT_TIME_ZONE, isValidTimeZone } from "@/lib/dates";
+import {
+  csvEscape,
+  getExportProblems,
+  applyExportPolicy,
+  buildJSONExport,
+  buildCSVExport,
+} from "@/lib/export";
+import {
+  TYPE_SAMPLE_ROWS,
+  SNIFF_BYTES,
+  inferSampleTypes,
+  resolveGeoAndTaxonomy,
+} from "@/lib/convert";
+import { mergeHeaders, createRecordAligner } from "@/lib/merge";
+import { DEFAULT_ROW_FILTERS, ruleLabel } from "@/lib/filters";
+import { DEFAULT_LOOKUPS, createLookupJoiner, planLookups } from "@/lib/lookup";
+import {
+  parsePreviousExport,
+  diffExports,
+  entryFields,
+  guessDiffKey,
+} from "@/lib/diff";
+
+import TaxonomyPanel from "@/components/TaxonomyPanel";
+import LocalePanel from "@/components/LocalePanel";
+import LookupsPanel from "@/components/LookupsPanel";
+import RowFiltersPanel from "@/components/RowFiltersPanel";
+import ExportTemplatePanel from "@/components/ExportTemplatePanel";
+import PreviewGrid from "@/components/PreviewGrid";
 
 /**
  * CSVToJSONConverter.jsx
@@ -20,25 +111,68 @@ import {
  * - You can add/rename/remove sections and assign CSV columns to sections.
  * - title and content are treated as base fields and are excluded from sectioned `data`.
  * - Converted JSON entries: { title, content, data: { sectionA: {...}, sectionB: {...} } }
- * - Preview flattens all sections into columns using sectionName_columnName prefix to avoid collisions.
+ * - Preview is a virtualized grid over all entries (see lib/grid.js): one column per section key,
+ *   grouped under its section, with sorting, per-column filters and a global search.
+ * - Several CSV files can be dropped at once and are merged into one conversion (see
+ *   lib/merge.js): columns are matched by name and each row gets a source_file column.
+ * - Row filters (see lib/filters.js) leave matching rows out of the conversion; the excluded
+ *   rows are counted per rule and can be downloaded for review.
+ * - Lookups (see lib/lookup.js) join reference CSVs on a key column and add their columns
+ *   after the file's, to be assigned like any other; rows without a match are listed.
+ * - Preview cells can be edited in place; edits are kept apart from the file, keyed by row
+ *   and source column, and re-run the conversion so validation and title dedupe see them.
+ * - The lookup, row filter, taxonomy, locale and export template panels and the preview
+ *   grid are components (components/); the mapping they edit stays here, where profiles
+ *   save and restore it.
  *
  * Notes:
  * - Tailwind CSS and lucide-react are required.
  *
- * Fix: ensure route_url uses the evaluated title pattern (buildTitleFromPattern)
- * with the proper row data, headers and index instead of calling it without args.
+ * - route_url is built from its own route pattern (see lib/route.js); duplicate
+ *   routes are listed in the preview, suffixed or block the export.
+ * - A previous export can be loaded to list added / removed / modified rows
+ *   (see lib/diff.js) and to export only the rows that changed.
+ * - Conversion runs the engine in lib/convert.js (in a worker) and exports are
+ *   built by lib/export.js, the same code the API route and CLI use.
  */
 
+// Issues rendered in the Issues tab (the CSV download has all of them)
+const MAX_ISSUES_SHOWN = 500;
+// Entries shown in the JSON preview tab
+const JSON_PREVIEW_ENTRIES = 50;
+
 export default function CSVToJSONConverter() {
   const [file, setFile] = useState(null);
-  const [detectedHeaders, setDetectedHeaders] = useState([]); // lowercased headers
+  const [fileHeaders, setFileHeaders] = useState([]); // lowercased headers of the file
   const [jsonData, setJsonData] = useState([]);
   const [status, setStatus] = useState({ type: "", message: "" });
   const [isProcessing, setIsProcessing] = useState(false);
-  const [activePreview, setActivePreview] = useState("table"); // "table" | "json"
+  const [activePreview, setActivePreview] = useState("table"); // "table" | "json" | "issues" | "changes"
   const [modalContent, setModalContent] = useState(null);
   const fileInputRef = useRef(null);
 
+  // Conversion worker and its live progress ({ rows, bytesRead, totalBytes })
+  const workerRef = useRef(null);
+  const [progress, setProgress] = useState(null);
+
+  // CSV dialect: auto-detected values from the header sniff, user overrides
+  // (encoding / delimiter / quote) and the effective result used for parsing
+  const [detectedFormat, setDetectedFormat] = useState(null);
+  const [formatOverrides, setFormatOverrides] = useState({});
+  const [csvFormat, setCsvFormat] = useState(null);
+
+  // Several CSV files merged into one conversion (see lib/merge.js), first
+  // one being `file`: [{ file, format, missing, extra }], and the rows each
+  // contributed to the last conversion ([{ name, rows }])
+  const [mergedFiles, setMergedFiles] = useState([]);
+  const [mergedRowCounts, setMergedRowCounts] = useState(null);
+
+  // Workbook input (.xlsx / .ods): parsed workbook, its sheets and the
+  // selected sheet + optional A1 cell range to import
+  const [workbook, setWorkbook] = useState(null);
+  const [sheetName, setSheetName] = useState("");
+  const [cellRange, setCellRange] = useState("");
+
   // Sections state: id (unique), name, removable
   // Default section is "main" and is removable by user per request.
   const [sections, setSections] = useState([
@@ -46,114 +180,420 @@ export default function CSVToJSONConverter() {
   ]);
   // columnMap maps headerLower -> sectionId (if missing -> goes to first section)
   const [columnMap, setColumnMap] = useState({});
+  // columnKeys maps headerLower -> output key used inside sections (renaming)
+  const [columnKeys, setColumnKeys] = useState({});
+  // Column types: inferred from the header sniff sample, plus user overrides
+  const [fileSample, setFileSample] = useState([]);
+  const [columnTypes, setColumnTypes] = useState({});
+  // Zone "date" values without an offset are read in
+  const [timeZone, setTimeZone] = useState(DEFAULT_TIME_ZONE);
+  // Validation rules per column (see lib/validation.js) and the column whose
+  // rule editor is open in the assignment UI
+  const [columnRules, setColumnRules] = useState({});
+  const [rulesEditorColumn, setRulesEditorColumn] = useState(null);
+  // Latitude/longitude columns and geographic checks (see lib/geo.js)
+  const [geoConfig, setGeoConfig] = useState(DEFAULT_GEO_CONFIG);
+  // What exports do with rows that have issues: "allow" | "skip" | "block"
+  const [exportPolicy, setExportPolicy] = useState("allow");
+  // Rule violations and type coercion failures from the last conversion
+  const [conversionIssues, setConversionIssues] = useState([]);
+  const invalidRows = useMemo(
+    () => new Set(conversionIssues.map((issue) => issue.row)),
+    [conversionIssues]
+  );
 
   // Title pattern state and UI helper
   const [titlePattern, setTitlePattern] = useState("{title}"); // default as requested
   const [newSectionName, setNewSectionName] = useState("");
+  const [routeConfig, setRouteConfig] = useState(DEFAULT_ROUTE_CONFIG);
+  // Used by the slug filter in patterns and for route_url segments
+  const [slugOptions, setSlugOptions] = useState(DEFAULT_SLUG_OPTIONS);
+  // Translations: one output row per locale (see lib/locale.js)
+  const [localeConfig, setLocaleConfig] = useState(DEFAULT_LOCALE_CONFIG);
+  // Which columns become taxonomy_terms (see lib/taxonomy.js)
+  const [taxonomyConfig, setTaxonomyConfig] = useState(DEFAULT_TAXONOMY_CONFIG);
+  // Rules that keep rows out of the conversion (see lib/filters.js) and the
+  // rows the last conversion excluded: [{ row, values, rules }]
+  const [rowFilters, setRowFilters] = useState(DEFAULT_ROW_FILTERS);
+  const [excludedRows, setExcludedRows] = useState([]);
+  // Lookups joining reference CSVs to the rows (see lib/lookup.js): their
+  // config (saved in the mapping), the attached tables by lookup id
+  // ({ name, headers, records }, never saved) and the rows the last
+  // conversion found no match for: [{ row, lookup, key }]
+  const [lookups, setLookups] = useState(DEFAULT_LOOKUPS);
+  const [lookupTables, setLookupTables] = useState({});
+  const [unmatchedRows, setUnmatchedRows] = useState([]);
+
+  // The file's headers followed by the lookup columns: the columns sections,
+  // patterns, rules and exports work with
+  const lookupPlan = useMemo(
+    () => planLookups(lookups, lookupTables, fileHeaders),
+    [lookups, lookupTables, fileHeaders]
+  );
+  const detectedHeaders = lookupPlan.headers;
+  // inferred as the conversion engine does: lookup columns from the
+  // reference rows the sample joins to
+  const inferredTypes = useMemo(
+    () =>
+      inferSampleTypes(
+        fileSample,
+        fileHeaders,
+        lookups.length > 0
+          ? createLookupJoiner(lookups, lookupTables, fileHeaders)
+          : null
+      ),
+    [fileSample, fileHeaders, lookups, lookupTables]
+  );
+
+  // Mapping profiles persisted in localStorage; profileReport describes the
+  // last applied profile: { name, missing: [...], added: [...] }
+  const profiles = useSyncExternalStore(
+    subscribeProfiles,
+    getProfilesSnapshot,
+    getServerProfilesSnapshot
+  );
+  const [profileName, setProfileName] = useState("");
+  const [selectedProfile, setSelectedProfile] = useState("");
+  const [profileReport, setProfileReport] = useState(null);
+  const profileInputRef = useRef(null);
+
+  // CSV export layout for the target CMS (see ExportTemplatePanel)
+  const [exportColumns, setExportColumns] = useState(DEFAULT_EXPORT_COLUMNS);
+
+  // Previous export to diff against: { name, rows, columns } (see lib/diff.js),
+  // the column rows are matched on and whether exports keep changed rows only
+  const [previousExport, setPreviousExport] = useState(null);
+  const [diffKey, setDiffKey] = useState("");
+  const [exportChangesOnly, setExportChangesOnly] = useState(false);
+  const previousExportInputRef = useRef(null);
+
+  // Cell edits from the preview, kept apart from the source file:
+  // { [row]: { [header]: { value, original } } } where a "title" edit replaces
+  // the generated title. lastRun is the last conversion's worker input
+  // ({ file, source, config, lookupTables }); edits re-run it with the
+  // edited values.
+  const [cellEdits, setCellEdits] = useState({});
+  const [editingCell, setEditingCell] = useState(null); // { row, columnId, value }
+  const [lastRun, setLastRun] = useState(null);
 
   const reset = () => {
+    stopWorker();
+    setIsProcessing(false);
+    setProgress(null);
     setFile(null);
-    setDetectedHeaders([]);
+    setFileHeaders([]);
     setJsonData([]);
     setStatus({ type: "", message: "" });
     setActivePreview("table");
     setSections([{ id: "main", name: "main", removable: true }]);
     setColumnMap({});
+    setColumnKeys({});
+    setFileSample([]);
+    setColumnTypes({});
+    setTimeZone(DEFAULT_TIME_ZONE);
+    setConversionIssues([]);
+    setColumnRules({});
+    setRulesEditorColumn(null);
+    setExportPolicy("allow");
+    setGeoConfig(DEFAULT_GEO_CONFIG);
     setTitlePattern("{title}");
+    setRouteConfig(DEFAULT_ROUTE_CONFIG);
+    setSlugOptions(DEFAULT_SLUG_OPTIONS);
+    setTaxonomyConfig(DEFAULT_TAXONOMY_CONFIG);
+    setLocaleConfig(DEFAULT_LOCALE_CONFIG);
+    setRowFilters(DEFAULT_ROW_FILTERS);
+    setExcludedRows([]);
+    setLookups(DEFAULT_LOOKUPS);
+    setLookupTables({});
+    setUnmatchedRows([]);
+    setPreviousExport(null);
+    setDiffKey("");
+    setExportChangesOnly(false);
+    setCellEdits({});
+    setEditingCell(null);
+    setLastRun(null);
+    setDetectedFormat(null);
+    setFormatOverrides({});
+    setCsvFormat(null);
+    setMergedFiles([]);
+    setMergedRowCounts(null);
+    setWorkbook(null);
+    setSheetName("");
+    setCellRange("");
+    setProfileReport(null);
   };
 
-  // Simple CSV parser for a single line that handles quoted fields and doubled quotes.
-  const parseCSVLine = (line) => {
-    const result = [];
-    let cur = "";
-    let inQuotes = false;
-
-    for (let i = 0; i < line.length; i++) {
-      const ch = line[i];
-      if (ch === '"' && line[i + 1] === '"') {
-        cur += '"';
-        i++;
-      } else if (ch === '"') {
-        inQuotes = !inQuotes;
-      } else if (ch === "," && !inQuotes) {
-        result.push(cur);
-        cur = "";
-      } else {
-        cur += ch;
-      }
-    }
-    result.push(cur);
-    return result.map((v) => v.trim());
+  // Read small slice, detect encoding/delimiter/quote; returns the detected
+  // and effective format, the header record and a sample of rows for type
+  // inference (the possibly cut tail of the slice is never flushed)
+  const sniffFileHead = async (uploadedFile, overrides = {}) => {
+    const chunk = uploadedFile.slice(0, SNIFF_BYTES);
+    const bytes = new Uint8Array(await chunk.arrayBuffer());
+    const detected = sniffCSV(bytes);
+    const effective =
+      Object.keys(overrides).length > 0 ? sniffCSV(bytes, overrides) : detected;
+    const { text, ...format } = effective;
+    const sampleRecords = [];
+    const tokenizer = createCSVTokenizer({
+      delimiter: format.delimiter,
+      quote: format.quote,
+      onRecord: (values) => {
+        sampleRecords.push(values);
+        return sampleRecords.length <= TYPE_SAMPLE_ROWS;
+      },
+    });
+    tokenizer.write(text);
+    return {
+      detected: {
+        encoding: detected.encoding,
+        hasBOM: detected.hasBOM,
+        delimiter: detected.delimiter,
+        quote: detected.quote,
+      },
+      format,
+      header: sampleRecords[0] ?? null,
+      sample: sampleRecords.slice(1),
+    };
   };
 
-  // Helper to format a compact timestamp for patterns
-  const formatTimestampForPattern = (date = new Date()) => {
-    const pad = (n) => String(n).padStart(2, "0");
-    return (
-      date.getFullYear().toString() +
-      pad(date.getMonth() + 1) +
-      pad(date.getDate()) +
-      pad(date.getHours()) +
-      pad(date.getMinutes()) +
-      pad(date.getSeconds())
-    );
+  const extractHeadersFromFile = async (uploadedFile, overrides = {}) => {
+    try {
+      const head = await sniffFileHead(uploadedFile, overrides);
+      setDetectedFormat(head.detected);
+      setCsvFormat(head.format);
+      applyHeaderRecord(head.header, head.sample);
+    } catch (err) {
+      console.error("Header extraction error:", err);
+      if (err instanceof CSVParseError) {
+        setStatus({ type: "error", message: `Malformed CSV: ${err.message}` });
+      }
+      setFileHeaders([]);
+    }
   };
 
-  // Read small slice and extract header line
-  const extractHeadersFromFile = async (uploadedFile) => {
+  // Merge: every file is sniffed on its own (overrides apply to all); the
+  // merged headers and the aligned samples stand in for a single file's.
+  // The first file's format is the one shown and overridden in the UI.
+  const extractHeadersFromFiles = async (uploadedFiles, overrides = {}) => {
     try {
-      const chunk = uploadedFile.slice(0, 16 * 1024);
-      const text = await chunk.text();
-      const rawLines = text.replace(/\r\n/g, "\n").split("\n");
-      const firstLine = rawLines.find((l) => l.trim().length > 0) || "";
-      if (!firstLine) {
-        setDetectedHeaders([]);
+      const heads = await Promise.all(
+        uploadedFiles.map((f) => sniffFileHead(f, overrides))
+      );
+      const empty = uploadedFiles.find((_, idx) => !heads[idx].header);
+      if (empty) {
+        setStatus({ type: "error", message: `${empty.name} is empty.` });
+        setMergedFiles([]);
+        setFileHeaders([]);
         return;
       }
-      const headers = parseCSVLine(firstLine).map((h, i) =>
-        h ? h : `column_${i + 1}`
+      const merged = mergeHeaders(
+        uploadedFiles.map((f, idx) => ({
+          name: f.name,
+          header: heads[idx].header,
+        }))
+      );
+      setDetectedFormat(heads[0].detected);
+      setCsvFormat(heads[0].format);
+      setMergedFiles(
+        uploadedFiles.map((f, idx) => ({
+          file: f,
+          format: heads[idx].format,
+          missing: merged.files[idx].missing,
+          extra: merged.files[idx].extra,
+        }))
+      );
+      setMergedRowCounts(null);
+      applyHeaderRecord(
+        merged.headers,
+        heads.flatMap(({ sample }, idx) =>
+          sample.map(
+            createRecordAligner(
+              merged.files[idx].headers,
+              merged.headers,
+              uploadedFiles[idx].name
+            )
+          )
+        )
       );
-      // Store lowercased header keys for consistent use everywhere
-      const headersLower = headers.map((h) => String(h).toLowerCase());
-      setDetectedHeaders(headersLower);
-      // Reset columnMap for new file
-      setColumnMap({});
-      // ensure at least one section exists
-      setSections((prev) => {
-        if (!prev || prev.length === 0)
-          return [{ id: "main", name: "main", removable: true }];
-        return prev;
-      });
     } catch (err) {
       console.error("Header extraction error:", err);
-      setDetectedHeaders([]);
+      if (err instanceof CSVParseError) {
+        setStatus({ type: "error", message: `Malformed CSV: ${err.message}` });
+      }
+      setMergedFiles([]);
+      setFileHeaders([]);
     }
   };
 
-  const handleFileSelection = async (uploadedFile) => {
-    if (!uploadedFile) return;
-    const isCSV =
-      uploadedFile.type === "text/csv" ||
-      uploadedFile.name.toLowerCase().endsWith(".csv");
-    if (!isCSV) {
-      setStatus({ type: "error", message: "Please upload a valid CSV file." });
+  // Shared by CSV and workbook input: store the header record as lowercased keys
+  // and infer column types from the sample rows that follow it
+  const applyHeaderRecord = (firstRecord, sampleRecords = []) => {
+    if (!firstRecord) {
+      setFileHeaders([]);
+      return;
+    }
+    // Store lowercased header keys for consistent use everywhere
+    const headersLower = normalizeHeaders(firstRecord);
+    setFileHeaders(headersLower);
+    setFileSample(sampleRecords);
+
+    // Auto-apply the saved profile matching this layout, if any
+    const match = matchProfile(profiles, headersLower);
+    if (match) {
+      applyMapping(match.profile.mapping, headersLower);
+      setSelectedProfile(match.profile.name);
+      setProfileReport({
+        name: match.profile.name,
+        missing: match.missing,
+        added: match.added,
+      });
+      return;
+    }
+
+    // Reset columnMap for new file
+    setColumnMap({});
+    setColumnKeys({});
+    setColumnTypes({});
+    setColumnRules({});
+    const guessed = resolveGeoAndTaxonomy({}, headersLower);
+    setGeoConfig(guessed.geo);
+    setTaxonomyConfig(guessed.taxonomy);
+    setProfileReport(null);
+    // ensure at least one section exists
+    setSections((prev) => {
+      if (!prev || prev.length === 0)
+        return [{ id: "main", name: "main", removable: true }];
+      return prev;
+    });
+  };
+
+  // Read the header row of the selected sheet / cell range
+  const extractHeadersFromSheet = async (wb, name, range) => {
+    try {
+      const records = await sheetToRecords(wb, name, range);
+      applyHeaderRecord(
+        records[0] ?? null,
+        records.slice(1, TYPE_SAMPLE_ROWS + 1)
+      );
+    } catch (err) {
+      console.error("Sheet header extraction error:", err);
+      if (err instanceof WorkbookError) {
+        setStatus({ type: "error", message: err.message });
+      }
+      setFileHeaders([]);
+    }
+  };
+
+  const isCSVFile = (f) =>
+    f.type === "text/csv" || f.name.toLowerCase().endsWith(".csv");
+
+  // One file, or several CSV files to merge
+  const handleFileSelection = async (uploadedFiles) => {
+    if (uploadedFiles.length === 0) return;
+    if (uploadedFiles.length > 1) {
+      if (!uploadedFiles.every(isCSVFile)) {
+        setStatus({
+          type: "error",
+          message:
+            "Only CSV files can be merged; open spreadsheets one at a time.",
+        });
+        return;
+      }
+      setFile(uploadedFiles[0]);
+      setCellEdits({});
+      setEditingCell(null);
+      setLastRun(null);
+      setStatus({ type: "", message: "" });
+      setFormatOverrides({});
+      setCellRange("");
+      setWorkbook(null);
+      setSheetName("");
+      await extractHeadersFromFiles(uploadedFiles);
+      return;
+    }
+
+    const [uploadedFile] = uploadedFiles;
+    const isCSV = isCSVFile(uploadedFile);
+    const isWorkbook = isWorkbookFile(uploadedFile);
+    if (!isCSV && !isWorkbook) {
+      setStatus({
+        type: "error",
+        message:
+          "Please upload a CSV, Excel (.xlsx) or OpenDocument (.ods) file.",
+      });
       return;
     }
     setFile(uploadedFile);
+    setCellEdits({});
+    setEditingCell(null);
+    setLastRun(null);
     setStatus({ type: "", message: "" });
-    await extractHeadersFromFile(uploadedFile);
+    setFormatOverrides({});
+    setCellRange("");
+    setMergedFiles([]);
+    setMergedRowCounts(null);
+
+    if (!isWorkbook) {
+      setWorkbook(null);
+      setSheetName("");
+      await extractHeadersFromFile(uploadedFile);
+      return;
+    }
+
+    setDetectedFormat(null);
+    setCsvFormat(null);
+    try {
+      const parsed = await readWorkbook(await uploadedFile.arrayBuffer());
+      const firstSheet = parsed.sheets[0]?.name ?? "";
+      setWorkbook(parsed);
+      setSheetName(firstSheet);
+      await extractHeadersFromSheet(parsed.workbook, firstSheet, "");
+    } catch (err) {
+      console.error("Workbook read error:", err);
+      setWorkbook(null);
+      setFileHeaders([]);
+      setStatus({ type: "error", message: "Could not read the workbook." });
+    }
+  };
+
+  const selectSheet = (name) => {
+    setSheetName(name);
+    setCellRange("");
+    if (workbook) extractHeadersFromSheet(workbook.workbook, name, "");
+  };
+
+  const applyCellRange = () => {
+    if (workbook)
+      extractHeadersFromSheet(workbook.workbook, sheetName, cellRange);
+  };
+
+  // Manual override of a detected format value ("auto" clears the override)
+  const updateFormatOverride = (key, value) => {
+    const next = { ...formatOverrides };
+    if (value === "auto") {
+      delete next[key];
+    } else {
+      next[key] = value;
+    }
+    setFormatOverrides(next);
+    if (mergedFiles.length > 0) {
+      extractHeadersFromFiles(
+        mergedFiles.map((m) => m.file),
+        next
+      );
+    } else if (file) {
+      extractHeadersFromFile(file, next);
+    }
   };
 
   const handleFileUpload = (e) => {
-    const uploadedFile = e.target.files?.[0];
-    handleFileSelection(uploadedFile);
+    handleFileSelection(Array.from(e.target.files ?? []));
   };
 
   const handleDrop = (e) => {
     e.preventDefault();
     e.stopPropagation();
-    const uploadedFile = e.dataTransfer?.files?.[0];
-    handleFileSelection(uploadedFile);
+    handleFileSelection(Array.from(e.dataTransfer?.files ?? []));
   };
 
   const handleDragOver = (e) => {
@@ -197,6 +637,267 @@ export default function CSVToJSONConverter() {
     });
   };
 
+  // Mapping profiles: the mapping is everything needed to reproduce a conversion setup
+  const currentMapping = () => ({
+    sections,
+    columnMap,
+    columnKeys,
+    titlePattern,
+    columnTypes,
+    timeZone,
+    columnRules,
+    exportPolicy,
+    geo: geoConfig,
+    route: routeConfig,
+    slug: slugOptions,
+    taxonomy: taxonomyConfig,
+    locale: localeConfig,
+    rowFilters,
+    lookups,
+  });
+
+  // headers: the file's, for the geo / taxonomy columns of profiles saved
+  // without them (guessed as the conversion engine does)
+  const applyMapping = (mapping, headers) => {
+    setSections(mapping.sections);
+    setColumnMap(mapping.columnMap);
+    setColumnKeys(mapping.columnKeys ?? {});
+    setTitlePattern(mapping.titlePattern);
+    setColumnTypes(mapping.columnTypes ?? {});
+    setTimeZone(mapping.timeZone ?? DEFAULT_TIME_ZONE);
+    setColumnRules(mapping.columnRules ?? {});
+    setExportPolicy(mapping.exportPolicy ?? "allow");
+    const { geo, taxonomy } = resolveGeoAndTaxonomy(mapping, headers);
+    setGeoConfig(geo);
+    setRouteConfig({ ...DEFAULT_ROUTE_CONFIG, ...(mapping.route || {}) });
+    setSlugOptions({ ...DEFAULT_SLUG_OPTIONS, ...(mapping.slug || {}) });
+    setTaxonomyConfig(taxonomy);
+    setLocaleConfig({ ...DEFAULT_LOCALE_CONFIG, ...(mapping.locale || {}) });
+    setRowFilters({ ...DEFAULT_ROW_FILTERS, ...(mapping.rowFilters || {}) });
+    setLookups(mapping.lookups ?? DEFAULT_LOOKUPS);
+  };
+
+  const updateProfiles = (next) => {
+    try {
+      saveProfiles(next);
+    } catch (err) {
+      console.error("Profile storage error:", err);
+      setStatus({ type: "error", message: "Could not save profiles." });
+    }
+  };
+
+  const saveCurrentProfile = () => {
+    const name = profileName.trim() || selectedProfile;
+    if (!name) {
+      setStatus({ type: "error", message: "Enter a profile name first." });
+      return;
+    }
+    const profile = createProfile(name, fileHeaders, currentMapping());
+    updateProfiles(upsertProfile(profiles, profile));
+    setSelectedProfile(profile.name);
+    setProfileName("");
+    setStatus({ type: "success", message: `Profile "${profile.name}" saved.` });
+  };
+
+  const applyProfile = (name) => {
+    const profile = profiles.find((p) => p.name === name);
+    if (!profile) return;
+    applyMapping(profile.mapping, fileHeaders);
+    setSelectedProfile(profile.name);
+    setProfileReport({
+      name: profile.name,
+      ...compareHeaders(profile, fileHeaders),
+    });
+  };
+
+  const deleteProfile = (name) => {
+    updateProfiles(profiles.filter((p) => p.name !== name));
+    if (selectedProfile === name) setSelectedProfile("");
+    if (profileReport?.name === name) setProfileReport(null);
+  };
+
+  const exportProfile = (name) => {
+    const profile = profiles.find((p) => p.name === name);
+    if (!profile) return;
+    const blob = new Blob([JSON.stringify(profile, null, 2)], {
+      type: "application/json",
+    });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `profile-${profile.name
+      .toLowerCase()
+      .replace(/[^\w-]+/g, "-")}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  };
+
+  const importProfiles = async (e) => {
+    const input = e.target;
+    const profileFile = input.files?.[0];
+    input.value = "";
+    if (!profileFile) return;
+    try {
+      const imported = parseProfileFile(await profileFile.text());
+      updateProfiles(imported.reduce(upsertProfile, profiles));
+      setStatus({
+        type: "success",
+        message: `Imported ${imported.length} profile${
+          imported.length !== 1 ? "s" : ""
+        }.`,
+      });
+    } catch (err) {
+      console.error("Profile import error:", err);
+      setStatus({
+        type: "error",
+        message: err.name === "ProfileError" ? err.message : "Import failed.",
+      });
+    }
+  };
+
+  const loadPreviousExport = async (e) => {
+    const input = e.target;
+    const previousFile = input.files?.[0];
+    input.value = "";
+    if (!previousFile) return;
+    try {
+      const parsed = parsePreviousExport(
+        await previousFile.text(),
+        previousFile.name
+      );
+      setPreviousExport({ name: previousFile.name, ...parsed });
+      // keep the chosen key when the new file has it too
+      setDiffKey((prev) =>
+        parsed.columns.includes(prev)
+          ? prev
+          : guessDiffKey(
+              jsonData.length > 0
+                ? parsed.columns.filter((c) => c in entryFields(jsonData[0]))
+                : parsed.columns
+            )
+      );
+      setActivePreview("changes");
+      setStatus({
+        type: "success",
+        message: `Loaded ${parsed.rows.length} entr${
+          parsed.rows.length !== 1 ? "ies" : "y"
+        } from ${previousFile.name}.`,
+      });
+    } catch (err) {
+      console.error("Previous export error:", err);
+      setStatus({
+        type: "error",
+        message:
+          err.name === "DiffError"
+            ? err.message
+            : "Could not read the previous export.",
+      });
+    }
+  };
+
+  // Effective type of a column: user override, else inferred, else string
+  const getColumnType = (header) =>
+    columnTypes[header] ?? inferredTypes[header] ?? "string";
+
+  const setColumnType = (header, type) => {
+    setColumnTypes((prev) => {
+      const next = { ...prev };
+      if (type === "auto") {
+        delete next[header];
+      } else {
+        next[header] = type;
+      }
+      return next;
+    });
+  };
+
+  // Update one rule field of a column; empty values remove the field
+  const updateColumnRule = (header, field, value) => {
+    setColumnRules((prev) => {
+      const rules = { ...(prev[header] || {}) };
+      if (value === false || value === "") {
+        delete rules[field];
+      } else {
+        rules[field] = value;
+      }
+      const next = { ...prev };
+      if (Object.keys(rules).length === 0) {
+        delete next[header];
+      } else {
+        next[header] = rules;
+      }
+      return next;
+    });
+  };
+
+  const setColumnKey = (header, key) => {
+    setColumnKeys((prev) => {
+      const next = { ...prev };
+      if (!key.trim() || key.trim() === header) {
+        delete next[header];
+      } else {
+        next[header] = key;
+      }
+      return next;
+    });
+  };
+
+  // Quick action: rename every (non-base) column with a case converter
+  const applyKeyCase = (convert) => {
+    const next = {};
+    detectedHeaders
+      .filter((h) => !FIXED_KEY_HEADERS.includes(h))
+      .forEach((h) => {
+        const key = convert(h);
+        if (key && key !== h) next[h] = key;
+      });
+    setColumnKeys(next);
+  };
+
+  const updateGeoConfig = (patch) => {
+    setGeoConfig((prev) => ({ ...prev, ...patch }));
+  };
+
+  const updateRouteConfig = (patch) => {
+    setRouteConfig((prev) => ({ ...prev, ...patch }));
+  };
+
+  // False (with a status) when the translation group key pattern is broken
+  // Problems that stop an export, as lib/export.js finds them: shows the
+  // first one and returns false. Only the CSV export uses the template.
+  const checkExportProblems = (format) => {
+    const problems = getExportProblems({
+      titlePattern,
+      route: routeConfig,
+      locale: localeConfig,
+      columns: format === "csv" ? exportColumns : null,
+    });
+    if (problems.length === 0) return true;
+    setStatus({ type: "error", message: problems[0] });
+    return false;
+  };
+
+  // Everything lib/export.js needs besides the entries (see its header)
+  const exportContext = () => ({
+    headers: detectedHeaders,
+    columnKeys,
+    slug: slugOptions,
+    locale: localeConfig,
+    route: routeConfig,
+    taxonomy: taxonomyConfig,
+    columns: exportColumns,
+    now: new Date().toISOString(),
+  });
+
+  const updateGeoBbox = (field, value) => {
+    setGeoConfig((prev) => ({
+      ...prev,
+      bbox: { ...prev.bbox, [field]: value === "" ? "" : Number(value) },
+    }));
+  };
+
   const setColumnAssignment = (header, sectionId) => {
     // header may be displayed lowercased already; ensure key is lowercase
     const key = String(header).toLowerCase();
@@ -211,208 +912,297 @@ export default function CSVToJSONConverter() {
     });
   };
 
-  // Resolve a pattern token against a row and current context
-  // Supports:
-  //  - title
-  //  - index
-  //  - timestamp
-  //  - column:HeaderName   (case-insensitive match to CSV headers)
-  //  - column_headername  (underscore variant)
-  const resolveToken = (token, rowObject, headersArray, rowIndex) => {
-    const t = String(token).trim();
-    if (t === "title") return rowObject.title ?? "";
-    if (t === "index") return String(rowIndex);
-    if (t === "timestamp") return formatTimestampForPattern(new Date());
-    // column:HeaderName
-    if (t.toLowerCase().startsWith("column:")) {
-      const headerName = t.slice("column:".length).trim();
-      if (!headerName) return "";
-      // headersArray contains lowercased headers, so compare lowercased
-      const target = headerName.toLowerCase();
-      const found = headersArray.find(
-        (h) => String(h).toLowerCase() === target
-      );
-      return found ? String(rowObject[found] ?? "") : "";
+  // Terminate the running conversion worker (if any)
+  const stopWorker = () => {
+    if (workerRef.current) {
+      workerRef.current.terminate();
+      workerRef.current = null;
     }
-    // column_headername (underscore) e.g. column_Author or column_name
-    if (t.toLowerCase().startsWith("column_")) {
-      const headerName = t.slice("column_".length).trim();
-      if (!headerName) return "";
-      const normalizedQuery = headerName.toLowerCase().replace(/\s+/g, "_");
-      const match = headersArray.find((h) => {
-        const normalizedH = String(h).toLowerCase().replace(/\s+/g, "_");
-        return normalizedH === normalizedQuery;
-      });
-      return match ? String(rowObject[match] ?? "") : "";
-    }
-    // fallback: try direct header name match (user may type {Author})
-    {
-      const match = headersArray.find(
-        (h) => String(h).toLowerCase() === t.toLowerCase()
-      );
-      if (match) return String(rowObject[match] ?? "");
-    }
-    return "";
   };
 
-  // Build title from pattern and a row
-  const buildTitleFromPattern = (
-    pattern,
-    rowObject,
-    headersArray,
-    rowIndex
-  ) => {
-    if (!pattern || !String(pattern).trim()) return rowObject.title ?? "";
-    const pat = String(pattern);
-    // replace tokens like {token}
-    const tokens = pat.match(/\{([^\}]+)\}/g);
-    if (!tokens) return pat; // literal pattern with no tokens
-    let result = pat;
-    tokens.forEach((raw) => {
-      const token = raw.slice(1, -1);
-      const val = resolveToken(token, rowObject, headersArray, rowIndex);
-      // sanitize val (trim)
-      const safeVal = String(val ?? "").trim();
-      result = result.split(raw).join(safeVal);
-    });
-    return result;
-  };
+  // Stop the worker if the page unmounts mid-conversion
+  useEffect(() => stopWorker, []);
 
-  const processCSV = async () => {
-    if (!file) {
-      setStatus({ type: "error", message: "Please select a file first." });
-      return;
-    }
+  const cancelConversion = () => {
+    stopWorker();
+    setIsProcessing(false);
+    setProgress(null);
+    setStatus({ type: "error", message: "Conversion cancelled." });
+  };
 
+  // Parsing and row transformation run in a Web Worker that streams the file;
+  // converted entries arrive in batches and are only committed when done.
+  // run: { file, source, config, lookupTables } as the worker takes them;
+  // edits: cellEdits
+  const startConversion = (run, edits, verb) => {
+    stopWorker();
     setIsProcessing(true);
     setStatus({ type: "", message: "" });
+    setProgress({
+      rows: 0,
+      bytesRead: 0,
+      totalBytes: (run.source.files ?? [run]).reduce(
+        (sum, f) => sum + f.file.size,
+        0
+      ),
+    });
+    setLastRun(run);
 
-    try {
-      const text = await file.text();
-      const rawLines = text.replace(/\r\n/g, "\n").split("\n");
-      const lines = rawLines.filter((l) => l.trim().length > 0);
-
-      if (lines.length < 1) {
-        setStatus({
-          type: "error",
-          message: "CSV file is empty or malformed.",
-        });
-        setIsProcessing(false);
-        return;
-      }
-
-      // Parse original headers, then create a lowercased header list for keys
-      const originalHeaders = parseCSVLine(lines[0]).map((h, i) =>
-        h ? h : `column_${i + 1}`
-      );
-      const headers = originalHeaders.map((h) => String(h).toLowerCase()); // lowercase keys used everywhere
-
-      const transformed = [];
-
-      // fallback default section id is first section in list
-      const defaultSectionId = sections[0]?.id ?? "section_default";
-
-      // used for deduplication of generated titles
-      const titleCounts = {};
-
-      for (let i = 1; i < lines.length; i++) {
-        const values = parseCSVLine(lines[i]);
-        while (values.length < headers.length) values.push("");
-        if (values.length > headers.length) values.length = headers.length;
+    const worker = new Worker(
+      new URL("../lib/convert.worker.js", import.meta.url),
+      { type: "module" }
+    );
+    workerRef.current = worker;
 
-        // Build a row object keyed by lowercased header names
-        const row = {};
-        headers.forEach((header, index) => {
-          row[header] = values[index] ?? "";
-        });
+    const transformed = [];
+    const issues = [];
+    const excluded = [];
+    const unmatched = [];
+    let headers = [];
 
-        // build a sectioned data object (section names -> object of lowercase header keys)
-        const sectionsData = {};
-        sections.forEach((s) => {
-          sectionsData[s.name] = {};
-        });
+    const finish = () => {
+      stopWorker();
+      setIsProcessing(false);
+      setProgress(null);
+    };
 
-        // for each header, decide which section it belongs to
-        // IMPORTANT: exclude 'title' and 'content' from being placed into sectionsData
-        headers.forEach((headerLower) => {
-          // Skip base fields
-          if (headerLower === "title" || headerLower === "content") {
-            return;
+    worker.onmessage = (e) => {
+      const msg = e.data;
+      switch (msg.type) {
+        case "headers":
+          headers = msg.fileHeaders;
+          break;
+        case "rows":
+          for (const entry of msg.entries) transformed.push(entry);
+          for (const issue of msg.issues) issues.push(issue);
+          for (const record of msg.excluded) excluded.push(record);
+          for (const record of msg.unmatched) unmatched.push(record);
+          break;
+        case "progress":
+          setProgress({
+            rows: msg.rows,
+            bytesRead: msg.bytesRead,
+            totalBytes: msg.totalBytes,
+          });
+          break;
+        case "done":
+          finish();
+          // update fileHeaders to the currently-parsed lowercase headers (for UI);
+          // the lookup columns follow from the lookups
+          setFileHeaders(headers);
+
+          // small debug log so you can inspect in browser console what will be exported
+          try {
+            console.debug(
+              "CSV -> JSON transformed sample:",
+              transformed.slice(0, 3)
+            );
+          } catch (e) {
+            // ignore console issues in some runtimes
           }
 
-          const targetSectionId = columnMap[headerLower] ?? defaultSectionId;
-          const targetSection =
-            sections.find((s) => s.id === targetSectionId) || sections[0];
-          const sectionName = targetSection.name;
+          setJsonData(transformed);
+          setConversionIssues(issues);
+          setExcludedRows(excluded);
+          setUnmatchedRows(unmatched);
+          setMergedRowCounts(msg.files ?? null);
+          setStatus({
+            type: "success",
+            message: `${verb} ${transformed.length} row${
+              transformed.length !== 1 ? "s" : ""
+            }.${
+              excluded.length > 0
+                ? ` ${excluded.length} excluded by row filters.`
+                : ""
+            }${
+              unmatched.length > 0
+                ? ` ${
+                    new Set(unmatched.map((u) => u.row)).size
+                  } without a lookup match.`
+                : ""
+            }${
+              issues.length > 0
+                ? ` ${issues.length} issue${
+                    issues.length !== 1 ? "s" : ""
+                  } found.`
+                : ""
+            }`,
+          });
+          break;
+        case "error":
+          finish();
+          console.error("CSV processing error:", msg.message);
+          if (msg.name === "CSVParseError") {
+            setStatus({
+              type: "error",
+              message: `Malformed CSV: ${msg.message}`,
+            });
+          } else if (
+            msg.name === "WorkbookError" ||
+            msg.name === "ConvertError" ||
+            msg.name === "EmptyInputError"
+          ) {
+            setStatus({ type: "error", message: msg.message });
+          } else {
+            setStatus({ type: "error", message: "Error processing CSV file." });
+          }
+          break;
+        default:
+          break;
+      }
+    };
 
-          // store values under lowercase header keys
-          sectionsData[sectionName][headerLower] = row[headerLower] ?? "";
-        });
+    worker.onerror = (err) => {
+      console.error("CSV worker error:", err);
+      finish();
+      setStatus({ type: "error", message: "Error processing CSV file." });
+    };
 
-        // Build title using pattern (row index -> i because we started rows at line index 1, but provide 1-based row index)
-        const generatedBaseTitle = buildTitleFromPattern(
-          titlePattern,
+    worker.postMessage({
+      type: "start",
+      ...run,
+      // the engine takes edited values only
+      edits: Object.fromEntries(
+        Object.entries(edits).map(([row, cells]) => [
           row,
-          headers,
-          i // use the CSV line index as index value (1-based line number)
-        );
+          Object.fromEntries(
+            Object.entries(cells).map(([h, edit]) => [h, edit.value])
+          ),
+        ])
+      ),
+    });
+  };
 
-        // Ensure uniqueness by appending incremental suffix if needed
-        const normalized = generatedBaseTitle || "";
-        if (!titleCounts[normalized]) {
-          titleCounts[normalized] = 1;
-        } else {
-          titleCounts[normalized] += 1;
-        }
-        let finalTitle = normalized;
-        if (titleCounts[normalized] > 1) {
-          // append -N where N is count - 1 to make title unique
-          finalTitle = `${normalized}-${titleCounts[normalized] - 1}`;
-        }
-
-        const jsonEntry = {
-          title: finalTitle,
-          content: row["content"] ?? "",
-          data: sectionsData,
+  const processCSV = () => {
+    if (!file) {
+      setStatus({ type: "error", message: "Please select a file first." });
+      return;
+    }
+    if (titlePatternError) {
+      setStatus({
+        type: "error",
+        message: `Title pattern error: ${titlePatternError}`,
+      });
+      return;
+    }
+    if (!isValidTimeZone(timeZone)) {
+      setStatus({ type: "error", message: `Unknown time zone "${timeZone}".` });
+      return;
+    }
+    if (lookupPlan.problems.length > 0) {
+      setStatus({ type: "error", message: lookupPlan.problems[0] });
+      return;
+    }
+    if (keyCollisions.size > 0) {
+      setStatus({
+        type: "error",
+        message: describeKeyCollisions(keyCollisions),
+      });
+      return;
+    }
+
+    const source = workbook
+      ? { kind: "workbook", sheetName, cellRange }
+      : {
+          kind: "csv",
+          ...(csvFormat ?? { encoding: "utf-8", delimiter: ",", quote: '"' }),
+          ...(mergedFiles.length > 0
+            ? {
+                files: mergedFiles.map((m) => ({ file: m.file, ...m.format })),
+                headers: fileHeaders,
+              }
+            : {}),
         };
+    // edits are by row number: they only carry over for the same rows
+    const sameFiles = (a = [], b = []) =>
+      a.length === b.length && a.every((f, idx) => f.file === b[idx].file);
+    const sameRows =
+      lastRun?.file === file &&
+      sameFiles(lastRun.source.files, source.files) &&
+      JSON.stringify(lastRun.source) === JSON.stringify(source) &&
+      JSON.stringify(lastRun.config.rowFilters) ===
+        JSON.stringify(rowFilters) &&
+      JSON.stringify(lastRun.config.lookups) === JSON.stringify(lookups) &&
+      lastRun.lookupTables === lookupTables;
+    if (!sameRows) {
+      setCellEdits({});
+      setEditingCell(null);
+    }
 
-        transformed.push(jsonEntry);
-      }
+    startConversion(
+      {
+        file,
+        source,
+        config: {
+          sections,
+          columnMap,
+          titlePattern,
+          columnRules,
+          columnKeys,
+          geo: geoConfig,
+          slug: slugOptions,
+          rowFilters,
+          lookups,
+          timeZone,
+          columnTypes: Object.fromEntries(
+            detectedHeaders.map((h) => [h, getColumnType(h)])
+          ),
+        },
+        lookupTables,
+      },
+      sameRows ? cellEdits : {},
+      "Converted"
+    );
+  };
 
-      // update detectedHeaders to the currently-parsed lowercase headers (for UI)
-      setDetectedHeaders(headers);
+  // Edits re-run the last conversion, so rules, types, geo checks and title
+  // de-duplication see the edited values
+  const updateCellEdits = (next) => {
+    setCellEdits(next);
+    if (lastRun) startConversion(lastRun, next, "Re-validated");
+  };
 
-      // small debug log so you can inspect in browser console what will be exported
-      try {
-        console.debug(
-          "CSV -> JSON transformed sample:",
-          transformed.slice(0, 3)
-        );
-      } catch (e) {
-        // ignore console issues in some runtimes
-      }
+  const commitCellEdit = (row, header, value, original) => {
+    const rowEdits = { ...(cellEdits[row] ?? {}) };
+    const first = rowEdits[header]?.original ?? original;
+    if (value === first) delete rowEdits[header];
+    else rowEdits[header] = { value, original: first };
+    const next = { ...cellEdits, [row]: rowEdits };
+    if (Object.keys(rowEdits).length === 0) delete next[row];
+    setEditingCell(null);
+    // nothing changed: no need to convert again
+    if (rowEdits[header]?.value === cellEdits[row]?.[header]?.value) return;
+    updateCellEdits(next);
+  };
 
-      setJsonData(transformed);
-      setStatus({
-        type: "success",
-        message: `Converted ${transformed.length} row${
-          transformed.length !== 1 ? "s" : ""
-        }.`,
-      });
-    } catch (error) {
-      console.error("CSV processing error:", error);
-      setStatus({ type: "error", message: "Error processing CSV file." });
-    } finally {
-      setIsProcessing(false);
-    }
+  const revertCellEdit = (row, header) => {
+    const rowEdits = { ...(cellEdits[row] ?? {}) };
+    delete rowEdits[header];
+    const next = { ...cellEdits, [row]: rowEdits };
+    if (Object.keys(rowEdits).length === 0) delete next[row];
+    setEditingCell(null);
+    updateCellEdits(next);
   };
 
+  const editedCellCount = Object.values(cellEdits).reduce(
+    (n, cells) => n + Object.keys(cells).length,
+    0
+  );
+
   // Decide if export allowed (must have at least one section defined)
   const canExport = () => {
-    return jsonData.length > 0 && sections.length > 0;
+    return (
+      jsonData.length > 0 && sections.length > 0 && keyCollisions.size === 0
+    );
   };
 
   const showExportBlockedModal = () => {
+    if (keyCollisions.size > 0) {
+      const message = describeKeyCollisions(keyCollisions);
+      setModalContent({ title: "Export Error", content: message });
+      setStatus({ type: "error", message });
+      return;
+    }
     setModalContent({
       title: "Export Error",
       content:
@@ -421,29 +1211,120 @@ export default function CSVToJSONConverter() {
     setStatus({ type: "error", message: "No sections defined." });
   };
 
-  // slugify helper used to build route fragments from generated titles/patterns
-  const slugify = (s) => {
-    return String(s ?? "")
-      .toLowerCase()
-      .replace(/[^\w\s-]/g, "")
-      .trim()
-      .replace(/\s+/g, "-");
-  };
+  // Names title pattern tokens may use: headers plus renamed output keys
+  const patternHeaders = patternHeadersFor(detectedHeaders, columnKeys);
+  const titlePatternError = getPatternError(titlePattern);
+  const routePatternError = getPatternError(routeConfig.pattern);
+  const groupPatternError =
+    localeConfig.mode === "suffix"
+      ? getPatternError(localeConfig.groupPattern)
+      : null;
+  // Routes for the whole dataset, so duplicates show up before exporting
+  const routePreview = useMemo(() => {
+    if (routePatternError) return { routes: [], issues: [] };
+    return buildRoutes(
+      jsonData,
+      { ...routeConfig, slug: slugOptions },
+      {
+        toRow: (entry) => flattenEntry(entry, detectedHeaders, columnKeys),
+        headers: patternHeadersFor(detectedHeaders, columnKeys),
+      }
+    );
+  }, [
+    jsonData,
+    routeConfig,
+    slugOptions,
+    routePatternError,
+    detectedHeaders,
+    columnKeys,
+  ]);
+  const duplicateRouteRows = new Set(routePreview.issues.map((i) => i.row));
+  // Changes since the previous export, over all converted rows
+  const diffResult = useMemo(
+    () =>
+      previousExport && diffKey
+        ? diffExports(previousExport.rows, jsonData, diffKey)
+        : null,
+    [previousExport, diffKey, jsonData]
+  );
+  // One line per added / removed row and per modified field, for the tab
+  const diffRows = useMemo(() => {
+    if (!diffResult) return [];
+    return [
+      ...diffResult.added.map(({ key, row }) => ({
+        change: "added",
+        key,
+        field: "",
+        before: "",
+        after: jsonData[row - 1]?.title ?? "",
+      })),
+      ...diffResult.removed.map(({ key, fields }) => ({
+        change: "removed",
+        key,
+        field: "",
+        before: String(fields.title ?? ""),
+        after: "",
+      })),
+      ...diffResult.modified.flatMap(({ key, changes }) =>
+        changes.map((c) => ({ change: "modified", key, ...c }))
+      ),
+    ];
+  }, [diffResult, jsonData]);
+  const diffChangeCount = diffResult
+    ? diffResult.added.length +
+      diffResult.removed.length +
+      diffResult.modified.length
+    : 0;
+  // Fields both exports have, which rows can be matched on
+  const diffKeyOptions = previousExport
+    ? previousExport.columns.filter(
+        (c) => jsonData.length === 0 || c in entryFields(jsonData[0])
+      )
+    : [];
+  // Names a "Source column" export value can refer to
+  const exportSourceColumns = Array.from(
+    new Set(["title", "content", ...patternHeaders])
+  );
+  const keyCollisions = findKeyCollisions(
+    detectedHeaders,
+    columnKeys,
+    (h) => columnMap[h] ?? sections[0]?.id
+  );
 
   // helper to reconstruct a flat row object from item.data (sectioned)
-  // returns object with lowercase header keys (same shape as used when parsing)
-  const reconstructRowFromItem = (item) => {
-    const flat = {};
-    Object.keys(item.data || {}).forEach((sectionName) => {
-      const sec = item.data[sectionName] || {};
-      Object.keys(sec).forEach((k) => {
-        flat[k] = sec[k];
+  // returns object keyed by output keys plus the lowercase headers they came from
+  const reconstructRowFromItem = (item) =>
+    flattenEntry(item, detectedHeaders, columnKeys);
+
+  // Entries to export after applying the issue policy (see lib/export.js)
+  // and the changed-rows option; null when blocked
+  const getExportEntries = () => {
+    let entries;
+    try {
+      entries = applyExportPolicy(jsonData, conversionIssues, exportPolicy);
+    } catch (err) {
+      if (err.name !== "ExportError") throw err;
+      setModalContent({
+        title: "Export Blocked",
+        content: `${err.message} See the Issues tab, or change the issue policy.`,
       });
-    });
-    // include title/content if present
-    if (item.title !== undefined) flat["title"] = item.title;
-    if (item.content !== undefined) flat["content"] = item.content;
-    return flat;
+      setStatus({ type: "error", message: "Export blocked by issues." });
+      return null;
+    }
+    if (!exportChangesOnly || diffResult === null) return entries;
+    // rows are numbered from 1 in the order they were converted
+    const changed = new Set(
+      jsonData.filter((_, idx) => diffResult.changedRows.has(idx + 1))
+    );
+    const changedEntries = entries.filter((entry) => changed.has(entry));
+    if (changedEntries.length === 0) {
+      setStatus({
+        type: "error",
+        message: "No rows changed since the previous export.",
+      });
+      return null;
+    }
+    return changedEntries;
   };
 
   const downloadJSON = () => {
@@ -457,7 +1338,10 @@ export default function CSVToJSONConverter() {
       setStatus({ type: "error", message: "No data to download." });
       return;
     }
-    const blob = new Blob([JSON.stringify(jsonData, null, 2)], {
+    if (!checkExportProblems("json")) return;
+    const entries = getExportEntries();
+    if (!entries) return;
+    const blob = new Blob([buildJSONExport(entries, exportContext())], {
       type: "application/json",
     });
     const url = URL.createObjectURL(blob);
@@ -471,13 +1355,6 @@ export default function CSVToJSONConverter() {
     setStatus({ type: "success", message: "JSON download started." });
   };
 
-  const csvEscape = (value) => {
-    if (value === null || value === undefined) return '""';
-    const str = String(value);
-    const escaped = str.replace(/"/g, '""');
-    return `"${escaped}"`;
-  };
-
   const downloadCSV = () => {
     if (!canExport()) {
       showExportBlockedModal();
@@ -489,65 +1366,33 @@ export default function CSVToJSONConverter() {
       setStatus({ type: "error", message: "No data to download." });
       return;
     }
+    if (!checkExportProblems("csv")) return;
+    const entries = getExportEntries();
+    if (!entries) return;
+    const { csv, routeIssues, timestampIssues } = buildCSVExport(
+      entries,
+      exportContext()
+    );
 
-    const baseHeaders = [
-      "content",
-      "title",
-      "route_url",
-      "published_at",
-      "data",
-      "status",
-      "sites",
-      "locale",
-      "taxonomy_terms",
-      "created_at",
-    ];
-    const headersLower = baseHeaders.map((h) => String(h).toLowerCase());
-    const csvRows = [headersLower.join(",")];
-
-    jsonData.forEach((item, idx) => {
-      // reconstruct a flat row (lowercased headers) so we can re-apply the title pattern
-      const flatRow = reconstructRowFromItem(item);
-
-      // Use the titlePattern to produce the string used in the route (this aligns the route with your pattern)
-      // Provide a rowIndex of idx+1 (1-based) for {index} tokens
-      const routeFromPattern = buildTitleFromPattern(
-        titlePattern,
-        flatRow,
-        detectedHeaders,
-        idx + 1
-      );
-
-      // fallback to item.title if pattern produced an empty string
-      const routeBase =
-        routeFromPattern && routeFromPattern.trim().length > 0
-          ? routeFromPattern
-          : item.title;
-
-      const routeTitle = slugify(routeBase);
-
-      const dataJsonString = JSON.stringify(item.data);
-      const published_at = new Date().toISOString();
-      const created_at = new Date().toISOString();
-
-      const row = [
-        csvEscape(item.content ?? ""),
-        csvEscape(item.title ?? ""),
-        csvEscape(`/${item.content}/${routeTitle}`),
-        csvEscape(published_at),
-        csvEscape(dataJsonString),
-        csvEscape("1"),
-        csvEscape(""),
-        csvEscape("en"),
-        csvEscape(""),
-        csvEscape(created_at),
-      ];
-
-      csvRows.push(row.join(","));
-    });
+    if (routeConfig.duplicates === "fail" && routeIssues.length > 0) {
+      setModalContent({
+        title: "Export Blocked",
+        content: `${routeIssues.length} row${
+          routeIssues.length !== 1 ? "s have" : " has"
+        } the same route_url as an earlier row (first: ${
+          routeIssues[0].value
+        } on row ${
+          routeIssues[0].row
+        }). Change the route pattern, or let duplicates be suffixed.`,
+      });
+      setStatus({
+        type: "error",
+        message: "Export blocked by duplicate routes.",
+      });
+      return;
+    }
 
-    const csvContent = csvRows.join("\n");
-    const blob = new Blob([csvContent], { type: "text/csv" });
+    const blob = new Blob([csv], { type: "text/csv" });
     const url = URL.createObjectURL(blob);
     const a = document.createElement("a");
     a.href = url;
@@ -556,33 +1401,81 @@ export default function CSVToJSONConverter() {
     a.click();
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
+    if (timestampIssues.length > 0) {
+      const first = timestampIssues[0];
+      setStatus({
+        type: "error",
+        message: `CSV download started, but ${
+          timestampIssues.length
+        } timestamp${
+          timestampIssues.length !== 1 ? "s" : ""
+        } could not be parsed and ${
+          timestampIssues.length !== 1 ? "were" : "was"
+        } left empty (row ${first.row}: ${first.message}).`,
+      });
+      return;
+    }
     setStatus({ type: "success", message: "CSV download started." });
   };
 
-  // Build preview rows (first up to 10), flatten sections for table preview
-  const previewRows = jsonData.slice(0, 10).map((entry) => {
-    const base = {
-      title: entry.title ?? "",
-      content: entry.content ?? "",
-      data: JSON.stringify(entry.data),
-    };
-    // Flatten sections: all sections use prefix sectionName_col to avoid collisions.
-    Object.keys(entry.data || {}).forEach((sectionName) => {
-      const sectionObj = entry.data[sectionName] || {};
-      Object.keys(sectionObj).forEach((col) => {
-        // 'col' is lowercased header key
-        const key = `${col}`;
-        base[key] = sectionObj[col];
-      });
+  // Rows the row filters excluded, as in the file plus the matching rules
+  const downloadExcludedCSV = () => {
+    if (excludedRows.length === 0) return;
+    const timestamp = new Date().toISOString().replace(/[:.-]/g, "");
+    const labels = Object.fromEntries(
+      rowFilters.rules.map((r, idx) => [r.id, ruleLabel(r, idx)])
+    );
+    const csvRows = [
+      [...detectedHeaders, "excluded_by"].map(csvEscape).join(","),
+    ];
+    excludedRows.forEach(({ values, rules }) => {
+      csvRows.push(
+        [
+          ...detectedHeaders.map((_, idx) => values[idx] ?? ""),
+          rules.map((id) => labels[id] ?? id).join("; "),
+        ]
+          .map(csvEscape)
+          .join(",")
+      );
     });
+    const blob = new Blob([csvRows.join("\n")], { type: "text/csv" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `excluded-${timestamp}.csv`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  };
 
-    return base;
-  });
+  const downloadIssuesCSV = () => {
+    if (conversionIssues.length === 0) return;
+    const timestamp = new Date().toISOString().replace(/[:.-]/g, "");
+    const csvRows = [["row", "column", "rule", "value", "message"].join(",")];
+    conversionIssues.forEach((issue) => {
+      csvRows.push(
+        [issue.row, issue.column, issue.rule, issue.value, issue.message]
+          .map(csvEscape)
+          .join(",")
+      );
+    });
+    const blob = new Blob([csvRows.join("\n")], { type: "text/csv" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `issues-${timestamp}.csv`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  };
 
-  // Union of all keys across previewRows to ensure dynamic keys appear as columns
-  const columns = Array.from(
-    new Set(previewRows.flatMap((r) => Object.keys(r)))
-  );
+  const formatBytes = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  };
 
   const truncate = (s, n = 140) => {
     const str = String(s ?? "");
@@ -597,6 +1490,7 @@ export default function CSVToJSONConverter() {
 
   // Small example of generated sample titles (first 3 rows) to show users how pattern behaves
   const sampleGeneratedTitles = (() => {
+    if (titlePatternError) return [];
     try {
       // if we have no detected headers or no file, just show examples using placeholders
       if (
@@ -609,41 +1503,33 @@ export default function CSVToJSONConverter() {
             titlePattern,
             { title: "Sample" },
             detectedHeaders || [],
-            1
+            1,
+            { slug: slugOptions }
           ),
           buildTitleFromPattern(
             titlePattern,
             { title: "Sample" },
             detectedHeaders || [],
-            2
+            2,
+            { slug: slugOptions }
           ),
           buildTitleFromPattern(
             titlePattern,
             { title: "Sample" },
             detectedHeaders || [],
-            3
+            3,
+            { slug: slugOptions }
           ),
         ];
       } else {
         return jsonData.slice(0, 3).map((rowObj, idx) =>
           buildTitleFromPattern(
             titlePattern,
-            {
-              // build a faux rowObject with raw CSV data accessible by lowercase header name
-              ...Object.fromEntries(
-                Object.entries(rowObj.data).flatMap(
-                  ([sectionName, sectionData]) =>
-                    Object.entries(sectionData).map(([colName, val]) => [
-                      colName,
-                      val,
-                    ])
-                )
-              ),
-              title: rowObj.title,
-              content: rowObj.content,
-            },
-            detectedHeaders,
-            idx + 1
+            // faux rowObject with the converted data accessible by header or output key
+            reconstructRowFromItem(rowObj),
+            patternHeaders,
+            idx + 1,
+            { slug: slugOptions }
           )
         );
       }
@@ -695,7 +1581,7 @@ export default function CSVToJSONConverter() {
             {/* Left: Upload + Detected headers + Sections & assignment */}
             <div className="w-[350px] px-[15px] space-y-4">
               <label className="block text-sm font-medium text-slate-700">
-                Upload CSV
+                Upload CSV or spreadsheet
               </label>
 
               <div
@@ -705,11 +1591,24 @@ export default function CSVToJSONConverter() {
                 onClick={() =>
                   fileInputRef.current && fileInputRef.current.click()
                 }
-                aria-label="Drop CSV file here or click to select"
+                aria-label="Drop CSV or spreadsheet file here or click to select"
               >
                 <CloudUpload className="w-8 h-8 text-indigo-500 mb-2" />
                 <div className="text-sm text-slate-600">
-                  {file ? (
+                  {mergedFiles.length > 0 ? (
+                    <div className="flex items-center gap-2">
+                      <span className="font-medium text-slate-800">
+                        {mergedFiles.length} CSV files merged
+                      </span>
+                      <span className="text-xs text-slate-400">
+                        {(
+                          mergedFiles.reduce((sum, m) => sum + m.file.size, 0) /
+                          1024
+                        ).toFixed(1)}{" "}
+                        KB
+                      </span>
+                    </div>
+                  ) : file ? (
                     <div className="flex items-center gap-2">
                       <span className="font-medium text-slate-800">
                         {file.name}
@@ -722,7 +1621,8 @@ export default function CSVToJSONConverter() {
                     <div>
                       Drag & drop a CSV file here, or click to browse
                       <div className="text-xs text-slate-400 mt-2">
-                        Accepted: .csv
+                        Accepted: .csv, .xlsx, .ods — several CSV files are
+                        merged
                       </div>
                     </div>
                   )}
@@ -730,7 +1630,8 @@ export default function CSVToJSONConverter() {
                 <input
                   ref={fileInputRef}
                   type="file"
-                  accept=".csv"
+                  accept=".csv,.xlsx,.ods"
+                  multiple
                   onChange={handleFileUpload}
                   className="hidden"
                 />
@@ -759,6 +1660,41 @@ export default function CSVToJSONConverter() {
                 </button>
               </div>
 
+              {/* Conversion progress */}
+              {isProcessing && progress && (
+                <div className="bg-slate-50 p-3 rounded-md border border-slate-100 text-xs text-slate-600">
+                  <div className="flex items-center justify-between mb-1">
+                    <span>{progress.rows.toLocaleString()} rows processed</span>
+                    <span className="text-slate-400">
+                      {formatBytes(progress.bytesRead)} /{" "}
+                      {formatBytes(progress.totalBytes)}
+                    </span>
+                  </div>
+                  <div className="h-1.5 bg-slate-200 rounded overflow-hidden">
+                    <div
+                      className="h-full bg-indigo-600 transition-all"
+                      style={{
+                        width: `${
+                          progress.totalBytes > 0
+                            ? Math.min(
+                                100,
+                                (progress.bytesRead / progress.totalBytes) * 100
+                              )
+                            : 0
+                        }%`,
+                      }}
+                    />
+                  </div>
+                  <button
+                    onClick={cancelConversion}
+                    className="mt-2 inline-flex items-center gap-1 px-2 py-1 rounded bg-rose-100 text-rose-700 hover:bg-rose-200"
+                  >
+                    <X className="w-3 h-3" />
+                    Cancel
+                  </button>
+                </div>
+              )}
+
               <div className="mt-2 flex gap-2">
                 <button
                   onClick={downloadJSON}
@@ -787,6 +1723,125 @@ export default function CSVToJSONConverter() {
                 </button>
               </div>
 
+              <label className="flex items-center justify-between gap-2 text-xs text-slate-500">
+                Rows with issues
+                <select
+                  value={exportPolicy}
+                  onChange={(e) => setExportPolicy(e.target.value)}
+                  className="text-xs px-2 py-1 border rounded bg-white text-gray-600"
+                >
+                  {EXPORT_POLICIES.map((p) => (
+                    <option key={p.value} value={p.value}>
+                      {p.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+
+              {/* Previous export to compare against */}
+              {jsonData.length > 0 && (
+                <div className="bg-white p-3 rounded-md border border-slate-100 text-sm">
+                  <div className="flex items-center justify-between mb-2">
+                    <div className="font-medium text-slate-700">
+                      Compare with previous export
+                    </div>
+                    {diffResult && (
+                      <div className="text-xs text-slate-400">
+                        {diffChangeCount} change
+                        {diffChangeCount !== 1 ? "s" : ""}
+                      </div>
+                    )}
+                  </div>
+
+                  <div className="space-y-2 text-xs text-slate-500">
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() =>
+                          previousExportInputRef.current &&
+                          previousExportInputRef.current.click()
+                        }
+                        className="flex-1 inline-flex items-center gap-1 px-2 py-1 rounded bg-slate-50 hover:bg-slate-100 text-gray-600 truncate"
+                        title="Load an earlier JSON or CSV export"
+                      >
+                        <GitCompare className="w-3 h-3 shrink-0" />
+                        {previousExport
+                          ? previousExport.name
+                          : "Load previous JSON or CSV"}
+                      </button>
+                      {previousExport && (
+                        <button
+                          onClick={() => {
+                            setPreviousExport(null);
+                            setExportChangesOnly(false);
+                            if (activePreview === "changes") {
+                              setActivePreview("table");
+                            }
+                          }}
+                          className="px-2 py-1 rounded bg-rose-100 text-rose-700 hover:bg-rose-200"
+                          title="Remove previous export"
+                        >
+                          <X className="w-3 h-3" />
+                        </button>
+                      )}
+                      <input
+                        ref={previousExportInputRef}
+                        type="file"
+                        accept=".json,.csv,application/json,text/csv"
+                        onChange={loadPreviousExport}
+                        className="hidden"
+                      />
+                    </div>
+
+                    {previousExport && (
+                      <>
+                        <label className="flex items-center justify-between gap-2">
+                          Match rows on
+                          <select
+                            value={diffKey}
+                            onChange={(e) => setDiffKey(e.target.value)}
+                            className="text-xs px-2 py-1 border rounded bg-white text-gray-600 max-w-[10rem]"
+                          >
+                            {!diffKeyOptions.includes(diffKey) && (
+                              <option value={diffKey}>
+                                {diffKey || "Choose a column"}
+                              </option>
+                            )}
+                            {diffKeyOptions.map((c) => (
+                              <option key={c} value={c}>
+                                {c}
+                              </option>
+                            ))}
+                          </select>
+                        </label>
+                        {diffResult && (
+                          <div className="flex gap-3">
+                            <span className="text-emerald-700">
+                              +{diffResult.added.length} added
+                            </span>
+                            <span className="text-rose-700">
+                              −{diffResult.removed.length} removed
+                            </span>
+                            <span className="text-amber-700">
+                              {diffResult.modified.length} modified
+                            </span>
+                          </div>
+                        )}
+                        <label className="flex items-center gap-2">
+                          <input
+                            type="checkbox"
+                            checked={exportChangesOnly}
+                            onChange={(e) =>
+                              setExportChangesOnly(e.target.checked)
+                            }
+                          />
+                          Export only added and modified rows
+                        </label>
+                      </>
+                    )}
+                  </div>
+                </div>
+              )}
+
               {/* Detected headers */}
               {file && (
                 <div className="mt-4 bg-slate-50 p-3 rounded-md border border-slate-100 text-sm">
@@ -799,6 +1854,124 @@ export default function CSVToJSONConverter() {
                     </div>
                   </div>
 
+                  {workbook && (
+                    <div className="grid grid-cols-2 gap-2 mb-3">
+                      <label className="text-xs text-slate-500">
+                        Sheet
+                        <select
+                          value={sheetName}
+                          onChange={(e) => selectSheet(e.target.value)}
+                          className="mt-1 w-full text-xs px-1 py-1 border rounded bg-white text-gray-600"
+                        >
+                          {workbook.sheets.map((sh) => (
+                            <option key={sh.name} value={sh.name}>
+                              {sh.name}
+                            </option>
+                          ))}
+                        </select>
+                      </label>
+                      <label className="text-xs text-slate-500">
+                        Cell range
+                        <input
+                          value={cellRange}
+                          onChange={(e) => setCellRange(e.target.value)}
+                          onBlur={applyCellRange}
+                          onKeyDown={(e) => {
+                            if (e.key === "Enter") applyCellRange();
+                          }}
+                          placeholder={
+                            workbook.sheets.find((sh) => sh.name === sheetName)
+                              ?.range || "A1:J100"
+                          }
+                          className="mt-1 w-full text-xs px-1 py-1 border rounded text-gray-600"
+                        />
+                      </label>
+                    </div>
+                  )}
+
+                  {detectedFormat && (
+                    <div className="grid grid-cols-3 gap-2 mb-3">
+                      {[
+                        ["encoding", "Encoding", ENCODING_OPTIONS],
+                        ["delimiter", "Delimiter", DELIMITER_OPTIONS],
+                        ["quote", "Quote", QUOTE_OPTIONS],
+                      ].map(([key, label, options]) => {
+                        const autoLabel =
+                          options.find((o) => o.value === detectedFormat[key])
+                            ?.label ?? detectedFormat[key];
+                        return (
+                          <label key={key} className="text-xs text-slate-500">
+                            {label}
+                            <select
+                              value={formatOverrides[key] ?? "auto"}
+                              onChange={(e) =>
+                                updateFormatOverride(key, e.target.value)
+                              }
+                              className="mt-1 w-full text-xs px-1 py-1 border rounded bg-white text-gray-600"
+                            >
+                              <option value="auto">Auto: {autoLabel}</option>
+                              {options.map((o) => (
+                                <option key={o.value} value={o.value}>
+                                  {o.label}
+                                </option>
+                              ))}
+                            </select>
+                          </label>
+                        );
+                      })}
+                      {detectedFormat.hasBOM && (
+                        <div className="col-span-3 text-xs text-slate-400">
+                          Byte order mark detected and removed.
+                        </div>
+                      )}
+                      {mergedFiles.length > 0 && (
+                        <div className="col-span-3 text-xs text-slate-400">
+                          Auto values are detected for each file; overrides
+                          apply to all.
+                        </div>
+                      )}
+                    </div>
+                  )}
+
+                  {mergedFiles.length > 0 && (
+                    <div className="mb-3 space-y-1 text-xs">
+                      <div className="text-slate-500">
+                        Merged files (columns matched by name,{" "}
+                        <span className="font-mono">{"{source_file}"}</span>{" "}
+                        holds each row&apos;s file)
+                      </div>
+                      {mergedFiles.map((m, idx) => (
+                        <div
+                          key={idx}
+                          className="p-2 rounded bg-white border border-slate-100"
+                        >
+                          <div className="flex items-center justify-between gap-2">
+                            <span className="font-medium text-slate-700 truncate">
+                              {m.file.name}
+                            </span>
+                            <span className="text-slate-400 whitespace-nowrap">
+                              {mergedRowCounts?.[idx]
+                                ? `${mergedRowCounts[idx].rows} rows · `
+                                : ""}
+                              {formatBytes(m.file.size)}
+                            </span>
+                          </div>
+                          {m.missing.length > 0 && (
+                            <div className="text-amber-700">
+                              Missing (left empty): {m.missing.join(", ")}
+                            </div>
+                          )}
+                          {m.extra.length > 0 && (
+                            <div className="text-amber-700">
+                              Not in {mergedFiles[0].file.name}:{" "}
+                              {m.extra.join(", ")}
+                            </div>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+
                   {detectedHeaders.length > 0 ? (
                     <div className="flex flex-wrap gap-2">
                       {detectedHeaders.map((h, i) => (
@@ -818,6 +1991,120 @@ export default function CSVToJSONConverter() {
                 </div>
               )}
 
+              {/* Mapping profiles */}
+              <div className="mt-4 bg-white p-3 rounded-md border border-slate-100 text-sm">
+                <div className="flex items-center justify-between mb-2">
+                  <div className="font-medium text-slate-700">
+                    Mapping profiles
+                  </div>
+                  <div className="text-xs text-slate-400">
+                    {profiles.length}
+                  </div>
+                </div>
+
+                <div className="space-y-2">
+                  {profiles.length > 0 && (
+                    <div className="flex gap-2">
+                      <select
+                        value={selectedProfile}
+                        onChange={(e) => setSelectedProfile(e.target.value)}
+                        className="flex-1 text-xs px-2 py-1 border rounded bg-white text-gray-600"
+                      >
+                        <option value="">Select a profile</option>
+                        {profiles.map((p) => (
+                          <option key={p.name} value={p.name}>
+                            {p.name}
+                          </option>
+                        ))}
+                      </select>
+                      <button
+                        onClick={() => applyProfile(selectedProfile)}
+                        disabled={!selectedProfile}
+                        className="px-2 py-1 rounded bg-slate-50 text-xs hover:bg-slate-100 text-gray-600 disabled:opacity-50"
+                      >
+                        Apply
+                      </button>
+                      <button
+                        onClick={() => exportProfile(selectedProfile)}
+                        disabled={!selectedProfile}
+                        className="px-2 py-1 rounded bg-slate-50 text-xs hover:bg-slate-100 text-gray-600 disabled:opacity-50"
+                        title="Export profile as JSON"
+                      >
+                        <Download className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => deleteProfile(selectedProfile)}
+                        disabled={!selectedProfile}
+                        className="px-2 py-1 text-xs rounded bg-rose-100 text-rose-700 hover:bg-rose-200 disabled:opacity-50"
+                        title="Delete profile"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  )}
+
+                  <div className="flex gap-2">
+                    <input
+                      value={profileName}
+                      onChange={(e) => setProfileName(e.target.value)}
+                      placeholder={selectedProfile || "Profile name"}
+                      className="flex-1 px-2 py-1 border rounded text-sm text-gray-600"
+                    />
+                    <button
+                      onClick={saveCurrentProfile}
+                      className="px-2 py-1 rounded bg-indigo-600 text-white text-xs hover:bg-indigo-700"
+                    >
+                      Save
+                    </button>
+                    <button
+                      onClick={() =>
+                        profileInputRef.current &&
+                        profileInputRef.current.click()
+                      }
+                      className="px-2 py-1 rounded bg-slate-50 text-xs hover:bg-slate-100 text-gray-600"
+                      title="Import profile JSON"
+                    >
+                      <Upload className="w-4 h-4" />
+                    </button>
+                    <input
+                      ref={profileInputRef}
+                      type="file"
+                      accept=".json,application/json"
+                      onChange={importProfiles}
+                      className="hidden"
+                    />
+                  </div>
+
+                  {profileReport && (
+                    <div className="bg-slate-50 p-2 rounded text-xs text-slate-600 space-y-1">
+                      <div>
+                        Applied profile{" "}
+                        <span className="font-medium text-slate-800">
+                          {profileReport.name}
+                        </span>
+                      </div>
+                      {profileReport.missing.length > 0 && (
+                        <div className="text-rose-700">
+                          Missing from file: {profileReport.missing.join(", ")}
+                        </div>
+                      )}
+                      {profileReport.added.length > 0 && (
+                        <div className="text-amber-700">
+                          Not in profile (placed in first section):{" "}
+                          {profileReport.added.join(", ")}
+                        </div>
+                      )}
+                      {profileReport.missing.length === 0 &&
+                        profileReport.added.length === 0 && (
+                          <div className="text-emerald-700">
+                            All columns match.
+                          </div>
+                        )}
+                    </div>
+                  )}
+                </div>
+              </div>
+
               {/* Title pattern input */}
               <div className="mt-4 bg-white p-3 rounded-md border border-slate-100 text-sm">
                 <div className="flex items-center justify-between mb-2">
@@ -832,13 +2119,23 @@ export default function CSVToJSONConverter() {
                     value={titlePattern}
                     onChange={(e) => setTitlePattern(e.target.value)}
                     placeholder="{title}"
-                    className="w-full px-2 py-1 border rounded text-sm text-gray-600"
+                    className={`w-full px-2 py-1 border rounded text-sm text-gray-600 ${
+                      titlePatternError ? "border-rose-400" : ""
+                    }`}
                   />
+                  {titlePatternError && (
+                    <div className="text-xs text-rose-600">
+                      {titlePatternError}
+                    </div>
+                  )}
                   <div className="text-xs text-slate-500">
                     Use placeholders: <code>{"{title}"}</code>,{" "}
                     <code>{"{index}"}</code>, <code>{"{timestamp}"}</code>, and
                     column placeholders like <code>{"{column:Author}"}</code> or{" "}
-                    <code>{"{column_Author}"}</code>.
+                    <code>{"{column_Author}"}</code>. Add filters with{" "}
+                    <code>|</code> ({PATTERN_FILTERS.join(", ")}), fallbacks
+                    with <code>??</code>, and wrap text in <code>[ ]</code> to
+                    drop it when a value inside is empty.
                   </div>
 
                   <div className="flex flex-wrap gap-2 mt-2">
@@ -861,16 +2158,19 @@ export default function CSVToJSONConverter() {
                       {`{timestamp}`}
                     </button>
 
-                    {detectedHeaders?.slice(0, 6).map((h) => (
-                      <button
-                        key={h}
-                        onClick={() => appendTokenToPattern(`{column:${h}}`)}
-                        className="px-2 py-1 bg-slate-50 rounded text-xs hover:bg-slate-100 text-gray-600"
-                        title={`Insert placeholder for column ${h}`}
-                      >
-                        {`{column:${h}}`}
-                      </button>
-                    ))}
+                    {detectedHeaders
+                      ?.slice(0, 6)
+                      .map((h) => outputKeyFor(h, columnKeys))
+                      .map((h) => (
+                        <button
+                          key={h}
+                          onClick={() => appendTokenToPattern(`{column:${h}}`)}
+                          className="px-2 py-1 bg-slate-50 rounded text-xs hover:bg-slate-100 text-gray-600"
+                          title={`Insert placeholder for column ${h}`}
+                        >
+                          {`{column:${h}}`}
+                        </button>
+                      ))}
                   </div>
 
                   <div className="text-xs text-slate-500 mt-2">
@@ -880,6 +2180,11 @@ export default function CSVToJSONConverter() {
                     <span className="font-mono">
                       {"{title}-{column:author}"}
                     </span>
+                    , <span className="font-mono">{"{index|pad:4}"}</span>,{" "}
+                    <span className="font-mono">{"{nickname ?? title}"}</span>,{" "}
+                    <span className="font-mono">
+                      {"{city}[ - {nickname}] - {location_code}"}
+                    </span>
                   </div>
 
                   <div className="mt-2 text-xs">
@@ -887,7 +2192,11 @@ export default function CSVToJSONConverter() {
                       Sample generated titles
                     </div>
                     <div className="bg-slate-50 p-2 rounded text-xs text-slate-600">
-                      {sampleGeneratedTitles.length > 0 ? (
+                      {titlePatternError ? (
+                        <div className="text-rose-600">
+                          Pattern error: {titlePatternError}
+                        </div>
+                      ) : sampleGeneratedTitles.length > 0 ? (
                         sampleGeneratedTitles.map((s, i) => (
                           <div key={i} className="truncate">
                             {i + 1}. {s}
@@ -903,6 +2212,186 @@ export default function CSVToJSONConverter() {
                 </div>
               </div>
 
+              {/* Route URL */}
+              <div className="mt-4 bg-white p-3 rounded-md border border-slate-100 text-sm">
+                <div className="flex items-center justify-between mb-2">
+                  <div className="font-medium text-slate-700">Route URL</div>
+                  <div className="text-xs text-slate-400">route_url</div>
+                </div>
+
+                <div className="space-y-2 text-xs text-slate-500">
+                  <input
+                    value={routeConfig.pattern}
+                    onChange={(e) =>
+                      updateRouteConfig({ pattern: e.target.value })
+                    }
+                    placeholder={DEFAULT_ROUTE_CONFIG.pattern}
+                    className={`w-full px-2 py-1 border rounded text-sm text-gray-600 font-mono ${
+                      routePatternError ? "border-rose-400" : ""
+                    }`}
+                  />
+                  {routePatternError && (
+                    <div className="text-rose-600">{routePatternError}</div>
+                  )}
+                  <div>
+                    Same placeholders as the title pattern. Each <code>/</code>
+                    -separated part is turned into a slug and empty parts are
+                    dropped.
+                  </div>
+
+                  <div className="grid grid-cols-2 gap-2">
+                    <label>
+                      Prefix
+                      <input
+                        value={routeConfig.prefix}
+                        onChange={(e) =>
+                          updateRouteConfig({ prefix: e.target.value })
+                        }
+                        placeholder="/sites"
+                        className="mt-1 w-full px-1 py-1 border rounded text-gray-600"
+                      />
+                    </label>
+                    <label>
+                      Max length
+                      <input
+                        type="number"
+                        min="0"
+                        value={routeConfig.maxLength}
+                        onChange={(e) =>
+                          updateRouteConfig({
+                            maxLength:
+                              e.target.value === ""
+                                ? ""
+                                : Number(e.target.value),
+                          })
+                        }
+                        placeholder="No limit"
+                        className="mt-1 w-full px-1 py-1 border rounded text-gray-600"
+                      />
+                    </label>
+                  </div>
+
+                  <div className="grid grid-cols-2 gap-2">
+                    <label>
+                      Slug stop words
+                      <input
+                        value={slugOptions.stopWords}
+                        onChange={(e) =>
+                          setSlugOptions((prev) => ({
+                            ...prev,
+                            stopWords: e.target.value,
+                          }))
+                        }
+                        placeholder="the, of, and"
+                        className="mt-1 w-full px-1 py-1 border rounded text-gray-600"
+                      />
+                    </label>
+                    <label>
+                      Slug max length
+                      <input
+                        type="number"
+                        min="0"
+                        value={slugOptions.maxLength}
+                        onChange={(e) =>
+                          setSlugOptions((prev) => ({
+                            ...prev,
+                            maxLength:
+                              e.target.value === ""
+                                ? ""
+                                : Number(e.target.value),
+                          }))
+                        }
+                        placeholder="No limit"
+                        className="mt-1 w-full px-1 py-1 border rounded text-gray-600"
+                      />
+                    </label>
+                  </div>
+
+                  <label className="flex items-center gap-1">
+                    <input
+                      type="checkbox"
+                      checked={routeConfig.trailingSlash}
+                      onChange={(e) =>
+                        updateRouteConfig({ trailingSlash: e.target.checked })
+                      }
+                    />
+                    Trailing slash
+                  </label>
+
+                  {localeConfig.mode !== "off" && (
+                    <label className="flex items-center justify-between gap-2">
+                      Locale in route
+                      <select
+                        value={routeConfig.localePrefix}
+                        onChange={(e) =>
+                          updateRouteConfig({ localePrefix: e.target.value })
+                        }
+                        className="text-xs px-1 py-1 border rounded bg-white text-gray-600"
+                      >
+                        {LOCALE_PREFIX_MODES.map((m) => (
+                          <option key={m.value} value={m.value}>
+                            {m.label}
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                  )}
+
+                  <label className="flex items-center justify-between gap-2">
+                    Duplicate routes
+                    <select
+                      value={routeConfig.duplicates}
+                      onChange={(e) =>
+                        updateRouteConfig({ duplicates: e.target.value })
+                      }
+                      className="text-xs px-1 py-1 border rounded bg-white text-gray-600"
+                    >
+                      {ROUTE_DUPLICATE_MODES.map((m) => (
+                        <option key={m.value} value={m.value}>
+                          {m.label}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+
+                  {routePreview.routes.length > 0 && (
+                    <div className="bg-slate-50 p-2 rounded text-slate-600 font-mono">
+                      {routePreview.routes.slice(0, 3).map((r, i) => (
+                        <div key={i} className="truncate">
+                          {r}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              </div>
+
+              {/* Taxonomy terms */}
+              {file && detectedHeaders.length > 0 && (
+                <TaxonomyPanel
+                  taxonomyConfig={taxonomyConfig}
+                  setTaxonomyConfig={setTaxonomyConfig}
+                  headers={detectedHeaders}
+                  columnKeys={columnKeys}
+                  entries={jsonData}
+                  exportPolicy={exportPolicy}
+                  invalidRows={invalidRows}
+                />
+              )}
+
+              {/* Locales */}
+              {file && detectedHeaders.length > 0 && (
+                <LocalePanel
+                  localeConfig={localeConfig}
+                  setLocaleConfig={setLocaleConfig}
+                  groupPatternError={groupPatternError}
+                  headers={detectedHeaders}
+                  columnKeys={columnKeys}
+                  slugOptions={slugOptions}
+                  entries={jsonData}
+                />
+              )}
+
               {/* Sections editor */}
               <div className="mt-4 bg-white p-3 rounded-md border border-slate-100 text-sm">
                 <div className="flex items-center justify-between mb-2">
@@ -952,6 +2441,23 @@ export default function CSVToJSONConverter() {
                 </div>
               </div>
 
+              {/* Lookups */}
+              {file && detectedHeaders.length > 0 && (
+                <LookupsPanel
+                  lookups={lookups}
+                  setLookups={setLookups}
+                  lookupTables={lookupTables}
+                  setLookupTables={setLookupTables}
+                  lookupPlan={lookupPlan}
+                  fileHeaders={fileHeaders}
+                  unmatchedRows={unmatchedRows}
+                  convertedLookups={
+                    jsonData.length > 0 ? lastRun?.config.lookups ?? [] : []
+                  }
+                  setStatus={setStatus}
+                />
+              )}
+
               {/* Assignment UI */}
               {file && detectedHeaders.length > 0 && (
                 <div className="mt-4 bg-white p-3 rounded-md border border-slate-100 text-sm">
@@ -959,36 +2465,343 @@ export default function CSVToJSONConverter() {
                     Assign columns to sections
                   </div>
                   <div className="text-xs text-slate-500 mb-2">
-                    Select which section each detected column should go into.
+                    Select which section each detected column should go into,
+                    the key it is written under and the type its values are
+                    converted to.
+                  </div>
+                  <div className="flex flex-wrap items-center gap-2 mb-2 text-xs">
+                    <span className="text-slate-500">Keys:</span>
+                    <button
+                      onClick={() => applyKeyCase(toSnakeCase)}
+                      className="px-2 py-1 bg-slate-50 rounded hover:bg-slate-100 text-gray-600 font-mono"
+                    >
+                      snake_case
+                    </button>
+                    <button
+                      onClick={() => applyKeyCase(toCamelCase)}
+                      className="px-2 py-1 bg-slate-50 rounded hover:bg-slate-100 text-gray-600 font-mono"
+                    >
+                      camelCase
+                    </button>
+                    <button
+                      onClick={() => setColumnKeys({})}
+                      className="px-2 py-1 bg-slate-50 rounded hover:bg-slate-100 text-gray-600"
+                    >
+                      Reset
+                    </button>
                   </div>
-                  <div className="space-y-2 max-h-48 overflow-auto pr-2">
+                  {detectedHeaders.some((h) => getColumnType(h) === "date") && (
+                    <div className="flex items-center gap-2 mb-2 text-xs text-slate-500">
+                      Dates without an offset are read in
+                      <input
+                        value={timeZone}
+                        onChange={(e) => setTimeZone(e.target.value.trim())}
+                        placeholder={DEFAULT_TIME_ZONE}
+                        className={`w-36 px-1 py-1 border rounded text-gray-600 bg-white ${
+                          isValidTimeZone(timeZone) ? "" : "border-rose-400"
+                        }`}
+                      />
+                    </div>
+                  )}
+                  {keyCollisions.size > 0 && (
+                    <div className="mb-2 text-xs text-rose-700">
+                      Some columns share an output key within the same section;
+                      give each its own key to convert or export.
+                    </div>
+                  )}
+                  <div className="space-y-2 max-h-72 overflow-auto pr-2">
                     {detectedHeaders?.map((header) => {
                       const key = header.toLowerCase(); // already lowercased but ensure
                       const assigned = columnMap[key] ?? sections?.[0]?.id;
+                      const rules = columnRules[key] || {};
+                      const patternError = compilePattern(rules.pattern).error;
                       return (
-                        <div key={header} className="flex items-center gap-2">
-                          <div className="flex-1 text-xs text-slate-700">
-                            {header}
+                        <div key={header}>
+                          <div className="flex items-center gap-2">
+                            <div className="flex-1 text-xs text-slate-700">
+                              {header}
+                              {(key === geoConfig.latColumn ||
+                                key === geoConfig.lngColumn) && (
+                                <span className="ml-1 px-1 rounded bg-sky-100 text-sky-700">
+                                  {key === geoConfig.latColumn ? "lat" : "long"}
+                                </span>
+                              )}
+                              {profileReport?.added.includes(key) && (
+                                <span
+                                  className="ml-1 px-1 rounded bg-amber-100 text-amber-700"
+                                  title={`Not part of profile "${profileReport.name}"`}
+                                >
+                                  new
+                                </span>
+                              )}
+                            </div>
+                            <select
+                              value={assigned}
+                              onChange={(e) =>
+                                setColumnAssignment(header, e.target.value)
+                              }
+                              className="text-xs px-2 py-1 border rounded bg-white text-gray-600"
+                            >
+                              {sections.map((s) => (
+                                <option key={s.id} value={s.id}>
+                                  {s.name}
+                                </option>
+                              ))}
+                            </select>
+                            <select
+                              value={columnTypes[key] ?? "auto"}
+                              onChange={(e) =>
+                                setColumnType(key, e.target.value)
+                              }
+                              className="w-24 text-xs px-1 py-1 border rounded bg-white text-gray-600"
+                              title="Value type"
+                            >
+                              <option value="auto">
+                                Auto:{" "}
+                                {
+                                  COLUMN_TYPES.find(
+                                    (t) =>
+                                      t.value ===
+                                      (inferredTypes[key] ?? "string")
+                                  )?.label
+                                }
+                              </option>
+                              {COLUMN_TYPES.map((t) => (
+                                <option key={t.value} value={t.value}>
+                                  {t.label}
+                                </option>
+                              ))}
+                            </select>
+                            <button
+                              onClick={() =>
+                                setRulesEditorColumn((c) =>
+                                  c === key ? null : key
+                                )
+                              }
+                              className={`p-1 rounded ${
+                                hasRules(rules)
+                                  ? "bg-indigo-100 text-indigo-700"
+                                  : "bg-slate-50 text-slate-400 hover:bg-slate-100"
+                              }`}
+                              title="Validation rules"
+                            >
+                              <ShieldCheck className="w-4 h-4" />
+                            </button>
                           </div>
+
+                          {!FIXED_KEY_HEADERS.includes(key) && (
+                            <input
+                              value={columnKeys[key] ?? ""}
+                              onChange={(e) =>
+                                setColumnKey(key, e.target.value)
+                              }
+                              placeholder={`key: ${key}`}
+                              title="Output key"
+                              className={`mt-1 w-full px-2 py-0.5 border rounded text-xs font-mono text-gray-600 ${
+                                keyCollisions.has(key) ? "border-rose-400" : ""
+                              }`}
+                            />
+                          )}
+
+                          {rulesEditorColumn === key && (
+                            <div className="mt-1 mb-2 p-2 rounded bg-slate-50 border border-slate-100 grid grid-cols-2 gap-2 text-xs text-slate-600">
+                              <label className="flex items-center gap-1">
+                                <input
+                                  type="checkbox"
+                                  checked={Boolean(rules.required)}
+                                  onChange={(e) =>
+                                    updateColumnRule(
+                                      key,
+                                      "required",
+                                      e.target.checked
+                                    )
+                                  }
+                                />
+                                Required
+                              </label>
+                              <label className="flex items-center gap-1">
+                                <input
+                                  type="checkbox"
+                                  checked={Boolean(rules.unique)}
+                                  onChange={(e) =>
+                                    updateColumnRule(
+                                      key,
+                                      "unique",
+                                      e.target.checked
+                                    )
+                                  }
+                                />
+                                Unique
+                              </label>
+                              <input
+                                value={rules.pattern ?? ""}
+                                onChange={(e) =>
+                                  updateColumnRule(
+                                    key,
+                                    "pattern",
+                                    e.target.value
+                                  )
+                                }
+                                placeholder="Regex, e.g. ^[A-Z]\d+$"
+                                title={patternError || "Regular expression"}
+                                className={`col-span-2 px-2 py-1 border rounded bg-white font-mono ${
+                                  patternError ? "border-rose-400" : ""
+                                }`}
+                              />
+                              {[
+                                ["min", "Min value"],
+                                ["max", "Max value"],
+                                ["minLength", "Min length"],
+                                ["maxLength", "Max length"],
+                              ].map(([field, placeholder]) => (
+                                <input
+                                  key={field}
+                                  type="number"
+                                  value={rules[field] ?? ""}
+                                  onChange={(e) =>
+                                    updateColumnRule(key, field, e.target.value)
+                                  }
+                                  placeholder={placeholder}
+                                  className="px-2 py-1 border rounded bg-white"
+                                />
+                              ))}
+                              <input
+                                value={rules.allowed ?? ""}
+                                onChange={(e) =>
+                                  updateColumnRule(
+                                    key,
+                                    "allowed",
+                                    e.target.value
+                                  )
+                                }
+                                placeholder="Allowed values (comma separated)"
+                                className="col-span-2 px-2 py-1 border rounded bg-white"
+                              />
+                            </div>
+                          )}
+                        </div>
+                      );
+                    })}
+                  </div>
+                </div>
+              )}
+
+              {/* Row filters */}
+              {file && detectedHeaders.length > 0 && (
+                <RowFiltersPanel
+                  rowFilters={rowFilters}
+                  setRowFilters={setRowFilters}
+                  headers={detectedHeaders}
+                  excludedRows={excludedRows}
+                  converted={jsonData.length > 0}
+                  onDownloadExcluded={downloadExcludedCSV}
+                />
+              )}
+
+              {/* Location checks */}
+              {file && detectedHeaders.length > 0 && (
+                <div className="mt-4 bg-white p-3 rounded-md border border-slate-100 text-sm">
+                  <div className="flex items-center gap-2 font-medium text-slate-700 mb-2">
+                    <MapPin className="w-4 h-4 text-sky-600" />
+                    Location checks
+                  </div>
+                  <div className="space-y-2 text-xs text-slate-500">
+                    <div className="grid grid-cols-2 gap-2">
+                      {[
+                        ["latColumn", "Latitude column"],
+                        ["lngColumn", "Longitude column"],
+                      ].map(([field, label]) => (
+                        <label key={field}>
+                          {label}
                           <select
-                            value={assigned}
+                            value={geoConfig[field]}
                             onChange={(e) =>
-                              setColumnAssignment(header, e.target.value)
+                              updateGeoConfig({ [field]: e.target.value })
                             }
-                            className="text-xs px-2 py-1 border rounded bg-white text-gray-600"
+                            className="mt-1 w-full text-xs px-1 py-1 border rounded bg-white text-gray-600"
                           >
-                            {sections.map((s) => (
-                              <option key={s.id} value={s.id}>
-                                {s.name}
+                            <option value="">None</option>
+                            {detectedHeaders.map((h) => (
+                              <option key={h} value={h}>
+                                {h}
                               </option>
                             ))}
                           </select>
-                        </div>
-                      );
-                    })}
+                        </label>
+                      ))}
+                    </div>
+
+                    <div className="flex items-center justify-between">
+                      <label className="flex items-center gap-1">
+                        <input
+                          type="checkbox"
+                          checked={geoConfig.useBbox}
+                          onChange={(e) =>
+                            updateGeoConfig({ useBbox: e.target.checked })
+                          }
+                        />
+                        Flag sites outside bounding box
+                      </label>
+                      <button
+                        onClick={() =>
+                          updateGeoConfig({ bbox: PHILIPPINES_BBOX })
+                        }
+                        className="px-2 py-1 bg-slate-50 rounded hover:bg-slate-100 text-gray-600"
+                      >
+                        Philippines
+                      </button>
+                    </div>
+                    {geoConfig.useBbox && (
+                      <div className="grid grid-cols-2 gap-2">
+                        {[
+                          ["minLat", "Min lat"],
+                          ["maxLat", "Max lat"],
+                          ["minLng", "Min long"],
+                          ["maxLng", "Max long"],
+                        ].map(([field, label]) => (
+                          <label key={field}>
+                            {label}
+                            <input
+                              type="number"
+                              step="any"
+                              value={geoConfig.bbox[field]}
+                              onChange={(e) =>
+                                updateGeoBbox(field, e.target.value)
+                              }
+                              className="mt-1 w-full px-1 py-1 border rounded text-gray-600"
+                            />
+                          </label>
+                        ))}
+                      </div>
+                    )}
+
+                    <label className="flex items-center justify-between gap-2">
+                      Near-duplicate distance (m, 0 = off)
+                      <input
+                        type="number"
+                        min="0"
+                        value={geoConfig.duplicateMeters}
+                        onChange={(e) =>
+                          updateGeoConfig({
+                            duplicateMeters:
+                              e.target.value === ""
+                                ? ""
+                                : Number(e.target.value),
+                          })
+                        }
+                        className="w-20 px-1 py-1 border rounded text-gray-600"
+                      />
+                    </label>
                   </div>
                 </div>
               )}
+              {/* Export template */}
+              <ExportTemplatePanel
+                exportColumns={exportColumns}
+                setExportColumns={setExportColumns}
+                sourceColumns={exportSourceColumns}
+                setStatus={setStatus}
+              />
             </div>
 
             {/* Right: Preview area (spans 3 cols on large screens) */}
@@ -1011,13 +2824,52 @@ export default function CSVToJSONConverter() {
                 </div>
               )}
 
+              {/* Issues summary from the last conversion */}
+              {conversionIssues.length > 0 && (
+                <div className="mb-4 p-3 rounded-md bg-amber-50 text-amber-800 border border-amber-100 text-xs flex items-center justify-between gap-3">
+                  <div>
+                    {conversionIssues.length} issue
+                    {conversionIssues.length !== 1 ? "s" : ""} in{" "}
+                    {invalidRows.size} row{invalidRows.size !== 1 ? "s" : ""}
+                  </div>
+                  <button
+                    onClick={() => setActivePreview("issues")}
+                    className="px-2 py-1 rounded bg-amber-100 hover:bg-amber-200"
+                  >
+                    View issues
+                  </button>
+                </div>
+              )}
+
+              {/* Duplicate routes (not shown when they are auto-suffixed) */}
+              {routePreview.issues.length > 0 && (
+                <div className="mb-4 p-3 rounded-md bg-rose-50 text-rose-800 border border-rose-100 text-xs">
+                  <div className="font-medium mb-1">
+                    {routePreview.issues.length} duplicate route
+                    {routePreview.issues.length !== 1 ? "s" : ""}
+                    {routeConfig.duplicates === "fail" &&
+                      " — CSV export is blocked"}
+                  </div>
+                  <div className="max-h-24 overflow-auto space-y-0.5">
+                    {routePreview.issues.slice(0, 50).map((issue) => (
+                      <div key={issue.row} className="font-mono">
+                        Row {issue.row}: {issue.value} ({issue.message})
+                      </div>
+                    ))}
+                    {routePreview.issues.length > 50 && (
+                      <div>…and {routePreview.issues.length - 50} more</div>
+                    )}
+                  </div>
+                </div>
+              )}
+
               <div className="flex items-center justify-between mb-3">
                 <div>
                   <h3 className="text-base font-semibold text-slate-800">
                     Preview
                   </h3>
                   <div className="text-xs text-slate-500">
-                    Showing up to first 10 rows
+                    {jsonData.length} row{jsonData.length !== 1 ? "s" : ""}
                   </div>
                 </div>
 
@@ -1042,61 +2894,276 @@ export default function CSVToJSONConverter() {
                   >
                     JSON
                   </button>
+                  <button
+                    onClick={() => setActivePreview("issues")}
+                    className={`px-3 py-1 rounded-md text-sm ${
+                      activePreview === "issues"
+                        ? "bg-white shadow text-slate-800"
+                        : "text-slate-500"
+                    }`}
+                  >
+                    Issues
+                    {conversionIssues.length > 0 && (
+                      <span className="ml-1 px-1.5 rounded-full bg-amber-100 text-amber-700 text-xs">
+                        {conversionIssues.length}
+                      </span>
+                    )}
+                  </button>
+                  {previousExport && (
+                    <button
+                      onClick={() => setActivePreview("changes")}
+                      className={`px-3 py-1 rounded-md text-sm ${
+                        activePreview === "changes"
+                          ? "bg-white shadow text-slate-800"
+                          : "text-slate-500"
+                      }`}
+                    >
+                      Changes
+                      {diffChangeCount > 0 && (
+                        <span className="ml-1 px-1.5 rounded-full bg-sky-100 text-sky-700 text-xs">
+                          {diffChangeCount}
+                        </span>
+                      )}
+                    </button>
+                  )}
                 </div>
               </div>
 
-              <div className="h-[520px] overflow-auto rounded-md border border-slate-100">
-                {jsonData.length === 0 ? (
-                  <div className="w-full h-full flex items-center justify-center text-slate-400">
-                    <div className="text-center">
-                      <FileText className="w-12 h-12 mx-auto mb-2" />
-                      No preview available — upload a CSV and click Convert.
+              {jsonData.length > 0 && (
+                <PreviewGrid
+                  visible={activePreview === "table"}
+                  entries={jsonData}
+                  sections={sections}
+                  headers={detectedHeaders}
+                  routes={routePreview.routes}
+                  duplicateRouteRows={duplicateRouteRows}
+                  invalidRows={invalidRows}
+                  lastRun={lastRun}
+                  cellEdits={cellEdits}
+                  editedCellCount={editedCellCount}
+                  editingCell={editingCell}
+                  setEditingCell={setEditingCell}
+                  onCommitEdit={commitCellEdit}
+                  onRevertEdit={revertCellEdit}
+                  onRevertAll={() => updateCellEdits({})}
+                  isProcessing={isProcessing}
+                  onShowCell={setModalContent}
+                />
+              )}
+
+              {(activePreview !== "table" || jsonData.length === 0) && (
+                <div
+                  key={activePreview}
+                  className="h-[520px] overflow-auto rounded-md border border-slate-100"
+                >
+                  {jsonData.length === 0 ? (
+                    <div className="w-full h-full flex items-center justify-center text-slate-400">
+                      <div className="text-center">
+                        <FileText className="w-12 h-12 mx-auto mb-2" />
+                        No preview available — upload a CSV and click Convert.
+                      </div>
                     </div>
-                  </div>
-                ) : activePreview === "table" ? (
-                  <table className="min-w-full table-auto text-sm">
-                    <thead className="bg-slate-50 sticky top-0">
-                      <tr>
-                        {columns.map((h) => (
-                          <th
-                            key={h}
-                            className="text-left px-3 py-2 text-xs text-slate-500 align-top"
+                  ) : activePreview === "issues" ? (
+                    conversionIssues.length === 0 ? (
+                      <div className="w-full h-full flex items-center justify-center text-slate-400">
+                        <div className="text-center">
+                          <CheckCircle className="w-12 h-12 mx-auto mb-2" />
+                          No issues found.
+                        </div>
+                      </div>
+                    ) : (
+                      <div>
+                        <div className="flex items-center justify-between p-2 border-b border-slate-100 text-xs text-slate-500">
+                          <span>
+                            Showing{" "}
+                            {Math.min(
+                              conversionIssues.length,
+                              MAX_ISSUES_SHOWN
+                            )}{" "}
+                            of {conversionIssues.length}
+                          </span>
+                          <button
+                            onClick={downloadIssuesCSV}
+                            className="inline-flex items-center gap-1 px-2 py-1 rounded bg-slate-50 hover:bg-slate-100 text-slate-700"
                           >
-                            {h}
-                          </th>
-                        ))}
-                      </tr>
-                    </thead>
-                    <tbody>
-                      {previewRows.map((row, idx) => (
-                        <tr
-                          key={idx}
-                          className={idx % 2 === 0 ? "bg-white" : "bg-slate-50"}
-                        >
-                          {columns.map((k) => {
-                            const val = row[k] ?? "";
-                            return (
-                              <td
-                                key={k}
-                                className="px-3 py-2 align-top text-slate-700 break-words max-w-[20rem]"
-                              >
-                                <div className="text-xs whitespace-pre-wrap">
-                                  {truncate(val)}
-                                </div>
-                              </td>
-                            );
-                          })}
-                        </tr>
-                      ))}
-                    </tbody>
-                  </table>
-                ) : (
-                  <pre className="p-4 text-xs text-slate-800 bg-white overflow-auto">
-                    {JSON.stringify(jsonData.slice(0, 50), null, 2)}
-                    {jsonData.length > 50 && "\n... and more"}
-                  </pre>
-                )}
-              </div>
+                            <Download className="w-3 h-3" />
+                            Download issues CSV
+                          </button>
+                        </div>
+                        <table className="min-w-full table-auto text-sm">
+                          <thead className="bg-slate-50 sticky top-0">
+                            <tr>
+                              {[
+                                "Row",
+                                "Column",
+                                "Rule",
+                                "Value",
+                                "Message",
+                              ].map((h) => (
+                                <th
+                                  key={h}
+                                  className="text-left px-3 py-2 text-xs text-slate-500 align-top"
+                                >
+                                  {h}
+                                </th>
+                              ))}
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {conversionIssues
+                              .slice(0, MAX_ISSUES_SHOWN)
+                              .map((issue, idx) => (
+                                <tr
+                                  key={idx}
+                                  className={
+                                    idx % 2 === 0 ? "bg-white" : "bg-slate-50"
+                                  }
+                                >
+                                  <td className="px-3 py-2 text-xs text-slate-700">
+                                    {issue.row}
+                                  </td>
+                                  <td className="px-3 py-2 text-xs text-slate-700">
+                                    {issue.column}
+                                  </td>
+                                  <td className="px-3 py-2 text-xs text-slate-500">
+                                    {issue.rule}
+                                  </td>
+                                  <td className="px-3 py-2 text-xs text-slate-700 break-words max-w-[16rem]">
+                                    {truncate(issue.value, 60)}
+                                  </td>
+                                  <td className="px-3 py-2 text-xs text-rose-700">
+                                    {issue.message}
+                                  </td>
+                                </tr>
+                              ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    )
+                  ) : activePreview === "changes" ? (
+                    !diffResult ? (
+                      <div className="w-full h-full flex items-center justify-center text-slate-400">
+                        <div className="text-center">
+                          <GitCompare className="w-12 h-12 mx-auto mb-2" />
+                          {previousExport
+                            ? "Choose the column to match rows on."
+                            : "Load a previous export to see what changed."}
+                        </div>
+                      </div>
+                    ) : (
+                      <div>
+                        <div className="p-2 border-b border-slate-100 text-xs text-slate-500 space-y-0.5">
+                          <div>
+                            {diffResult.added.length} added,{" "}
+                            {diffResult.removed.length} removed,{" "}
+                            {diffResult.modified.length} modified,{" "}
+                            {diffResult.unchanged} unchanged — matched on{" "}
+                            <span className="font-mono">{diffKey}</span>
+                            {diffRows.length > MAX_ISSUES_SHOWN &&
+                              ` (showing ${MAX_ISSUES_SHOWN} of ${diffRows.length} lines)`}
+                          </div>
+                          {(diffResult.missingKey.previous > 0 ||
+                            diffResult.missingKey.current > 0) && (
+                            <div className="text-amber-700">
+                              Rows without a {diffKey} are not compared:{" "}
+                              {diffResult.missingKey.previous} previous,{" "}
+                              {diffResult.missingKey.current} current
+                            </div>
+                          )}
+                          {(diffResult.duplicates.previous > 0 ||
+                            diffResult.duplicates.current > 0) && (
+                            <div className="text-amber-700">
+                              Repeated {diffKey} values (only the first row is
+                              compared): {diffResult.duplicates.previous}{" "}
+                              previous, {diffResult.duplicates.current} current
+                            </div>
+                          )}
+                        </div>
+                        {diffRows.length === 0 ? (
+                          <div className="p-6 text-center text-slate-400">
+                            <CheckCircle className="w-12 h-12 mx-auto mb-2" />
+                            No changes since the previous export.
+                          </div>
+                        ) : (
+                          <table className="min-w-full table-auto text-sm">
+                            <thead className="bg-slate-50 sticky top-0">
+                              <tr>
+                                {[
+                                  "Change",
+                                  diffKey,
+                                  "Field",
+                                  "Before",
+                                  "After",
+                                ].map((h) => (
+                                  <th
+                                    key={h}
+                                    className="text-left px-3 py-2 text-xs text-slate-500 align-top"
+                                  >
+                                    {h}
+                                  </th>
+                                ))}
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {diffRows
+                                .slice(0, MAX_ISSUES_SHOWN)
+                                .map((d, idx) => (
+                                  <tr
+                                    key={idx}
+                                    className={
+                                      idx % 2 === 0 ? "bg-white" : "bg-slate-50"
+                                    }
+                                  >
+                                    <td
+                                      className={`px-3 py-2 text-xs ${
+                                        d.change === "added"
+                                          ? "text-emerald-700"
+                                          : d.change === "removed"
+                                          ? "text-rose-700"
+                                          : "text-amber-700"
+                                      }`}
+                                    >
+                                      {d.change}
+                                    </td>
+                                    <td className="px-3 py-2 text-xs text-slate-700 font-mono">
+                                      {d.key}
+                                    </td>
+                                    <td className="px-3 py-2 text-xs text-slate-500">
+                                      {d.field}
+                                    </td>
+                                    <td className="px-3 py-2 text-xs text-slate-700 break-words max-w-[16rem]">
+                                      {truncate(d.before, 80)}
+                                    </td>
+                                    <td className="px-3 py-2 text-xs text-slate-700 break-words max-w-[16rem]">
+                                      {truncate(d.after, 80)}
+                                    </td>
+                                  </tr>
+                                ))}
+                            </tbody>
+                          </table>
+                        )}
+                      </div>
+                    )
+                  ) : (
+                    <div>
+                      {jsonData.length > JSON_PREVIEW_ENTRIES && (
+                        <div className="px-4 py-2 text-xs text-slate-500 border-b border-slate-100">
+                          Showing the first {JSON_PREVIEW_ENTRIES} of{" "}
+                          {jsonData.length} entries; the download holds all of
+                          them.
+                        </div>
+                      )}
+                      <pre className="p-4 text-xs text-slate-800 bg-white overflow-auto">
+                        {JSON.stringify(
+                          jsonData.slice(0, JSON_PREVIEW_ENTRIES),
+                          null,
+                          2
+                        )}
+                      </pre>
+                    </div>
+                  )}
+                </div>
+              )}
             </div>
           </div>
 
@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import handler from "../pages/api/convert.js";
+
+// Just enough of the Next.js response for the handler
+const call = (body) => {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    setHeader(name, value) {
+      this.headers[name] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(value) {
+      this.body = value;
+      return this;
+    },
+    send(value) {
+      this.body = value;
+      return this;
+    },
+  };
+  handler({ method: "POST", body }, res);
+  return res;
+};
+
+test("a broken mapping is a 400 invalid_mapping, not a server error", () => {
+  for (const mapping of [
+    { titlePattern: "{title" },
+    { rowFilters: { rules: "x" } },
+    { columnRules: { code: { pattern: "(" } } },
+    { lookups: { a: 1 } },
+    { lookups: [{ id: "managers", columns: "manager" }] },
+    { taxonomy: { vocabularies: [{ name: "location" }] } },
+    { taxonomy: "location" },
+    { geo: { latColumn: 1 } },
+    { route: [] },
+    { locale: { localeColumn: ["lang"] } },
+  ]) {
+    const res = call({ csv: "title,code\nMall,A1\n", mapping });
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.error.code, "invalid_mapping");
+  }
+});
+
+test("lookups sent for a broken mapping are a 400, not a server error", () => {
+  const res = call({
+    csv: "title,code\nMall,A1\n",
+    mapping: { lookups: { a: 1 } },
+    lookups: { a: "code,manager\nA1,Ana\n" },
+  });
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.error.code, "invalid_mapping");
+});
+
+test("a valid request converts", () => {
+  const res = call({ csv: "title,code\nMall,A1\n" });
+  assert.equal(res.statusCode, 200);
+  assert.equal(JSON.parse(res.body)[0].title, "Mall");
+  assert.equal(res.headers["X-Conversion-Issues"], "0");
+});
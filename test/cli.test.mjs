@@ -0,0 +1,52 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { main, EXIT } from "../bin/cli.mjs";
+
+const dir = mkdtempSync(path.join(tmpdir(), "hasp-convert-"));
+after(() => rmSync(dir, { recursive: true, force: true }));
+const write = (name, text) => {
+  const file = path.join(dir, name);
+  writeFileSync(file, text);
+  return file;
+};
+
+const run = async (argv) => {
+  let out = "";
+  let err = "";
+  const code = await main(argv, {
+    stdout: { write: (s) => (out += s) },
+    stderr: { write: (s) => (err += s) },
+  });
+  return { code, out, err };
+};
+
+const input = write("sites.csv", "title,code\nMall,A1\n");
+
+test("a broken mapping is a configuration error (exit 2)", async () => {
+  for (const mapping of [
+    { titlePattern: "{title" },
+    { columnRules: { code: { pattern: "[A-Z" } } },
+    { rowFilters: { rules: "x" } },
+    { lookups: { a: 1 } },
+    { taxonomy: { vocabularies: [{ name: "location" }] } },
+  ]) {
+    const file = write("mapping.json", JSON.stringify(mapping));
+    const { code, out, err } = await run(["-m", file, input]);
+    assert.equal(code, EXIT.usage);
+    assert.equal(out, "");
+    assert.match(err, /^hasp-convert: .*mapping\.json: /);
+  }
+});
+
+test("a valid mapping converts to stdout", async () => {
+  const file = write(
+    "mapping.json",
+    JSON.stringify({ titlePattern: "{code}" })
+  );
+  const { code, out } = await run(["-q", "-m", file, input]);
+  assert.equal(code, EXIT.ok);
+  assert.equal(JSON.parse(out)[0].title, "A1");
+});
@@ -0,0 +1,76 @@
+/**
+ * Fixture regression suite for the conversion engine.
+ *
+ * Every directory in fixtures/ holds an input.csv, an optional mapping.json
+ * and the pinned output: expected.json ({ headers, entries, issues }) and
+ * expected.csv (the CMS CSV export with the default template), or
+ * error.json ({ name, message }) for input that must be rejected.
+ *
+ * UPDATE_FIXTURES=1 npm test rewrites the expected files from the current
+ * output; review the diff before committing it.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readdirSync, readFileSync, writeFileSync, existsSync } from "node:fs";
+import { convert } from "@/lib/convert";
+import { exportConversion } from "@/lib/export";
+import { DEFAULT_EXPORT_COLUMNS } from "@/lib/templates";
+
+const FIXTURES = new URL("./fixtures/", import.meta.url);
+// batch export time for the timestamp columns
+const NOW = "2024-05-01T00:00:00.000Z";
+const UPDATE = process.env.UPDATE_FIXTURES === "1";
+
+const fixtures = readdirSync(FIXTURES, { withFileTypes: true })
+  .filter((entry) => entry.isDirectory())
+  .map((entry) => entry.name)
+  .sort();
+
+for (const name of fixtures) {
+  const file = (f) => new URL(`${name}/${f}`, FIXTURES);
+  const read = (f) => readFileSync(file(f), "utf8");
+
+  test(name, () => {
+    const input = read("input.csv");
+    const mapping = existsSync(file("mapping.json"))
+      ? JSON.parse(read("mapping.json"))
+      : {};
+
+    let result;
+    try {
+      result = convert(input, mapping);
+    } catch (err) {
+      const actual = { name: err.name, message: err.message };
+      if (UPDATE) {
+        writeFileSync(
+          file("error.json"),
+          `${JSON.stringify(actual, null, 2)}\n`
+        );
+      }
+      assert.ok(existsSync(file("error.json")), `${name} threw ${err.message}`);
+      assert.deepEqual(actual, JSON.parse(read("error.json")));
+      return;
+    }
+
+    const { headers, entries, issues } = result;
+    const { body } = exportConversion(result, {
+      format: "csv",
+      columns: DEFAULT_EXPORT_COLUMNS,
+      now: NOW,
+    });
+    if (UPDATE) {
+      writeFileSync(
+        file("expected.json"),
+        `${JSON.stringify({ headers, entries, issues }, null, 2)}\n`
+      );
+      writeFileSync(file("expected.csv"), body);
+    }
+    assert.ok(!existsSync(file("error.json")), `${name} did not throw`);
+    assert.deepEqual(
+      { headers, entries, issues },
+      JSON.parse(read("expected.json"))
+    );
+    assert.equal(body, read("expected.csv"));
+  });
+}
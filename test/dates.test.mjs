@@ -0,0 +1,95 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  compileDateFormat,
+  isValidTimeZone,
+  parseTimestamp,
+  resolveTimestamp,
+  validateTimestampSettings,
+} from "@/lib/dates";
+
+const parse = (raw, options) => parseTimestamp(raw, options).value;
+
+test("ISO-like input is read in the time zone, zoned input as-is", () => {
+  assert.equal(parse("2024-05-01"), "2024-04-30T16:00:00.000Z");
+  assert.equal(
+    parse("2024-05-01 08:30", { timeZone: "UTC" }),
+    "2024-05-01T08:30:00.000Z"
+  );
+  assert.equal(
+    parse("2024-05-01T08:30:15", { timeZone: "America/New_York" }),
+    "2024-05-01T12:30:15.000Z"
+  );
+  assert.equal(
+    parse("2024-05-01T08:30:00+02:00", { timeZone: "Asia/Manila" }),
+    "2024-05-01T06:30:00.000Z"
+  );
+  assert.deepEqual(parseTimestamp(""), { value: "", error: null });
+});
+
+test("daylight saving time is applied for the date itself", () => {
+  const options = { timeZone: "Europe/Berlin" };
+  assert.equal(parse("2024-01-15 12:00", options), "2024-01-15T11:00:00.000Z");
+  assert.equal(parse("2024-07-15 12:00", options), "2024-07-15T10:00:00.000Z");
+});
+
+test("formats read day-first, month names and 12-hour clocks", () => {
+  const options = (format) => ({ format, timeZone: "UTC" });
+  assert.equal(
+    parse("31/01/2024", options("DD/MM/YYYY")),
+    "2024-01-31T00:00:00.000Z"
+  );
+  assert.equal(
+    parse("Sep 5, 24 7:05 PM", options("MMM D, YY h:mm A")),
+    "2024-09-05T19:05:00.000Z"
+  );
+  assert.equal(
+    parse("Sept 1 2024", options("MMMM D YYYY")),
+    "2024-09-01T00:00:00.000Z"
+  );
+});
+
+test("impossible or mismatched dates are errors", () => {
+  assert.deepEqual(parseTimestamp("2024-02-30"), {
+    value: "",
+    error: '"2024-02-30" does not match YYYY-MM-DD HH:mm:ss',
+  });
+  assert.match(
+    parseTimestamp("01/31/2024", { format: "DD/MM/YYYY" }).error,
+    /does not match DD\/MM\/YYYY/
+  );
+  assert.ok(parseTimestamp("2024-05-01 24:00").error);
+  assert.throws(() => compileDateFormat("DD/MM"));
+});
+
+test("time zones and timestamp settings are checked", () => {
+  assert.equal(isValidTimeZone("Asia/Manila"), true);
+  assert.equal(isValidTimeZone("Mars/Olympus"), false);
+  assert.deepEqual(validateTimestampSettings({ mode: "batch" }), []);
+  assert.deepEqual(
+    validateTimestampSettings({ mode: "fixed", timeZone: "Mars/Olympus" }),
+    ['Unknown time zone "Mars/Olympus"']
+  );
+  assert.deepEqual(validateTimestampSettings({ mode: "column" }), [
+    "Choose a source column",
+  ]);
+});
+
+test("timestamps come from the export time, a fixed date or a column", () => {
+  const now = "2024-06-01T00:00:00.000Z";
+  const row = { opened: "2024-05-01 09:00" };
+  assert.deepEqual(resolveTimestamp({}, row, now), { value: now, error: null });
+  assert.equal(
+    resolveTimestamp({ mode: "fixed", date: "2024-05-01T08:30" }, row, now)
+      .value,
+    "2024-05-01T00:30:00.000Z"
+  );
+  assert.equal(
+    resolveTimestamp(
+      { mode: "column", column: "opened", timeZone: "UTC" },
+      row,
+      now
+    ).value,
+    "2024-05-01T09:00:00.000Z"
+  );
+});
@@ -0,0 +1,90 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { diffExports, guessDiffKey, parsePreviousExport } from "@/lib/diff";
+
+const entry = (title, code, extra = {}) => ({
+  title,
+  content: "",
+  data: { main: { location_code: code, ...extra } },
+});
+
+const previous = parsePreviousExport(
+  [
+    "title,content,data,route_url,published_at",
+    'Mall,,"{""main"":{""location_code"":""A1"",""floors"":3}}",/mall,2024-01-01',
+    'Depot,,"{""main"":{""location_code"":""A2"",""floors"":1}}",/depot,2024-01-01',
+    'Park,,"{""main"":{""location_code"":""A3"",""floors"":0}}",/park,2024-01-01',
+  ].join("\n"),
+  "previous.csv"
+);
+
+test("previous CSV exports unpack the data column", () => {
+  assert.deepEqual(previous.rows[0], {
+    title: "Mall",
+    content: "",
+    location_code: "A1",
+    floors: 3,
+    route_url: "/mall",
+    published_at: "2024-01-01",
+  });
+  assert.equal(guessDiffKey(previous.columns), "location_code");
+  assert.equal(guessDiffKey(["title", "content"]), "title");
+});
+
+test("rows are classified as added, modified, removed or unchanged", () => {
+  const result = diffExports(
+    previous.rows,
+    [
+      entry("Mall", "A1", { floors: 3 }),
+      entry("Depot North", "A2", { floors: 1 }),
+      entry("Plaza", "A4", { floors: 2 }),
+    ],
+    "location_code"
+  );
+  assert.deepEqual(result.added, [{ key: "A4", row: 3 }]);
+  assert.deepEqual(result.modified, [
+    {
+      key: "A2",
+      row: 2,
+      changes: [{ field: "title", before: "Depot", after: "Depot North" }],
+    },
+  ]);
+  assert.deepEqual(
+    result.removed.map((r) => r.key),
+    ["A3"]
+  );
+  assert.equal(result.unchanged, 1);
+  assert.deepEqual(Array.from(result.changedRows), [2, 3]);
+});
+
+test("ignored fields, missing and duplicate keys are not changes", () => {
+  const prior = parsePreviousExport(
+    JSON.stringify([
+      entry("Mall", "A1", { published_at: "2024-01-01" }),
+      entry("No code", ""),
+    ]),
+    "previous.json"
+  );
+  const result = diffExports(
+    prior.rows,
+    [
+      entry("Mall", "A1", { published_at: "2024-06-01" }),
+      entry("Mall copy", "A1"),
+    ],
+    "location_code"
+  );
+  assert.equal(result.unchanged, 1);
+  assert.deepEqual(result.modified, []);
+  assert.deepEqual(result.missingKey, { previous: 1, current: 0 });
+  assert.deepEqual(result.duplicates, { previous: 0, current: 1 });
+});
+
+test("unreadable previous exports are DiffErrors", () => {
+  assert.throws(() => parsePreviousExport("[oops", "x.json"), {
+    name: "DiffError",
+  });
+  assert.throws(() => parsePreviousExport('{"a":1}'), {
+    name: "DiffError",
+    message: "Previous JSON export must be an array of entries.",
+  });
+});
@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createConverter } from "@/lib/convert";
+import { gridColumns, gridColumnHeader } from "@/lib/grid";
+
+const run = (records, mapping, edits) => {
+  const issues = [];
+  const converter = createConverter(mapping, {
+    edits,
+    onIssue: (issue) => issues.push(issue),
+  });
+  const entries = records.map((r) => converter.push(r)).filter(Boolean);
+  return { entries, issues };
+};
+
+const records = [
+  ["title", "content", "pop"],
+  ["Plaza", "a", "10"],
+  ["Mall", "b", "x"],
+];
+const mapping = {
+  columnTypes: { pop: "number" },
+  columnRules: { pop: { required: true } },
+};
+
+test("edited values are validated and coerced like source values", () => {
+  const before = run(records, mapping, {});
+  assert.deepEqual(
+    before.issues.map((i) => [i.row, i.rule]),
+    [[2, "type"]]
+  );
+  const { entries, issues } = run(records, mapping, {
+    1: { pop: "" },
+    2: { pop: "7", content: "edited" },
+  });
+  assert.deepEqual(
+    issues.map((i) => [i.row, i.rule]),
+    [[1, "required"]]
+  );
+  assert.equal(entries[1].data.main.pop, 7);
+  assert.equal(entries[1].content, "edited");
+});
+
+test("title edits replace the generated title and are de-duplicated", () => {
+  const { entries } = run(records, mapping, { 2: { title: "Plaza" } });
+  assert.deepEqual(
+    entries.map((e) => e.title),
+    ["Plaza", "Plaza-1"]
+  );
+});
+
+test("grid columns map back to their source headers", () => {
+  const sections = [
+    { id: "main", name: "main" },
+    { id: "s2", name: "stats" },
+  ];
+  const conversion = {
+    headers: ["title", "content", "pop", "code"],
+    sections,
+    columnMap: { pop: "s2" },
+    columnKeys: { pop: "population" },
+  };
+  const columns = gridColumns(
+    [{ data: { main: { code: "A" }, stats: { population: 1 } } }],
+    ["main", "stats"]
+  );
+  assert.deepEqual(
+    columns.map((col) => gridColumnHeader(col, conversion)),
+    ["title", "content", null, "code", "pop"]
+  );
+  assert.equal(
+    gridColumnHeader(columns[1], { ...conversion, headers: ["title"] }),
+    null
+  );
+});
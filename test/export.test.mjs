@@ -0,0 +1,83 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { convert } from "@/lib/convert";
+import {
+  csvEscape,
+  applyExportPolicy,
+  buildJSONExport,
+  exportConversion,
+} from "@/lib/export";
+import { DEFAULT_EXPORT_COLUMNS } from "@/lib/templates";
+
+const NOW = "2024-05-01T00:00:00.000Z";
+
+test("csvEscape quotes every value and doubles quotes", () => {
+  assert.equal(csvEscape('a "b", c'), '"a ""b"", c"');
+  assert.equal(csvEscape(null), '""');
+  assert.equal(csvEscape(undefined), '""');
+  assert.equal(csvEscape(0), '"0"');
+  assert.equal(csvEscape("line\nbreak"), '"line\nbreak"');
+});
+
+test("applyExportPolicy skips or blocks rows with issues", () => {
+  const entries = ["a", "b", "c"];
+  const issues = [{ row: 2, column: "x", rule: "required" }];
+  assert.deepEqual(applyExportPolicy(entries, issues, "allow"), entries);
+  assert.deepEqual(applyExportPolicy(entries, issues, "skip"), ["a", "c"]);
+  assert.throws(() => applyExportPolicy(entries, issues, "block"), {
+    name: "ExportError",
+    code: "validation_failed",
+  });
+  assert.deepEqual(applyExportPolicy(entries, [], "block"), entries);
+});
+
+test("JSON export is the entries, indented by two spaces", () => {
+  const result = convert("title,content\nA,x\n", {});
+  assert.equal(
+    exportConversion(result, { format: "json", now: NOW }).body,
+    '[\n  {\n    "title": "A",\n    "content": "x",\n    "data": {\n      "main": {}\n    }\n  }\n]'
+  );
+});
+
+test("JSON export nests translations of locale-suffixed columns", () => {
+  const result = convert("title,content,title_fil\nHello,x,Kumusta\n", {
+    locale: { mode: "suffix", defaultLocale: "en", locales: "fil" },
+  });
+  const [entry] = JSON.parse(
+    buildJSONExport(result.entries, {
+      headers: result.headers,
+      ...result.mapping,
+    })
+  );
+  assert.equal(entry.locale, "en");
+  assert.equal(entry.translation_group, "hello");
+  assert.equal(entry.translations.fil.title, "Kumusta");
+  assert.deepEqual(entry.data.main, {});
+});
+
+test("duplicate routes fail the CSV export when configured", () => {
+  const result = convert("title,content\nA,x\nB,x\n", {
+    route: { pattern: "{content}", duplicates: "fail" },
+  });
+  assert.throws(
+    () =>
+      exportConversion(result, {
+        format: "csv",
+        columns: DEFAULT_EXPORT_COLUMNS,
+        now: NOW,
+      }),
+    { name: "ExportError", code: "duplicate_routes" }
+  );
+});
+
+test("broken patterns are reported before exporting", () => {
+  const result = convert("title,content\nA,x\n", {
+    route: { pattern: "{content" },
+  });
+  assert.throws(
+    () => exportConversion(result, { format: "json", now: NOW }),
+    (err) =>
+      err.code === "invalid_config" &&
+      err.details[0].startsWith("Route pattern error:")
+  );
+});
@@ -0,0 +1,107 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { convert } from "@/lib/convert";
+import {
+  createRowFilter,
+  getFilterProblems,
+  countExcluded,
+} from "@/lib/filters";
+
+const headers = ["title", "is_active", "site_classification", "lat", "pop"];
+const rule = (id, match, conditions) => ({ id, name: "", match, conditions });
+const excludedBy = (rules, row) =>
+  createRowFilter({ rules }, headers)({ ...row });
+
+test("operators compare trimmed text ignoring case", () => {
+  const rules = [
+    rule("inactive", "all", [
+      { column: "is_active", operator: "eq", value: "false" },
+    ]),
+    rule("test", "all", [
+      {
+        column: "site_classification",
+        operator: "in",
+        value: "[Test, Demo]",
+      },
+    ]),
+    rule("nolat", "all", [{ column: "lat", operator: "empty" }]),
+  ];
+  assert.deepEqual(excludedBy(rules, { is_active: " FALSE ", lat: "1" }), [
+    "inactive",
+  ]);
+  assert.deepEqual(
+    excludedBy(rules, { site_classification: "demo", lat: "" }),
+    ["test", "nolat"]
+  );
+  assert.deepEqual(excludedBy(rules, { is_active: "true", lat: "14.5" }), []);
+});
+
+test("rules combine their conditions with AND or OR", () => {
+  const conditions = [
+    { column: "pop", operator: "lt", value: "10" },
+    { column: "title", operator: "contains", value: "demo" },
+  ];
+  const row = { title: "Demo site", pop: "50" };
+  assert.deepEqual(excludedBy([rule("r", "all", conditions)], row), []);
+  assert.deepEqual(excludedBy([rule("r", "any", conditions)], row), ["r"]);
+});
+
+test("incomplete conditions and unknown columns are ignored", () => {
+  assert.equal(
+    createRowFilter(
+      {
+        rules: [
+          rule("a", "all", [{ column: "", operator: "eq", value: "x" }]),
+          rule("b", "all", [{ column: "gone", operator: "empty" }]),
+          rule("c", "all", [{ column: "lat", operator: "eq", value: "" }]),
+        ],
+      },
+      headers
+    ),
+    null
+  );
+  assert.deepEqual(
+    getFilterProblems(
+      {
+        rules: [
+          rule("a", "all", []),
+          rule("b", "any", [
+            { column: "gone", operator: "empty" },
+            { column: "pop", operator: "gt", value: "many" },
+          ]),
+        ],
+      },
+      headers
+    ),
+    [
+      "Rule 1: add a condition.",
+      'Rule 2, condition 1: column "gone" is not in the file.',
+      'Rule 2, condition 2: "many" is not a number.',
+    ]
+  );
+});
+
+test("excluded rows are left out before validation and numbering", () => {
+  const result = convert(
+    "title,is_active,pop\nA,true,1\nB,false,\nA,true,x\n",
+    {
+      columnRules: { pop: { required: true } },
+      rowFilters: {
+        rules: [
+          rule("inactive", "all", [
+            { column: "is_active", operator: "eq", value: "false" },
+          ]),
+        ],
+      },
+    }
+  );
+  assert.deepEqual(
+    result.entries.map((e) => e.title),
+    ["A", "A-1"]
+  );
+  assert.deepEqual(result.excluded, [
+    { row: 2, values: ["B", "false", ""], rules: ["inactive"] },
+  ]);
+  assert.deepEqual(result.issues, []);
+  assert.deepEqual(countExcluded(result.excluded), { inactive: 1 });
+});
@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  gridColumns,
+  gridColumnGroups,
+  buildGridRows,
+  filterGridRows,
+  sortGridRows,
+} from "@/lib/grid";
+
+const entries = [
+  {
+    title: "Plaza",
+    content: "x",
+    data: { main: { pop: 10 }, geo: { lat: 1 } },
+  },
+  { title: "Mall", content: "x", data: { main: { pop: 9, code: "B2" } } },
+  { title: "Park", content: "y", data: { main: { pop: "" } } },
+];
+const columns = gridColumns(entries, ["main", "geo"]);
+const rows = buildGridRows(entries, columns, ["/x/plaza", "/x/mall"]);
+const column = (key) => columns.findIndex((c) => c.key === key);
+
+test("columns are grouped by section, base fields first", () => {
+  assert.deepEqual(
+    columns.map((c) => [c.group, c.key]),
+    [
+      [null, "title"],
+      [null, "content"],
+      [null, "route_url"],
+      ["main", "pop"],
+      ["main", "code"],
+      ["geo", "lat"],
+    ]
+  );
+  assert.deepEqual(gridColumnGroups(columns), [
+    { group: null, span: 3 },
+    { group: "main", span: 2 },
+    { group: "geo", span: 1 },
+  ]);
+  assert.equal(rows[0].text[column("route_url")], "/x/plaza");
+  assert.equal(rows[2].text[column("route_url")], "");
+});
+
+test("search and column filters match case-insensitive substrings", () => {
+  const rowsOf = (options) =>
+    filterGridRows(rows, columns, options).map((r) => r.row);
+  assert.deepEqual(rowsOf({ search: "MALL" }), [2]);
+  assert.deepEqual(rowsOf({ filters: { content: "x" } }), [1, 2]);
+  assert.deepEqual(rowsOf({ search: "p", filters: { content: "y" } }), [3]);
+  assert.equal(filterGridRows(rows, columns, { search: " " }), rows);
+});
+
+test("sorting is numeric for numbers and keeps empty cells last", () => {
+  const order = (key, direction) =>
+    sortGridRows(rows, column(key), direction).map((r) => r.row);
+  assert.deepEqual(order("pop", "asc"), [2, 1, 3]);
+  assert.deepEqual(order("pop", "desc"), [1, 2, 3]);
+  assert.deepEqual(order("title", "asc"), [2, 3, 1]);
+});
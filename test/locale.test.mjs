@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { groupTranslations } from "@/lib/locale";
+import { convert } from "@/lib/convert";
+import { exportConversion } from "@/lib/export";
+import { DEFAULT_EXPORT_COLUMNS } from "@/lib/templates";
+
+const NOW = "2024-05-01T00:00:00.000Z";
+
+const entry = (title, lang, group) => ({
+  title,
+  content: "",
+  data: { main: { lang, group } },
+});
+
+test("a second row for a group's locale is kept as its own entry", () => {
+  const { groups, issues } = groupTranslations(
+    [
+      entry("Mall", "en", "g1"),
+      entry("Tindahan", "fil", "g1"),
+      entry("Mall (copy)", "en", "g1"),
+    ],
+    {
+      mode: "column",
+      defaultLocale: "en",
+      locales: "fil",
+      localeColumn: "lang",
+      groupColumn: "group",
+    },
+    { headers: ["title", "content", "lang", "group"] }
+  );
+  assert.deepEqual(
+    groups.map((g) => [
+      g.key,
+      g.row,
+      g.variants.map((v) => `${v.locale}:${v.entry.title}`),
+    ]),
+    [
+      ["g1", 1, ["en:Mall", "fil:Tindahan"]],
+      ["", 3, ["en:Mall (copy)"]],
+    ]
+  );
+  assert.deepEqual(
+    issues.map((i) => [i.row, i.rule]),
+    [[3, "translation-duplicate"]]
+  );
+});
+
+test("column mode only de-duplicates titles within one locale", () => {
+  const result = convert(
+    "title,lang,group\nMakati Branch,en,g1\nMakati Branch,fil,g1\nMakati Branch,en,g2\n",
+    {
+      locale: {
+        mode: "column",
+        locales: "fil",
+        localeColumn: "lang",
+        groupColumn: "group",
+      },
+      route: { pattern: "site/{title}" },
+    }
+  );
+  assert.deepEqual(
+    result.entries.map((e) => e.title),
+    ["Makati Branch", "Makati Branch", "Makati Branch-1"]
+  );
+  const [first] = JSON.parse(
+    exportConversion(result, { format: "json", now: NOW }).body
+  );
+  assert.equal(first.translations.fil.title, "Makati Branch");
+  const csv = exportConversion(result, {
+    format: "csv",
+    columns: DEFAULT_EXPORT_COLUMNS,
+    now: NOW,
+  }).body;
+  assert.match(csv, /"\/fil\/site\/makati-branch"/);
+  assert.doesNotMatch(csv, /\/fil\/site\/makati-branch-1/);
+});
@@ -0,0 +1,167 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createLookupJoiner, planLookups } from "@/lib/lookup";
+import { convert, inferSampleTypes, readLookupCSV } from "@/lib/convert";
+
+const managers = readLookupCSV(
+  "Location_Code;Manager;Region\nLOC-1;Ana;NCR\nloc-2;Ben;VII\nLOC-1;Duplicate;X\n"
+);
+const lookup = {
+  id: "managers",
+  name: "Region managers",
+  sourceKey: "location_code",
+  lookupKey: "location_code",
+  columns: ["manager", "region"],
+  prefix: "",
+};
+
+test("reference CSVs are read with their dialect detected", () => {
+  assert.deepEqual(managers.headers, ["location_code", "manager", "region"]);
+  assert.equal(managers.records.length, 3);
+});
+
+test("keys match ignoring case and spaces; the first reference row wins", () => {
+  const joiner = createLookupJoiner([lookup], { managers }, [
+    "title",
+    "location_code",
+  ]);
+  assert.deepEqual(joiner.headers, [
+    "title",
+    "location_code",
+    "manager",
+    "region",
+  ]);
+  assert.deepEqual(joiner.join(["A", " loc-1 "]), {
+    values: ["A", " loc-1 ", "Ana", "NCR"],
+    unmatched: [],
+  });
+  assert.deepEqual(joiner.join(["B", "LOC-9"]), {
+    values: ["B", "LOC-9", "", ""],
+    unmatched: [{ lookup: "managers", key: "LOC-9" }],
+  });
+  assert.deepEqual(joiner.join(["C"]).unmatched, [
+    { lookup: "managers", key: "" },
+  ]);
+});
+
+test("later lookups join on columns earlier ones added", () => {
+  const regions = readLookupCSV("region,director\nNCR,Cruz\n");
+  const plan = planLookups(
+    [
+      lookup,
+      {
+        id: "regions",
+        sourceKey: "region",
+        lookupKey: "region",
+        columns: ["director"],
+        prefix: "region_",
+      },
+    ],
+    { managers, regions },
+    ["location_code"]
+  );
+  assert.deepEqual(plan.problems, []);
+  assert.deepEqual(plan.headers, [
+    "location_code",
+    "manager",
+    "region",
+    "region_director",
+  ]);
+});
+
+test("missing tables, keys and clashing columns are problems", () => {
+  const { headers, problems } = planLookups(
+    [
+      lookup,
+      { ...lookup, id: "again", name: "" },
+      { ...lookup, id: "gone", name: "Parking" },
+    ],
+    { managers, again: managers },
+    ["location_code", "manager"]
+  );
+  assert.deepEqual(headers, ["location_code", "manager", "region"]);
+  assert.deepEqual(problems, [
+    'Region managers: column "manager" already exists; set a prefix.',
+    'Lookup 2: column "manager" already exists; set a prefix.',
+    'Lookup 2: column "region" already exists; set a prefix.',
+    "Parking: no reference CSV loaded.",
+  ]);
+});
+
+test("lookup columns are assigned, filtered and reported like native ones", () => {
+  const { entries, unmatched, excluded, headers } = convert(
+    "title,location_code\nMall,LOC-1\nDepot,LOC-9\nPark,loc-2\n",
+    {
+      lookups: [lookup],
+      lookupTables: { managers },
+      sections: [
+        { id: "main", name: "main" },
+        { id: "contact", name: "contact" },
+      ],
+      columnMap: { manager: "contact" },
+      rowFilters: {
+        rules: [
+          {
+            id: "visayas",
+            match: "all",
+            conditions: [{ column: "region", operator: "eq", value: "vii" }],
+          },
+        ],
+      },
+    }
+  );
+  assert.deepEqual(headers, ["title", "location_code", "manager", "region"]);
+  assert.deepEqual(
+    entries.map((e) => e.data),
+    [
+      {
+        main: { location_code: "LOC-1", region: "NCR" },
+        contact: { manager: "Ana" },
+      },
+      {
+        main: { location_code: "LOC-9", region: "" },
+        contact: { manager: "" },
+      },
+    ]
+  );
+  assert.deepEqual(
+    excluded.map((r) => r.row),
+    [3]
+  );
+  assert.deepEqual(unmatched, [{ row: 2, lookup: "managers", key: "LOC-9" }]);
+});
+
+test("a lookup without its reference table fails the conversion", () => {
+  assert.throws(
+    () =>
+      convert("title,location_code\nA,LOC-1\n", {
+        lookups: [lookup],
+      }),
+    {
+      name: "ConvertError",
+      code: "invalid_mapping",
+      message: "Region managers: no reference CSV loaded.",
+    }
+  );
+});
+
+test("lookup columns are typed by the reference rows the sample joins to", () => {
+  const ranks = readLookupCSV("code,rank\nA1,1\nZ9,n/a\n");
+  const rankLookup = {
+    id: "ranks",
+    sourceKey: "code",
+    lookupKey: "code",
+    columns: ["rank"],
+    prefix: "",
+  };
+  const joiner = createLookupJoiner([rankLookup], { ranks }, ["title", "code"]);
+  assert.deepEqual(
+    inferSampleTypes([["Mall", "A1"]], ["title", "code"], joiner),
+    { title: "string", code: "string", rank: "integer" }
+  );
+  const { entries } = convert("title,code\nMall,A1\n", {
+    lookups: [rankLookup],
+    lookupTables: { ranks },
+  });
+  assert.equal(entries[0].data.main.rank, 1);
+});
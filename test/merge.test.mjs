@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mergeHeaders, createRecordAligner } from "@/lib/merge";
+
+test("headers are merged by name in first-seen order", () => {
+  const { headers, files } = mergeHeaders([
+    { name: "north.csv", header: ["Title", "City", "Pop"] },
+    { name: "south.csv", header: ["pop", " title ", "Region"] },
+  ]);
+  assert.deepEqual(headers, ["title", "city", "pop", "region", "source_file"]);
+  assert.deepEqual(
+    files.map(({ name, missing, extra }) => ({ name, missing, extra })),
+    [
+      { name: "north.csv", missing: ["region"], extra: [] },
+      { name: "south.csv", missing: ["city"], extra: ["region"] },
+    ]
+  );
+});
+
+test("records are aligned to the merged header, never shifted", () => {
+  const headers = ["title", "city", "pop", "region", "source_file"];
+  const align = createRecordAligner(
+    ["pop", "title", "region"],
+    headers,
+    "south.csv"
+  );
+  assert.deepEqual(align(["12", "Mall", "R7"]), [
+    "Mall",
+    "",
+    "12",
+    "R7",
+    "south.csv",
+  ]);
+  // short records leave the missing cells empty
+  assert.deepEqual(align(["3"]), ["", "", "3", "", "south.csv"]);
+});
+
+test("a file's own source_file column is kept", () => {
+  const { headers } = mergeHeaders([
+    { name: "a.csv", header: ["title", "source_file"] },
+    { name: "b.csv", header: ["title"] },
+  ]);
+  assert.deepEqual(headers, ["title", "source_file"]);
+  const own = createRecordAligner(["title", "source_file"], headers, "a.csv");
+  assert.deepEqual(own(["A", "legacy"]), ["A", "legacy"]);
+  const other = createRecordAligner(["title"], headers, "b.csv");
+  assert.deepEqual(other(["B"]), ["B", "b.csv"]);
+});
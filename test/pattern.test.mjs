@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildTitleFromPattern,
+  getPatternError,
+  migrateLegacyPattern,
+} from "@/lib/pattern";
+import { normalizeProfile } from "@/lib/profiles";
+import { slugify } from "@/lib/slug";
+
+const headers = ["name", "city", "code"];
+const build = (pattern, row, index = 1, options) =>
+  buildTitleFromPattern(pattern, row, headers, index, options);
+
+test("tokens, filters and the row index", () => {
+  const row = { name: "  Main Plaza ", city: "Makati", code: "7" };
+  assert.equal(build("{name|trim} - {city|upper}", row), "Main Plaza - MAKATI");
+  assert.equal(build("{code|pad:3}-{index}", row, 4), "007-4");
+  assert.equal(build("{name|slug}", row), "main-plaza");
+});
+
+test("fallbacks and conditional segments", () => {
+  const row = { name: "", city: "Pasig", code: "" };
+  assert.equal(build('{name ?? city ?? "none"}', row), "Pasig");
+  assert.equal(build('{code ?? "none"}', row), "none");
+  assert.equal(build("Site[ {code}]", row), "Site");
+});
+
+test("pattern errors", () => {
+  assert.equal(getPatternError("{name}"), null);
+  assert.match(getPatternError("{name"), /Unclosed/);
+  assert.match(getPatternError("{name|replace:}"), /needs text to find/);
+});
+
+test("legacy patterns keep their brackets and backslashes as text", () => {
+  const row = { name: "Makati", city: "", code: "A01" };
+  for (const [legacy, title] of [
+    ["[{code}] {name}", "[A01] Makati"],
+    ["{name} [draft]", "Makati [draft]"],
+    ["{name} \\ {code} {}", "Makati \\ A01 {}"],
+  ]) {
+    assert.equal(build(migrateLegacyPattern(legacy), row), title);
+  }
+});
+
+test("version 1 profiles get their title pattern migrated", () => {
+  const profile = (version) =>
+    normalizeProfile({
+      version,
+      name: "Sites",
+      headers: ["name"],
+      mapping: {
+        sections: [{ id: "main", name: "main" }],
+        titlePattern: "[{code}]",
+      },
+    });
+  assert.equal(profile(undefined).mapping.titlePattern, "\\[{code}\\]");
+  assert.equal(profile(1).mapping.titlePattern, "\\[{code}\\]");
+  assert.equal(profile(2).mapping.titlePattern, "[{code}]");
+});
+
+test("slugify folds accents, transliterates and limits length", () => {
+  assert.equal(slugify("Café Ñoño"), "cafe-nono");
+  assert.equal(slugify("Straße & Co"), "strasse-and-co");
+  assert.equal(slugify("Barangay's Hall"), "barangays-hall");
+  assert.equal(
+    slugify("the hall of the city", { stopWords: "the, of" }),
+    "hall-city"
+  );
+  assert.equal(slugify("alpha beta gamma", { maxLength: 12 }), "alpha-beta");
+});
@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildRoutes, formatRoute } from "@/lib/route";
+
+test("routes are cut to maxLength, suffix and trailing slash included", () => {
+  const config = { maxLength: 12, trailingSlash: true };
+  assert.equal(formatRoute("Main Plaza/North Wing", config), "/main-plaza/");
+  assert.equal(
+    formatRoute("Main Plaza/North Wing", config, "-2"),
+    "/main-pla-2/"
+  );
+  assert.equal(formatRoute("Mall", config, "-2"), "/mall-2/");
+  assert.equal(formatRoute("Mall", { maxLength: "" }, "-2"), "/mall-2");
+});
+
+test("limits too small for the suffix never exceed maxLength", () => {
+  for (let maxLength = 1; maxLength <= 5; maxLength++) {
+    for (const trailingSlash of [false, true]) {
+      for (const suffix of ["", "-2", "-10"]) {
+        const route = formatRoute(
+          "Plaza",
+          { maxLength, trailingSlash },
+          suffix
+        );
+        assert.ok(route.length <= maxLength, `${route} > ${maxLength}`);
+        assert.doesNotMatch(route, /^\/-/);
+      }
+    }
+  }
+  assert.equal(formatRoute("Plaza", { maxLength: 2 }, "-2"), "/");
+  assert.equal(formatRoute("Plaza", { maxLength: 4 }, "-2"), "/p-2");
+  assert.equal(formatRoute("", { maxLength: 4 }, "-2"), "/");
+});
+
+test("duplicates that cannot take a suffix are reported", () => {
+  const rows = ["Plaza", "Plaza", "Plaza"].map((title) => ({ title }));
+  const build = (maxLength) =>
+    buildRoutes(
+      rows,
+      { pattern: "{title}", maxLength, duplicates: "suffix" },
+      {
+        toRow: (row) => row,
+        headers: ["title"],
+      }
+    );
+
+  const roomy = build(6);
+  assert.deepEqual(roomy.routes, ["/plaza", "/pla-2", "/pla-3"]);
+  assert.deepEqual(roomy.issues, []);
+
+  const tiny = build(2);
+  assert.deepEqual(tiny.routes, ["/p", "/p", "/p"]);
+  assert.deepEqual(
+    tiny.issues.map((i) => [i.row, i.rule, i.message]),
+    [
+      [2, "route-duplicate", "Same route as row 1"],
+      [3, "route-duplicate", "Same route as row 1"],
+    ]
+  );
+});
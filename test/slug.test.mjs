@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { slugify } from "@/lib/slug";
+import { buildRoutes } from "@/lib/route";
+
+test("diacritics and special letters are transliterated", () => {
+  assert.equal(slugify("Parañaque"), "paranaque");
+  assert.equal(slugify("Las Piñas City"), "las-pinas-city");
+  assert.equal(slugify("Straße Øresund Łódź"), "strasse-oresund-lodz");
+  assert.equal(
+    slugify("Mang Inasal & Jollibee's"),
+    "mang-inasal-and-jollibees"
+  );
+  assert.equal(slugify("  --Main  /  Plaza--  "), "main-plaza");
+  // other scripts are kept as they are
+  assert.equal(slugify("서울 Branch"), "서울-branch");
+});
+
+test("stop words and maxLength shorten the slug", () => {
+  assert.equal(
+    slugify("The Mall of the East", { stopWords: "the, of" }),
+    "mall-east"
+  );
+  // only stop words: kept rather than an empty slug
+  assert.equal(slugify("The Of", { stopWords: "the, of" }), "the-of");
+  assert.equal(
+    slugify("Robinsons Place Manila", { maxLength: 16 }),
+    "robinsons-place"
+  );
+  assert.equal(slugify("Supercalifragilistic", { maxLength: 5 }), "super");
+});
+
+test("titles that slug alike collide in routes", () => {
+  const rows = ["Parañaque", "Paranaque", "PARAÑAQUE!"].map((title) => ({
+    title,
+  }));
+  const build = (duplicates) =>
+    buildRoutes(
+      rows,
+      { pattern: "{title}", duplicates },
+      {
+        toRow: (row) => row,
+        headers: ["title"],
+      }
+    );
+
+  const reported = build("report");
+  assert.deepEqual(reported.routes, ["/paranaque", "/paranaque", "/paranaque"]);
+  assert.deepEqual(
+    reported.issues.map((i) => i.row),
+    [2, 3]
+  );
+  assert.deepEqual(build("suffix").routes, [
+    "/paranaque",
+    "/paranaque-2",
+    "/paranaque-3",
+  ]);
+});
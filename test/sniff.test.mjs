@@ -0,0 +1,17 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { detectDialect } from "@/lib/sniff";
+
+test("a stray double quote does not make the single quote win", () => {
+  assert.deepEqual(detectDialect('title,content\nab"c,x\n"Plaza, Main",y'), {
+    delimiter: ",",
+    quote: '"',
+  });
+});
+
+test("single quotes are detected when they wrap fields", () => {
+  assert.deepEqual(
+    detectDialect("title;content\n'Plaza; Main';y\n'it''s';z\n"),
+    { delimiter: ";", quote: "'" }
+  );
+});
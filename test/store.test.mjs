@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createStoredList, upsertByName } from "@/lib/store";
+
+test("stored lists drop items the normalizer rejects and notify on save", () => {
+  const items = { "test:list": JSON.stringify([{ name: "a" }, { bad: 1 }]) };
+  globalThis.window = {
+    localStorage: {
+      getItem: (key) => items[key] ?? null,
+      setItem: (key, value) => (items[key] = value),
+    },
+    addEventListener() {},
+    removeEventListener() {},
+  };
+  try {
+    const store = createStoredList("test:list", (item) => {
+      if (typeof item.name !== "string") throw new Error("no name");
+      return { name: item.name };
+    });
+    assert.deepEqual(store.getSnapshot(), [{ name: "a" }]);
+    assert.equal(store.getSnapshot(), store.getSnapshot());
+
+    let calls = 0;
+    const unsubscribe = store.subscribe(() => calls++);
+    const next = upsertByName(store.getSnapshot(), { name: "B" });
+    store.save(upsertByName(next, { name: "A" }));
+    unsubscribe();
+    assert.equal(calls, 1);
+    assert.deepEqual(store.getSnapshot(), [{ name: "A" }, { name: "B" }]);
+    assert.deepEqual(JSON.parse(items["test:list"]), store.getSnapshot());
+  } finally {
+    delete globalThis.window;
+  }
+});
@@ -0,0 +1,95 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_TAXONOMY_CONFIG,
+  buildTaxonomyTerms,
+  formatTaxonomyTerms,
+  guessTaxonomyConfig,
+  summarizeTaxonomy,
+} from "@/lib/taxonomy";
+import { resolveGeoAndTaxonomy } from "@/lib/convert";
+
+const location = {
+  ...DEFAULT_TAXONOMY_CONFIG,
+  vocabularies: [
+    {
+      name: "location",
+      columns: ["region", "province", "city"],
+      hierarchical: true,
+    },
+    { name: "tags", columns: ["tag_1", "tag_2"], hierarchical: false },
+  ],
+};
+
+test("location columns are matched by name, in hierarchy order", () => {
+  assert.deepEqual(
+    guessTaxonomyConfig(["title", "city/municipality", "region", "code"])
+      .vocabularies,
+    [
+      {
+        name: "location",
+        columns: ["region", "city/municipality"],
+        hierarchical: true,
+      },
+    ]
+  );
+  assert.deepEqual(guessTaxonomyConfig(["title", "code"]).vocabularies, []);
+});
+
+test("mappings saved without taxonomy get the guessed vocabulary", () => {
+  const headers = ["title", "region", "city"];
+  assert.deepEqual(
+    resolveGeoAndTaxonomy({}, headers).taxonomy,
+    guessTaxonomyConfig(headers)
+  );
+  assert.deepEqual(
+    resolveGeoAndTaxonomy({ taxonomy: { vocabularies: [] } }, headers).taxonomy
+      .vocabularies,
+    []
+  );
+});
+
+test("missing levels and empty columns give no terms", () => {
+  const row = { region: "NCR", province: "", city: "Makati", tag_1: "Mall" };
+  assert.deepEqual(buildTaxonomyTerms(row, location), [
+    { vocabulary: "location", path: ["NCR", "Makati"] },
+    { vocabulary: "tags", path: ["Mall"] },
+  ]);
+  assert.deepEqual(
+    buildTaxonomyTerms({ region: " ", tag_2: "" }, location),
+    []
+  );
+  assert.equal(formatTaxonomyTerms([], location), "");
+});
+
+test("ancestors and both output formats", () => {
+  const config = { ...location, includeAncestors: true };
+  const terms = buildTaxonomyTerms(
+    { region: "NCR", province: "Metro Manila", city: "Makati" },
+    config
+  );
+  assert.equal(
+    formatTaxonomyTerms(terms, config),
+    "location:NCR|location:NCR > Metro Manila|location:NCR > Metro Manila > Makati"
+  );
+  assert.deepEqual(
+    JSON.parse(formatTaxonomyTerms(terms, { ...config, format: "json" })),
+    terms
+  );
+});
+
+test("the summary counts distinct terms per vocabulary", () => {
+  const rows = [
+    { region: "NCR", city: "Makati", tag_1: "Mall" },
+    { region: "NCR", city: "Makati", tag_1: "Mall", tag_2: "Park" },
+    { region: "VII", city: "Cebu City" },
+  ];
+  assert.deepEqual(summarizeTaxonomy(rows, location), [
+    {
+      vocabulary: "location",
+      count: 2,
+      terms: ["NCR > Makati", "VII > Cebu City"],
+    },
+    { vocabulary: "tags", count: 2, terms: ["Mall", "Park"] },
+  ]);
+});
@@ -0,0 +1,40 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { coerceValue, inferColumnType } from "@/lib/types";
+
+test("dates are read in the given zone, whatever the host's", () => {
+  const hostZone = process.env.TZ;
+  try {
+    for (const tz of ["UTC", "America/New_York", "Asia/Manila"]) {
+      process.env.TZ = tz;
+      assert.deepEqual(
+        coerceValue("2024-05-01 08:00", "date", { timeZone: "Asia/Manila" }),
+        { value: "2024-05-01T00:00:00.000Z", error: null }
+      );
+    }
+  } finally {
+    if (hostZone === undefined) delete process.env.TZ;
+    else process.env.TZ = hostZone;
+  }
+  // an own offset wins over the zone
+  assert.equal(
+    coerceValue("2024-05-01T08:00:00Z", "date", { timeZone: "Asia/Manila" })
+      .value,
+    "2024-05-01T08:00:00.000Z"
+  );
+});
+
+test("text that is not a date is a type issue, not a guess", () => {
+  for (const raw of ["Site 7", "1", "May 1", "2024-02-30"]) {
+    assert.deepEqual(coerceValue(raw, "date"), {
+      value: raw,
+      error: `"${raw}" is not a valid date`,
+    });
+  }
+});
+
+test("only ISO-like values are inferred as dates", () => {
+  assert.equal(inferColumnType(["2024-05-01", "2024-05-01 08:00"]), "date");
+  assert.equal(inferColumnType(["2024-05-01", "Site 7"]), "string");
+  assert.equal(inferColumnType(["2024-13-01"]), "string");
+});
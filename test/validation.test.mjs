@@ -0,0 +1,29 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRowValidator } from "@/lib/validation";
+
+test("an invalid pattern rule is an error, not a rule that never fires", () => {
+  assert.throws(() => createRowValidator({ code: { pattern: "[A-Z" } }), {
+    name: "RuleError",
+    column: "code",
+  });
+});
+
+test("rules report each violation of a row", () => {
+  const issues = [];
+  const validate = createRowValidator(
+    { code: { pattern: "^[A-Z]\\d$", unique: true }, name: { required: true } },
+    { onIssue: (issue) => issues.push(issue) }
+  );
+  validate({ code: "A1", name: "Mall" }, 1);
+  validate({ code: "A1", name: "" }, 2);
+  validate({ code: "a1", name: "Depot" }, 3);
+  assert.deepEqual(
+    issues.map((i) => [i.row, i.column, i.rule]),
+    [
+      [2, "code", "unique"],
+      [2, "name", "required"],
+      [3, "code", "pattern"],
+    ]
+  );
+});
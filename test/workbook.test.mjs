@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as XLSX from "xlsx";
+import { readWorkbook, sheetToRecords } from "@/lib/workbook";
+
+const book = XLSX.utils.book_new();
+XLSX.utils.book_append_sheet(
+  book,
+  XLSX.utils.aoa_to_sheet(
+    [
+      ["title", "lat", "opened"],
+      ["Mall", 14.5547829, new Date(Date.UTC(2024, 0, 31))],
+      ["Park", 1, new Date(Date.UTC(2024, 4, 1, 13, 30))],
+      [],
+      ["Depot", "", ""],
+    ],
+    { UTC: true }
+  ),
+  "Sites"
+);
+
+for (const bookType of ["xlsx", "ods"]) {
+  test(`${bookType} sheets read as string records`, async () => {
+    const bytes = XLSX.write(book, { type: "array", bookType });
+    const { workbook, sheets } = await readWorkbook(bytes);
+    assert.deepEqual(sheets, [{ name: "Sites", range: "A1:C5" }]);
+    const records = await sheetToRecords(workbook, "Sites");
+    assert.deepEqual(records[0], ["title", "lat", "opened"]);
+    assert.deepEqual(records[1].slice(0, 2), ["Mall", "14.5547829"]);
+    // wall-clock text, whatever the machine's time zone
+    assert.equal(records[1][2], "2024-01-31");
+    assert.equal(records[2][2], "2024-05-01T13:30:00");
+    assert.deepEqual(records[3], ["Depot", "", ""]);
+    assert.deepEqual(await sheetToRecords(workbook, "Sites", " a1 : a2 "), [
+      ["title"],
+      ["Mall"],
+    ]);
+  });
+}